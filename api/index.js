@@ -0,0 +1,47 @@
+// Serves the read-only API over an indexer it runs itself. Run with `npm run api`, configured like the
+// indexer (see indexer/index.js) plus:
+//   API_PORT   port to listen on, 3000 by default
+const { ethers } = require("ethers");
+const { Indexer, IndexerStore, loadConfig } = require("../indexer");
+const { BettingClient } = require("../sdk");
+const { ApiServer } = require("./server");
+
+async function main() {
+  const config = loadConfig();
+  const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+  const store = new IndexerStore(config.database);
+  const client = await BettingClient.connect(config.engineAddress, provider);
+
+  const api = new ApiServer({ store, client });
+  const indexer = new Indexer({
+    provider,
+    engineAddress: config.engineAddress,
+    store,
+    startBlock: config.startBlock,
+    confirmations: config.confirmations,
+    onBatch: events => api.onBatch(events),
+    log: message => console.log(`[indexer] ${message}`)
+  });
+
+  const port = await api.listen(Number(process.env.API_PORT || 3000));
+  console.log(`🌐 API listening on http://localhost:${port}, indexing ${config.engineAddress}`);
+  indexer.start(config.pollInterval);
+
+  const shutdown = async () => {
+    indexer.stop();
+    await api.close();
+    store.close();
+    provider.destroy();
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { ApiServer };
@@ -0,0 +1,336 @@
+const http = require("http");
+const { ethers } = require("ethers");
+const { WebSocketServer } = require("ws");
+const { formatOdds, MARKET_STATUS } = require("../sdk");
+
+const ORDER_EVENTS = ["OrderPlaced", "OrderMatched", "OrderCancelled"];
+
+/**
+ * Read-only HTTP and WebSocket API over the indexer's store. Books come from the engine's getOrderBook
+ * view as of the last indexed block, so they agree with the indexed trades. A book is cached while
+ * someone is subscribed to its market and refreshed when the indexer sees an order event for the market
+ * or one of its GTT orders expires, so clients never reach the RPC node themselves.
+ *
+ *   GET /markets                  every indexed market
+ *   GET /markets/:id/book         resting stake per odds level, back and lay, for each outcome
+ *   GET /markets/:id/trades       matches, newest first; ?limit= (1 to 500) and ?before=<block>:<logIndex>
+ *   GET /users/:address/positions matched bets per market and what each result pays
+ *
+ * WebSocket clients send {"type":"subscribe","marketId":...} and get a "snapshot" of the book, then "book"
+ * messages with the levels that changed (an amount of "0" removes the level) and a "trade" per match.
+ *
+ * Odds are decimal odds and amounts whole base tokens, both as strings.
+ */
+class ApiServer {
+  /**
+   * @param {Object} options
+   * @param {import("../indexer").IndexerStore} options.store
+   * @param {import("../sdk").BettingClient} options.client reads books off the engine
+   */
+  constructor({ store, client }) {
+    this.store = store;
+    this.client = client;
+    this.books = new Map(); // marketId => { levels keyed by outcome:side:odds, readAt: timestamp of the block read at }
+    this.subscriptions = new Map(); // marketId => Set of sockets
+
+    this.server = http.createServer((req, res) => this._handle(req, res));
+    this.wss = new WebSocketServer({ server: this.server });
+    this.wss.on("connection", socket => this._connect(socket));
+  }
+
+  /** @returns {Promise<number>} the port listened on */
+  listen(port = 0) {
+    return new Promise(resolve => {
+      this.server.listen(port, () => resolve(this.server.address().port));
+    });
+  }
+
+  async close() {
+    for (const socket of this.wss.clients) socket.terminate();
+    await new Promise(resolve => this.wss.close(resolve));
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  /**
+   * Pass as the indexer's onBatch: refreshes the books the batch touched or whose orders expired since
+   * they were read, pushing what changed, and pushes its matches as trades.
+   * @param {Object[]} events
+   */
+  async onBatch(events) {
+    // Books nobody subscribes to were only read for a request, the next one reads them again
+    for (const marketId of this.books.keys()) {
+      if (!this.subscriptions.has(marketId) || this.subscriptions.get(marketId).size === 0) {
+        this.books.delete(marketId);
+      }
+    }
+
+    const touched = new Set();
+    for (const event of events) {
+      if (!ORDER_EVENTS.includes(event.type)) continue;
+      touched.add(this._marketOf(event));
+    }
+
+    // Expired GTT orders drop out of the book without an event
+    const { timestamp } = await this._provider().getBlock(this.store.getCursor());
+    for (const [marketId, { readAt }] of this.books) {
+      const expired = this.store.getOpenOrders(marketId).some(order => order.expiry > readAt && order.expiry <= timestamp);
+      if (expired) touched.add(marketId);
+    }
+
+    for (const marketId of touched) {
+      if (!this.books.has(marketId)) continue;
+      const before = this.books.get(marketId).levels;
+      const changes = diffBooks(before, (await this._loadBook(marketId)).levels);
+      if (changes.length > 0) {
+        this._publish(marketId, { type: "book", marketId, changes });
+      }
+    }
+
+    for (const event of events) {
+      if (event.type !== "OrderMatched") continue;
+      const trade = formatTrade(this.store.getMatch(event.matchId), this.client);
+      this._publish(event.backOrder.marketId, { type: "trade", marketId: event.backOrder.marketId, ...trade });
+    }
+  }
+
+  async _handle(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    const parts = url.pathname.split("/").filter(Boolean);
+
+    try {
+      if (req.method !== "GET") return send(res, 405, { error: "Method not allowed" });
+
+      if (parts.length === 1 && parts[0] === "markets") {
+        return send(res, 200, this.store.getMarkets().map(formatMarket));
+      }
+
+      if (parts.length === 3 && parts[0] === "markets") {
+        const marketId = parts[1].toLowerCase();
+        if (!ethers.isHexString(marketId, 32)) return send(res, 400, { error: "Invalid market ID" });
+        const market = this.store.getMarket(marketId);
+        if (!market) return send(res, 404, { error: "Market not found" });
+
+        if (parts[2] === "book") {
+          return send(res, 200, formatBook(market, (await this._getBook(marketId)).levels));
+        }
+        if (parts[2] === "trades") {
+          const limit = url.searchParams.has("limit") ? Number(url.searchParams.get("limit")) : 100;
+          if (!Number.isFinite(limit)) return send(res, 400, { error: "Invalid limit" });
+          const before = url.searchParams.has("before") ? parseBefore(url.searchParams.get("before")) : undefined;
+          if (before === null) return send(res, 400, { error: "Invalid before" });
+          const trades = this.store.getMatches(marketId, { limit: Math.min(Math.max(Math.floor(limit), 1), 500), before });
+          return send(res, 200, trades.map(trade => formatTrade(trade, this.client)));
+        }
+      }
+
+      if (parts.length === 3 && parts[0] === "users" && parts[2] === "positions") {
+        if (!ethers.isAddress(parts[1])) return send(res, 400, { error: "Invalid address" });
+        return send(res, 200, this._positions(parts[1]));
+      }
+
+      send(res, 404, { error: "Not found" });
+    } catch (error) {
+      send(res, 500, { error: error.message });
+    }
+  }
+
+  _connect(socket) {
+    socket.on("message", async data => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch {
+        return socket.send(JSON.stringify({ type: "error", error: "Invalid JSON" }));
+      }
+
+      const marketId = String(message.marketId || "").toLowerCase();
+      try {
+        if (message.type === "unsubscribe") {
+          const sockets = this.subscriptions.get(marketId);
+          if (sockets) sockets.delete(socket);
+          return;
+        }
+        if (message.type !== "subscribe") {
+          return socket.send(JSON.stringify({ type: "error", error: "Unknown message type" }));
+        }
+
+        const market = ethers.isHexString(marketId, 32) ? this.store.getMarket(marketId) : null;
+        if (!market) {
+          return socket.send(JSON.stringify({ type: "error", error: "Market not found", marketId }));
+        }
+
+        // Reading the book takes RPC calls, and a batch indexed meanwhile would be missed by both the
+        // snapshot and the subscription, so it is read again until the indexer stood still throughout.
+        // From the last read on nothing is awaited, so the snapshot and subscription land together
+        let cursor = this.store.getCursor();
+        let book = await this._getBook(marketId);
+        while (cursor !== this.store.getCursor()) {
+          cursor = this.store.getCursor();
+          book = await this._loadBook(marketId);
+        }
+
+        this.books.set(marketId, book);
+        socket.send(JSON.stringify({ type: "snapshot", ...formatBook(market, book.levels) }));
+        if (!this.subscriptions.has(marketId)) this.subscriptions.set(marketId, new Set());
+        this.subscriptions.get(marketId).add(socket);
+      } catch (error) {
+        socket.send(JSON.stringify({ type: "error", error: error.message, marketId }));
+      }
+    });
+
+    socket.on("close", () => {
+      for (const sockets of this.subscriptions.values()) sockets.delete(socket);
+    });
+  }
+
+  _publish(marketId, message) {
+    const sockets = this.subscriptions.get(marketId);
+    if (!sockets) return;
+    const data = JSON.stringify(message);
+    for (const socket of sockets) {
+      if (socket.readyState === socket.OPEN) socket.send(data);
+    }
+  }
+
+  async _getBook(marketId) {
+    return this.books.get(marketId) || this._loadBook(marketId);
+  }
+
+  async _loadBook(marketId) {
+    const blockTag = this.store.getCursor();
+    const [book, block] = await Promise.all([
+      this.client.getOrderBook(marketId, { blockTag }),
+      this._provider().getBlock(blockTag)
+    ]);
+    const levels = new Map();
+    for (const { outcome, back, lay } of book) {
+      for (const [side, sideLevels] of [["back", back], ["lay", lay]]) {
+        for (const level of sideLevels) {
+          levels.set(`${outcome}:${side}:${level.odds}`, {
+            outcome,
+            side,
+            odds: formatOdds(level.odds),
+            amount: this.client.formatAmount(level.amount)
+          });
+        }
+      }
+    }
+    const entry = { levels, readAt: block.timestamp };
+    this.books.set(marketId, entry);
+    return entry;
+  }
+
+  _provider() {
+    return this.client.runner.provider;
+  }
+
+  // What a user's matched bets pay on each result of the market, before commission
+  _positions(user) {
+    const byMarket = new Map();
+    for (const row of this.store.getPositions(user)) {
+      if (!byMarket.has(row.market_id)) byMarket.set(row.market_id, []);
+      byMarket.get(row.market_id).push(row);
+    }
+
+    const positions = [];
+    for (const [marketId, rows] of byMarket) {
+      const market = this.store.getMarket(marketId);
+      const profitByOutcome = {};
+      for (let outcome = 1; outcome <= market.outcomes.length; outcome++) {
+        let profit = 0n;
+        for (const row of rows) {
+          profit += row.outcome === outcome
+            ? BigInt(row.backed_profit) - BigInt(row.laid_liability)
+            : BigInt(row.laid_stake) - BigInt(row.backed_stake);
+        }
+        profitByOutcome[outcome] = this.client.formatAmount(profit);
+      }
+
+      positions.push({
+        marketId,
+        description: market.description,
+        status: MARKET_STATUS[market.status],
+        outcomes: rows.map(row => ({
+          outcome: row.outcome,
+          backedStake: this.client.formatAmount(BigInt(row.backed_stake)),
+          backedProfit: this.client.formatAmount(BigInt(row.backed_profit)),
+          laidStake: this.client.formatAmount(BigInt(row.laid_stake)),
+          laidLiability: this.client.formatAmount(BigInt(row.laid_liability))
+        })),
+        profitByOutcome
+      });
+    }
+    return positions;
+  }
+
+  _marketOf(event) {
+    if (event.type === "OrderPlaced") return event.order.marketId;
+    if (event.type === "OrderMatched") return event.backOrder.marketId;
+    if (event.type === "OrderCancelled") return this.store.getOrder(event.orderId).market_id;
+    return event.marketId;
+  }
+}
+
+// Levels whose amount changed between two books, "0" for those that emptied
+function diffBooks(before, after) {
+  const changes = [];
+  for (const [key, level] of after) {
+    const previous = before.get(key);
+    if (!previous || previous.amount !== level.amount) changes.push(level);
+  }
+  for (const [key, level] of before) {
+    if (!after.has(key)) changes.push({ ...level, amount: "0" });
+  }
+  return changes;
+}
+
+function formatMarket(market) {
+  return {
+    marketId: market.market_id,
+    description: market.description,
+    outcomes: market.outcomes,
+    endTime: market.end_time,
+    settlementTime: market.settlement_time,
+    status: MARKET_STATUS[market.status],
+    outcome: market.outcome
+  };
+}
+
+function formatBook(market, levels) {
+  const outcomes = market.outcomes.map((name, i) => ({ outcome: i + 1, name, back: [], lay: [] }));
+  for (const level of levels.values()) {
+    outcomes[level.outcome - 1][level.side].push({ odds: level.odds, amount: level.amount });
+  }
+  return { marketId: market.market_id, outcomes };
+}
+
+function formatTrade(match, client) {
+  return {
+    matchId: match.match_id,
+    outcome: match.outcome,
+    odds: formatOdds(BigInt(match.odds)),
+    amount: client.formatAmount(BigInt(match.amount)),
+    backer: match.backer,
+    layer: match.layer,
+    takerOrderId: match.taker_order_id,
+    makerOrderId: match.maker_order_id,
+    timestamp: match.timestamp,
+    blockNumber: match.block_number,
+    logIndex: match.log_index,
+    txHash: match.tx_hash
+  };
+}
+
+// A trades cursor, "<block>:<log index>" of the last trade seen or a block alone; null if malformed
+function parseBefore(value) {
+  const [blockNumber, logIndex = 0, ...rest] = value.split(":").map(Number);
+  if (rest.length > 0 || !Number.isInteger(blockNumber) || !Number.isInteger(logIndex)) return null;
+  return { blockNumber, logIndex };
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" });
+  res.end(JSON.stringify(body));
+}
+
+module.exports = { ApiServer, diffBooks };
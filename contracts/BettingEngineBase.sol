@@ -0,0 +1,271 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "./libraries/OrderBook.sol";
+import "./libraries/MarketAMM.sol";
+import "./interfaces/IPriceOracle.sol";
+
+// Storage, events and the ledger and order book helpers of BettingMatchingEngine. The engine and the modules it delegatecalls
+// into all inherit this, so they share one storage layout; state must only ever be declared here
+abstract contract BettingEngineBase is ReentrancyGuard, AccessControl, Pausable, EIP712 {
+    using OrderBook for OrderBook.Book;
+    
+    IPriceOracle public oracle;
+    IPriceOracle public pendingOracle; // queued by setOracle, takes over once the timelock has run
+    uint256 public pendingOracleTime; // when pendingOracle can be applied
+    uint256 public constant ORACLE_TIMELOCK = 2 days;
+    
+    // Admin roles, each granted to the deployer; DEFAULT_ADMIN_ROLE grants and revokes them
+    bytes32 public constant MARKET_CREATOR_ROLE = keccak256("MARKET_CREATOR_ROLE"); // lists markets
+    bytes32 public constant MARKET_OPERATOR_ROLE = keccak256("MARKET_OPERATOR_ROLE"); // opens, suspends, closes and reschedules them
+    bytes32 public constant ORACLE_ADMIN_ROLE = keccak256("ORACLE_ADMIN_ROLE"); // changes the oracle, voids stuck markets
+    bytes32 public constant FEE_MANAGER_ROLE = keccak256("FEE_MANAGER_ROLE"); // sets and withdraws fees
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE"); // pauses all new trading in an emergency
+    bytes32 public constant ARBITRATOR_ROLE = keccak256("ARBITRATOR_ROLE"); // rules on disputed settlements
+    
+    uint8 public constant OUTCOME_VOID = type(uint8).max; // event postponed or abandoned, everyone is refunded
+    uint8 public constant MAX_OUTCOMES = 64;
+    uint256 public constant MAX_MATCH_STEPS = 100; // resting orders one incoming order may fill or clear out
+    uint8 public constant SIDE_BACK = 1; // backs the order's outcome to win
+    uint8 public constant SIDE_LAY = 2; // bets against the order's outcome
+    
+    // Time in force, what happens to the part of an order that doesn't match on arrival
+    uint8 public constant TIF_GTC = 0; // good till cancelled: rests on the book
+    uint8 public constant TIF_IOC = 1; // immediate or cancel: the unfilled part is refunded at once
+    uint8 public constant TIF_FOK = 2; // fill or kill: reverts unless it fills completely
+    uint8 public constant TIF_POST_ONLY = 3; // reverts if it would match, so it only ever rests
+    uint8 public constant TIF_GTT = 4; // good till time: rests until its expiry, then stops matching
+    uint256 public constant SETTLEMENT_DEADLINE = 7 days; // after settlementTime, an unsettled market may be voided
+    
+    // Optimistic settlement: the oracle's result is only proposed, and becomes final once its dispute window
+    // passes without a challenge. A challenger posts disputeBond and the arbitrator rules instead
+    uint256 public disputeWindow = 2 hours; // 0 makes the oracle's result final at once
+    uint256 public disputeBond; // in base token units, taken from the challenger's free balance
+    
+    struct Settlement {
+        uint8 proposedOutcome; // 0 until the oracle's result has been proposed
+        uint256 disputeDeadline;
+        address challenger; // set once disputed, finalization then waits for the arbitrator
+        uint256 bond;
+    }
+    
+    mapping(bytes32 => Settlement) public settlements;
+    
+    // Price markets ask whether the oracle price at settlementTime compares to a strike: outcome 1 if it does,
+    // outcome 2 if it doesn't. None marks an ordinary market that settles on the oracle's reported outcome
+    enum Comparator { None, Above, AtOrAbove, Below, AtOrBelow }
+    
+    struct PriceCondition {
+        uint256 strike; // same scale as the oracle's getPrice
+        Comparator comparator;
+    }
+    
+    // Fees, in basis points
+    uint256 public constant BPS_DENOMINATOR = 10000;
+    uint256 public constant MAX_FEE_BPS = 1000; // commission can never exceed 10%
+    uint256 public commissionBps; // charged on net winnings and on AMM swap input
+    uint256 public lpFeeShareBps; // share of the swap commission left in the pool for LPs
+    uint256 public accruedFees; // treasury balance the owner can withdraw
+    mapping(bytes32 => uint256) public pendingSwapFees; // protocol swap fees, released to the treasury unless the market is voided
+    
+    // Pending: listed, not trading yet. Open: trading. Suspended: trading halted, e.g. during a goal review.
+    // Closed: trading over before settlement. Settled and Voided: the result is in
+    enum MarketStatus { Pending, Open, Suspended, Closed, Settled, Voided }
+    
+    struct Market {
+        bytes32 id;
+        string description;
+        uint256 endTime; // trading stops at this time
+        uint256 settlementTime;
+        MarketStatus status;
+        bool isSettled;
+        uint8 outcome; // 0 = no outcome, 1..outcomeCount = winning outcome, OUTCOME_VOID = refunded
+        uint8 outcomeCount;
+    }
+    
+    struct Order {
+        address user;
+        bytes32 marketId;
+        uint8 outcome; // 1..outcomeCount
+        uint8 side; // SIDE_BACK or SIDE_LAY
+        uint256 amount; // backer's stake; a lay order's liability is amount * (odds - 1)
+        uint256 filledAmount; // portion of amount already matched
+        uint256 odds; // decimal odds scaled by 1e18 (e.g., 2.5 = 2.5e18), worst price the order accepts
+        uint256 timestamp;
+        uint256 expiry; // GTT orders stop matching at this time, 0 = never
+        bool isActive;
+        bool isMatched; // true once the order is fully filled
+    }
+    
+    struct Match {
+        bytes32 backOrderId;
+        bytes32 layOrderId;
+        uint256 amount; // backer's stake
+        uint256 odds; // price the match executed at
+        bool isSettled;
+        uint256 commissionBps; // rate charged on the winnings, fixed when the match is made
+    }
+    
+    // Trading limits of a market, fixed at creation; a zero leaves that limit off
+    struct MarketParams {
+        uint256 minOdds;
+        uint256 maxOdds;
+        uint256 minStake; // smallest backer's stake an order may have
+        uint256 maxExposure; // most collateral one user may commit to the market's orders
+        bool tickLadder; // odds must be a price on the Betfair ladder, see TickLadder
+        bool pending; // the market is created Pending and only trades once an operator opens it
+    }
+    
+    mapping(bytes32 => Market) public markets;
+    mapping(bytes32 => MarketParams) internal marketParams;
+    mapping(bytes32 => PriceCondition) public priceConditions; // set for price markets, which settle from getPrice
+    mapping(bytes32 => mapping(address => uint256)) public exposure; // market => user => collateral committed to orders
+    mapping(bytes32 => string[]) internal marketOutcomes; // market => outcome names, index 0 is outcome 1
+    mapping(bytes32 => mapping(uint8 => uint256)) public outcomeVolume; // market => outcome => matched volume
+    mapping(bytes32 => Order) public orders;
+    mapping(bytes32 => Match) public matches;
+    mapping(bytes32 => bytes32[]) public marketOrders; // market => order IDs
+    mapping(bytes32 => mapping(uint8 => mapping(uint8 => OrderBook.Book))) internal books; // market => outcome => side => resting orders
+    mapping(address => mapping(bytes32 => bytes32[])) internal userMatches; // user => market => match IDs
+    
+    // IDs come from counters rather than block.timestamp so several in one block never collide
+    mapping(address => uint256) public nextOrderNonce; // orderId = keccak256(abi.encodePacked(user, nonce))
+    uint256 public marketCount; // marketId = keccak256(abi.encodePacked(address(this), marketCount))
+    uint256 public matchCount; // matchId = keccak256(abi.encodePacked(address(this), matchCount))
+    
+    // Internal ledger: everything trades against collateral deposited up front and payouts are credited back to it.
+    // Free balance can be withdrawn or committed, locked balance backs open orders and unsettled matches
+    mapping(address => uint256) public balances; // free
+    mapping(address => uint256) public lockedBalances;
+    mapping(address => mapping(uint256 => bool)) public cancelledNonces; // maker => signed order nonce => cancelled
+    mapping(address => uint256) public minValidNonce; // signed orders below this nonce are cancelled
+    
+    // AMM pool per market, see MarketAMM
+    mapping(bytes32 => MarketAMM.Pool) public liquidityPools;
+    mapping(bytes32 => mapping(address => mapping(uint8 => uint256))) public positions; // market => user => outcome => shares
+    
+    event MarketCreated(bytes32 indexed marketId, string description, uint256 endTime);
+    event OrderPlaced(bytes32 indexed orderId, address indexed user, bytes32 indexed marketId);
+    event OrderMatched(bytes32 indexed matchId, bytes32 takerOrderId, bytes32 makerOrderId);
+    event MarketSettled(bytes32 indexed marketId, uint8 outcome);
+    event SettlementProposed(bytes32 indexed marketId, uint8 outcome, uint256 disputeDeadline);
+    event SettlementDisputed(bytes32 indexed marketId, address indexed challenger, uint256 bond);
+    event DisputeResolved(bytes32 indexed marketId, uint8 outcome, bool overturned);
+    event SettlementConfigUpdated(uint256 disputeWindow, uint256 disputeBond);
+    event PriceMarketCreated(bytes32 indexed marketId, uint256 strike, Comparator comparator);
+    event SettlementPriceObserved(bytes32 indexed marketId, uint256 price, uint256 timestamp);
+    event MarketStatusChanged(bytes32 indexed marketId, MarketStatus status);
+    event MarketRescheduled(bytes32 indexed marketId, uint256 endTime, uint256 settlementTime);
+    event OracleChangeQueued(address indexed oracle, uint256 executableAt);
+    event OracleUpdated(address indexed oracle);
+    event LiquidityAdded(bytes32 indexed marketId, address indexed provider, uint256 amount);
+    event LiquidityRemoved(bytes32 indexed marketId, address indexed provider, uint256 shares, uint256 payout);
+    event PositionBought(bytes32 indexed marketId, address indexed buyer, uint8 outcome, uint256 amountIn, uint256 sharesOut);
+    event PositionsRedeemed(bytes32 indexed marketId, address indexed user, uint256 payout);
+    event OrderCancelled(bytes32 indexed orderId, address indexed user, uint256 refund);
+    event WinningsClaimed(bytes32 indexed matchId, address indexed winner, uint256 payout);
+    event VoidRefundClaimed(bytes32 indexed marketId, address indexed user, uint256 amount);
+    event FeeUpdated(uint256 commissionBps, uint256 lpFeeShareBps);
+    event FeesWithdrawn(address indexed to, uint256 amount);
+    event Deposited(address indexed user, uint256 amount);
+    event Withdrawn(address indexed user, uint256 amount);
+    event OrderNonceCancelled(address indexed maker, uint256 nonce);
+    event OrdersCancelledBeforeNonce(address indexed maker, uint256 nonce);
+    
+    constructor() EIP712("BettingMatchingEngine", "1") {
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(MARKET_CREATOR_ROLE, msg.sender);
+        _grantRole(MARKET_OPERATOR_ROLE, msg.sender);
+        _grantRole(ORACLE_ADMIN_ROLE, msg.sender);
+        _grantRole(FEE_MANAGER_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(ARBITRATOR_ROLE, msg.sender);
+    }
+    
+    function _debit(address _user, uint256 _amount) internal {
+        require(balances[_user] >= _amount, "Insufficient balance");
+        balances[_user] -= _amount;
+    }
+    
+    // Commits free balance to an order on `_marketId`, within the market's exposure limit
+    function _lock(bytes32 _marketId, address _user, uint256 _amount) internal {
+        _debit(_user, _amount);
+        lockedBalances[_user] += _amount;
+        
+        exposure[_marketId][_user] += _amount;
+        uint256 maxExposure = marketParams[_marketId].maxExposure;
+        require(maxExposure == 0 || exposure[_marketId][_user] <= maxExposure, "Exposure limit exceeded");
+    }
+    
+    function _unlock(bytes32 _marketId, address _user, uint256 _amount) internal {
+        lockedBalances[_user] -= _amount;
+        balances[_user] += _amount;
+        exposure[_marketId][_user] -= _amount;
+    }
+    
+    function _setStatus(bytes32 _marketId, MarketStatus _status) internal {
+        markets[_marketId].status = _status;
+        emit MarketStatusChanged(_marketId, _status);
+    }
+    
+    // New orders, liquidity and swaps are only taken while the market is Open and before its end time,
+    // and never while the engine is paused
+    function _requireTrading(bytes32 _marketId) internal view {
+        _requireNotPaused();
+        require(markets[_marketId].status == MarketStatus.Open, "Market not open");
+        require(block.timestamp < markets[_marketId].endTime, "Market ended");
+    }
+    
+    // Once trading is over for good, resting orders can be refunded by anyone
+    function _tradingOver(bytes32 _marketId) internal view returns (bool) {
+        return markets[_marketId].status >= MarketStatus.Closed || block.timestamp >= markets[_marketId].endTime;
+    }
+    
+    // Refunds at most `_maxOrders` resting orders so a crowded book can be cleared over several transactions
+    function _refundRestingOrders(bytes32 _marketId, uint256 _maxOrders) internal returns (uint256 refunded) {
+        uint8 outcomeCount = markets[_marketId].outcomeCount;
+        for (uint8 outcome = 1; outcome <= outcomeCount; outcome++) {
+            for (uint8 side = SIDE_BACK; side <= SIDE_LAY; side++) {
+                OrderBook.Book storage book = books[_marketId][outcome][side];
+                for (bytes32 orderId = book.first(); orderId != bytes32(0); orderId = book.first()) {
+                    if (refunded == _maxOrders) return refunded;
+                    _cancelOrder(orderId);
+                    refunded++;
+                }
+            }
+        }
+    }
+    
+    function _cancelOrder(bytes32 _orderId) internal {
+        Order storage order = orders[_orderId];
+        books[order.marketId][order.outcome][order.side].remove(_orderId);
+        _releaseUnfilled(_orderId);
+    }
+    
+    function _releaseUnfilled(bytes32 _orderId) internal {
+        Order storage order = orders[_orderId];
+        
+        // Only the unfilled part is released, collateral behind fills stays with the matches
+        uint256 refund = _collateralFor(order.side, order.amount, order.odds) -
+            _collateralFor(order.side, order.filledAmount, order.odds);
+        
+        order.isActive = false;
+        
+        _unlock(order.marketId, order.user, refund);
+        
+        emit OrderCancelled(_orderId, order.user, refund);
+    }
+    
+    function _collateralFor(uint8 _side, uint256 _amount, uint256 _odds) internal pure returns (uint256) {
+        return _side == SIDE_BACK ? _amount : _liability(_amount, _odds);
+    }
+    
+    // What a layer pays out if the outcome wins: the backer's profit at decimal odds
+    function _liability(uint256 _stake, uint256 _odds) internal pure returns (uint256) {
+        return (_stake * (_odds - 1e18)) / 1e18;
+    }
+}
@@ -1,296 +1,643 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+import "./BettingEngineBase.sol";
+import "./libraries/SignedOrders.sol";
+import "./libraries/TickLadder.sol";
 
-interface IPriceOracle {
-    function getPrice(bytes32 marketId) external view returns (uint256, uint256); // price, timestamp
-    function isSettled(bytes32 marketId) external view returns (bool, uint8); // settled, outcome
-}
-
-contract BettingMatchingEngine is ReentrancyGuard, Ownable {
+contract BettingMatchingEngine is BettingEngineBase {
+    using OrderBook for OrderBook.Book;
+    using MarketAMM for MarketAMM.Pool;
+    
     IERC20 public immutable baseToken; // USDC/USDT
-    IPriceOracle public oracle;
-    
-    struct Market {
-        bytes32 id;
-        string description;
-        uint256 endTime;
-        uint256 settlementTime;
-        bool isActive;
-        bool isSettled;
-        uint8 outcome; // 0 = no outcome, 1 = option A, 2 = option B
-        uint256 totalVolumeA;
-        uint256 totalVolumeB;
-    }
-    
-    struct Order {
-        address user;
-        bytes32 marketId;
-        uint8 side; // 1 = A, 2 = B
-        uint256 amount;
-        uint256 odds; // scaled by 1e18 (e.g., 2.5 = 2.5e18)
-        uint256 timestamp;
-        bool isActive;
-        bool isMatched;
-    }
-    
-    struct Match {
-        bytes32 orderAId;
-        bytes32 orderBId;
-        uint256 amount;
-        uint256 oddsA;
-        uint256 oddsB;
-        bool isSettled;
-    }
-    
-    mapping(bytes32 => Market) public markets;
-    mapping(bytes32 => Order) public orders;
-    mapping(bytes32 => Match) public matches;
-    mapping(bytes32 => bytes32[]) public marketOrders; // market => order IDs
-    mapping(address => uint256) public userBalances;
-    
-    // AMM Pool for liquidity
-    struct LiquidityPool {
-        uint256 reserveA;
-        uint256 reserveB;
-        uint256 totalShares;
-        mapping(address => uint256) userShares;
-    }
-    mapping(bytes32 => LiquidityPool) public liquidityPools;
-    
-    event MarketCreated(bytes32 indexed marketId, string description, uint256 endTime);
-    event OrderPlaced(bytes32 indexed orderId, address indexed user, bytes32 indexed marketId);
-    event OrderMatched(bytes32 indexed matchId, bytes32 orderAId, bytes32 orderBId);
-    event MarketSettled(bytes32 indexed marketId, uint8 outcome);
-    event LiquidityAdded(bytes32 indexed marketId, address indexed provider, uint256 amount);
-    
-    constructor(address _baseToken, address _oracle) Ownable(msg.sender) {
+    
+    // Modules are deployed on their own, embedding them all would exceed the init code size limit
+    address public immutable ammModule; // AMM entry points run there against this contract's storage
+    address public immutable marketModule; // market creation, lifecycle and settlement, likewise
+    address public immutable adminModule; // fees, pause, oracle and settlement config, likewise
+    
+    constructor(address _baseToken, address _oracle, address _ammModule, address _marketModule, address _adminModule) {
         baseToken = IERC20(_baseToken);
         oracle = IPriceOracle(_oracle);
+        ammModule = _ammModule;
+        marketModule = _marketModule;
+        adminModule = _adminModule;
+        disputeBond = 100 * 10 ** IERC20Metadata(_baseToken).decimals();
     }
     
+    // Market creation and lifecycle live in MarketModule, delegatecalled like the AMM below
     function createMarket(
-        string memory _description,
-        uint256 _endTime,
-        uint256 _settlementTime
-    ) external onlyOwner returns (bytes32) {
-        bytes32 marketId = keccak256(abi.encodePacked(_description, block.timestamp));
-        
-        markets[marketId] = Market({
-            id: marketId,
-            description: _description,
-            endTime: _endTime,
-            settlementTime: _settlementTime,
-            isActive: true,
-            isSettled: false,
-            outcome: 0,
-            totalVolumeA: 0,
-            totalVolumeB: 0
-        });
-        
-        emit MarketCreated(marketId, _description, _endTime);
-        return marketId;
+        string calldata /* _description */,
+        string[] calldata /* _outcomes */,
+        uint256 /* _endTime */,
+        uint256 /* _settlementTime */
+    ) external returns (bytes32) {
+        return abi.decode(_delegateTo(marketModule), (bytes32));
+    }
+    
+    function createMarketWithParams(
+        string calldata /* _description */,
+        string[] calldata /* _outcomes */,
+        uint256 /* _endTime */,
+        uint256 /* _settlementTime */,
+        MarketParams calldata /* _params */
+    ) external returns (bytes32) {
+        return abi.decode(_delegateTo(marketModule), (bytes32));
+    }
+    
+    function createPriceMarket(
+        string calldata /* _description */,
+        uint256 /* _strike */,
+        Comparator /* _comparator */,
+        uint256 /* _endTime */,
+        uint256 /* _settlementTime */
+    ) external returns (bytes32) {
+        return abi.decode(_delegateTo(marketModule), (bytes32));
+    }
+    
+    function openMarket(bytes32 /* _marketId */) external {
+        _delegateTo(marketModule);
+    }
+    
+    function suspendMarket(bytes32 /* _marketId */) external {
+        _delegateTo(marketModule);
+    }
+    
+    function closeMarket(bytes32 /* _marketId */) external {
+        _delegateTo(marketModule);
+    }
+    
+    function rescheduleMarket(bytes32 /* _marketId */, uint256 /* _endTime */, uint256 /* _settlementTime */) external {
+        _delegateTo(marketModule);
     }
     
     function placeOrder(
         bytes32 _marketId,
+        uint8 _outcome,
         uint8 _side,
         uint256 _amount,
         uint256 _odds
     ) external nonReentrant returns (bytes32) {
-        require(markets[_marketId].isActive, "Market not active");
-        require(block.timestamp < markets[_marketId].endTime, "Market ended");
-        require(_side == 1 || _side == 2, "Invalid side");
+        return _placeOrder(_marketId, _outcome, _side, _amount, _odds, TIF_GTC, 0, 0);
+    }
+    
+    // placeOrder with a time in force, `_expiry` is set for GTT orders only. `_priceHint` is a resting
+    // price on the order's side ranked ahead of `_odds`, see getPriceHint, or 0 to look from the best price
+    function placeLimitOrder(
+        bytes32 _marketId,
+        uint8 _outcome,
+        uint8 _side,
+        uint256 _amount,
+        uint256 _odds,
+        uint8 _timeInForce,
+        uint256 _expiry,
+        uint256 _priceHint
+    ) external nonReentrant returns (bytes32) {
+        return _placeOrder(_marketId, _outcome, _side, _amount, _odds, _timeInForce, _expiry, _priceHint);
+    }
+    
+    function _placeOrder(
+        bytes32 _marketId,
+        uint8 _outcome,
+        uint8 _side,
+        uint256 _amount,
+        uint256 _odds,
+        uint8 _timeInForce,
+        uint256 _expiry,
+        uint256 _priceHint
+    ) internal returns (bytes32) {
+        _requireTrading(_marketId);
+        require(_outcome >= 1 && _outcome <= markets[_marketId].outcomeCount, "Invalid outcome");
+        require(_side == SIDE_BACK || _side == SIDE_LAY, "Invalid side");
         require(_amount > 0, "Invalid amount");
+        require(_odds > 1e18, "Invalid odds");
+        _checkTradingParams(_marketId, _amount, _odds);
+        require(_timeInForce <= TIF_GTT, "Invalid time in force");
+        require(_timeInForce == TIF_GTT ? _expiry > block.timestamp : _expiry == 0, "Invalid expiry");
         
-        // Calculate required collateral
-        uint256 collateral = _side == 1 ? _amount : (_amount * _odds) / 1e18;
-        require(baseToken.transferFrom(msg.sender, address(this), collateral), "Transfer failed");
+        // Backers put up their stake, layers their liability at the limit price. Liability rounds
+        // down, so a dust lay at short odds would otherwise rest and match without locking anything
+        uint256 collateral = _collateralFor(_side, _amount, _odds);
+        require(collateral > 0, "Stake too small");
+        _lock(_marketId, msg.sender, collateral);
         
-        bytes32 orderId = keccak256(abi.encodePacked(msg.sender, _marketId, block.timestamp));
+        bytes32 orderId = keccak256(abi.encodePacked(msg.sender, nextOrderNonce[msg.sender]++));
         
         orders[orderId] = Order({
             user: msg.sender,
             marketId: _marketId,
+            outcome: _outcome,
             side: _side,
             amount: _amount,
+            filledAmount: 0,
             odds: _odds,
             timestamp: block.timestamp,
+            expiry: _expiry,
             isActive: true,
             isMatched: false
         });
         
         marketOrders[_marketId].push(orderId);
         
-        // Try to match immediately
-        _tryMatchOrder(orderId);
+        // Try to match immediately, then deal with whatever is left as the time in force says.
+        // A remainder cut off by the step limit may still cross the book, so it can't rest
+        bool bookLeft = _tryMatchOrder(orderId, _timeInForce == TIF_POST_ONLY);
+        if (!orders[orderId].isMatched) {
+            require(_timeInForce != TIF_FOK, "Order not fully filled");
+            if (_timeInForce == TIF_IOC || bookLeft) {
+                _releaseUnfilled(orderId);
+            } else {
+                books[_marketId][_outcome][_side].insert(orderId, _odds, _isDescending(_side), _priceHint);
+            }
+        }
         
         emit OrderPlaced(orderId, msg.sender, _marketId);
         return orderId;
     }
     
-    function _tryMatchOrder(bytes32 _orderId) internal {
-        Order storage newOrder = orders[_orderId];
-        bytes32[] storage orderIds = marketOrders[newOrder.marketId];
+    function cancelOrder(bytes32 _orderId) external nonReentrant {
+        Order storage order = orders[_orderId];
+        require(order.user != address(0), "Order not found");
+        require(order.isActive && !order.isMatched, "Order not cancellable");
+        require(books[order.marketId][order.outcome][order.side].contains(_orderId), "Signed order, cancel by nonce");
+        
+        // Owners can always pull their order; once it expires or trading is over anyone may refund it to the owner
+        require(msg.sender == order.user || _isExpired(order) || _tradingOver(order.marketId), "Not order owner");
+        
+        _cancelOrder(_orderId);
+    }
+    
+    // Anyone can clear the book once trading is over, operators can also clear a suspended market
+    function refundRestingOrders(bytes32 _marketId, uint256 _maxOrders) external nonReentrant returns (uint256) {
+        Market storage market = markets[_marketId];
+        require(market.id != bytes32(0), "Market not found");
+        require(
+            _tradingOver(_marketId) || (market.status == MarketStatus.Suspended && hasRole(MARKET_OPERATOR_ROLE, msg.sender)),
+            "Market still open"
+        );
         
-        for (uint i = 0; i < orderIds.length; i++) {
-            bytes32 existingOrderId = orderIds[i];
-            Order storage existingOrder = orders[existingOrderId];
+        return _refundRestingOrders(_marketId, _maxOrders);
+    }
+    
+    function _checkTradingParams(bytes32 _marketId, uint256 _amount, uint256 _odds) internal view {
+        MarketParams storage params = marketParams[_marketId];
+        require(_odds >= params.minOdds, "Odds below minimum");
+        require(params.maxOdds == 0 || _odds <= params.maxOdds, "Odds above maximum");
+        require(!params.tickLadder || TickLadder.isOnLadder(_odds), "Odds not on tick ladder");
+        require(_amount >= params.minStake, "Stake below minimum");
+    }
+    
+    // Returns true if it stopped at MAX_MATCH_STEPS with orders still to look at
+    function _tryMatchOrder(bytes32 _orderId, bool _postOnly) internal returns (bool) {
+        Order storage newOrder = orders[_orderId];
+        OrderBook.Book storage book = books[newOrder.marketId][newOrder.outcome][newOrder.side == SIDE_BACK ? SIDE_LAY : SIDE_BACK];
+        
+        // Fill best price first, oldest first within a price; stop at the first level that doesn't cross.
+        // Expired orders met on the way are refunded to their owners and taken off the book
+        bytes32 restingId = book.first();
+        for (uint256 steps = 0; restingId != bytes32(0) && !newOrder.isMatched; steps++) {
+            if (steps == MAX_MATCH_STEPS) return true;
+            bytes32 nextId = book.next(restingId);
             
-            if (existingOrderId == _orderId || !existingOrder.isActive || existingOrder.isMatched) {
-                continue;
+            if (_isExpired(orders[restingId])) {
+                _cancelOrder(restingId);
+            } else {
+                if (!_canMatch(newOrder, orders[restingId])) {
+                    break;
+                }
+                require(!_postOnly, "Post-only order would match");
+                
+                _executeMatch(_orderId, restingId);
+                
+                if (orders[restingId].isMatched) {
+                    book.remove(restingId);
+                }
             }
             
-            // Check if orders can match (opposite sides, compatible odds)
-            if (_canMatch(newOrder, existingOrder)) {
-                _executeMatch(_orderId, existingOrderId);
-                break;
-            }
+            restingId = nextId;
         }
+        return false;
     }
     
-    function _canMatch(Order memory orderA, Order memory orderB) internal pure returns (bool) {
-        if (orderA.side == orderB.side) return false;
-        
-        // For simplicity, exact odds matching - could implement spread matching
-        uint256 impliedOddsA = (1e18 * 1e18) / orderA.odds;
-        uint256 impliedOddsB = orderB.odds;
+    function _isExpired(Order storage _order) internal view returns (bool) {
+        return _order.expiry != 0 && block.timestamp >= _order.expiry;
+    }
+    
+    // Ranking of price levels on each side, the level most likely to cross comes first:
+    // backers are happy with any higher price, so lays rest highest first and backs lowest first
+    function _isDescending(uint8 _side) internal pure returns (bool) {
+        return _side == SIDE_LAY;
+    }
+    
+    function _canMatch(Order storage orderA, Order storage orderB) internal view returns (bool) {
+        if (orderA.outcome != orderB.outcome || orderA.side == orderB.side) return false;
         
-        return impliedOddsA >= impliedOddsB;
+        // Crosses when the backer asks for no more than the layer offers
+        (Order storage back, Order storage lay) = orderA.side == SIDE_BACK ? (orderA, orderB) : (orderB, orderA);
+        return back.odds <= lay.odds;
     }
     
-    function _executeMatch(bytes32 _orderAId, bytes32 _orderBId) internal {
-        Order storage orderA = orders[_orderAId];
-        Order storage orderB = orders[_orderBId];
+    function _executeMatch(bytes32 _takerId, bytes32 _makerId) internal {
+        Order storage taker = orders[_takerId];
+        Order storage maker = orders[_makerId];
+        
+        uint256 remainingTaker = taker.amount - taker.filledAmount;
+        uint256 remainingMaker = maker.amount - maker.filledAmount;
+        uint256 matchAmount = remainingTaker < remainingMaker ? remainingTaker : remainingMaker;
+        
+        // Trades at the resting order's price
+        uint256 odds = maker.odds;
+        
+        // A laying taker locked liability at its own limit, the better price needs less of it
+        if (taker.side == SIDE_LAY && taker.odds > odds) {
+            uint256 locked = _liability(taker.filledAmount + matchAmount, taker.odds) -
+                _liability(taker.filledAmount, taker.odds);
+            uint256 improvement = locked - _liability(matchAmount, odds);
+            _unlock(taker.marketId, taker.user, improvement);
+        }
         
-        uint256 matchAmount = orderA.amount < orderB.amount ? orderA.amount : orderB.amount;
+        _recordMatch(_takerId, _makerId, matchAmount, odds);
+    }
+    
+    function _recordMatch(bytes32 _takerId, bytes32 _makerId, uint256 _amount, uint256 _odds) internal returns (bytes32 matchId) {
+        Order storage taker = orders[_takerId];
+        Order storage maker = orders[_makerId];
         
-        bytes32 matchId = keccak256(abi.encodePacked(_orderAId, _orderBId, block.timestamp));
+        matchId = keccak256(abi.encodePacked(address(this), ++matchCount));
         
         matches[matchId] = Match({
-            orderAId: _orderAId,
-            orderBId: _orderBId,
-            amount: matchAmount,
-            oddsA: orderA.odds,
-            oddsB: orderB.odds,
-            isSettled: false
+            backOrderId: taker.side == SIDE_BACK ? _takerId : _makerId,
+            layOrderId: taker.side == SIDE_BACK ? _makerId : _takerId,
+            amount: _amount,
+            odds: _odds,
+            isSettled: false,
+            commissionBps: commissionBps
         });
         
-        orderA.isMatched = true;
-        orderB.isMatched = true;
+        taker.filledAmount += _amount;
+        maker.filledAmount += _amount;
+        taker.isMatched = taker.filledAmount == taker.amount;
+        maker.isMatched = maker.filledAmount == maker.amount;
         
-        // Update market volume
-        if (orderA.side == 1) {
-            markets[orderA.marketId].totalVolumeA += matchAmount;
-            markets[orderA.marketId].totalVolumeB += matchAmount;
-        } else {
-            markets[orderA.marketId].totalVolumeB += matchAmount;
-            markets[orderA.marketId].totalVolumeA += matchAmount;
+        userMatches[taker.user][taker.marketId].push(matchId);
+        if (maker.user != taker.user) {
+            userMatches[maker.user][taker.marketId].push(matchId);
         }
         
-        emit OrderMatched(matchId, _orderAId, _orderBId);
+        // Update market volume
+        outcomeVolume[taker.marketId][taker.outcome] += _amount;
+        
+        emit OrderMatched(matchId, _takerId, _makerId);
     }
     
-    // AMM functionality for instant liquidity
-    function addLiquidity(bytes32 _marketId, uint256 _amount) external nonReentrant {
-        require(markets[_marketId].id != bytes32(0), "Market not found");
-        require(block.timestamp < markets[_marketId].endTime, "Market ended");
+    // Ledger
+    function deposit(uint256 _amount) external nonReentrant {
+        require(_amount > 0, "Invalid amount");
         require(baseToken.transferFrom(msg.sender, address(this), _amount), "Transfer failed");
         
-        LiquidityPool storage pool = liquidityPools[_marketId];
+        balances[msg.sender] += _amount;
         
-        if (pool.totalShares == 0) {
-            // First liquidity provider
-            pool.reserveA = _amount / 2;
-            pool.reserveB = _amount / 2;
-            pool.totalShares = _amount;
-            pool.userShares[msg.sender] = _amount;
-        } else {
-            // Calculate shares based on current reserves
-            uint256 totalReserve = pool.reserveA + pool.reserveB;
-            uint256 shares = (_amount * pool.totalShares) / totalReserve;
+        emit Deposited(msg.sender, _amount);
+    }
+    
+    function withdraw(uint256 _amount) external nonReentrant {
+        require(_amount > 0 && _amount <= balances[msg.sender], "Insufficient balance");
+        
+        balances[msg.sender] -= _amount;
+        require(baseToken.transfer(msg.sender, _amount), "Transfer failed");
+        
+        emit Withdrawn(msg.sender, _amount);
+    }
+    
+    // Takes the other side of a signed order at its price, for up to its unfilled stake
+    function fillOrder(SignedOrders.Order calldata _order, uint256 _fillAmount) external nonReentrant returns (bytes32) {
+        bytes32 makerId = _acceptSignedOrder(_order);
+        require(_fillAmount > 0 && _fillAmount <= _order.amount - orders[makerId].filledAmount, "Invalid fill amount");
+        
+        // The taker's side is recorded as an on-chain order that fills at once
+        bytes32 takerId = keccak256(abi.encodePacked(msg.sender, nextOrderNonce[msg.sender]++));
+        orders[takerId] = Order({
+            user: msg.sender,
+            marketId: _order.marketId,
+            outcome: _order.outcome,
+            side: _order.side == SIDE_BACK ? SIDE_LAY : SIDE_BACK,
+            amount: _fillAmount,
+            filledAmount: 0,
+            odds: _order.odds,
+            timestamp: block.timestamp,
+            expiry: 0,
+            isActive: true,
+            isMatched: false
+        });
+        marketOrders[_order.marketId].push(takerId);
+        emit OrderPlaced(takerId, msg.sender, _order.marketId);
+        
+        return _fillFromBalances(takerId, makerId, _fillAmount, _order.odds);
+    }
+    
+    // Matches two crossing signed orders; `_a` counts as the resting order and sets the price
+    function matchOrders(SignedOrders.Order calldata _a, SignedOrders.Order calldata _b) external nonReentrant returns (bytes32) {
+        bytes32 aId = _acceptSignedOrder(_a);
+        bytes32 bId = _acceptSignedOrder(_b);
+        require(_a.marketId == _b.marketId && _canMatch(orders[aId], orders[bId]), "Orders don't cross");
+        
+        uint256 remainingA = _a.amount - orders[aId].filledAmount;
+        uint256 remainingB = _b.amount - orders[bId].filledAmount;
+        
+        return _fillFromBalances(bId, aId, remainingA < remainingB ? remainingA : remainingB, _a.odds);
+    }
+    
+    function cancelOrderNonce(uint256 _nonce) external {
+        cancelledNonces[msg.sender][_nonce] = true;
+        emit OrderNonceCancelled(msg.sender, _nonce);
+    }
+    
+    function cancelOrdersBeforeNonce(uint256 _nonce) external {
+        require(_nonce > minValidNonce[msg.sender], "Nonce too low");
+        minValidNonce[msg.sender] = _nonce;
+        emit OrdersCancelledBeforeNonce(msg.sender, _nonce);
+    }
+    
+    function hashSignedOrder(SignedOrders.Order calldata _order) external view returns (bytes32) {
+        return SignedOrders.hash(_order, _domainSeparatorV4());
+    }
+    
+    // Checks a signed order can still trade and returns its hash, which doubles as its order ID.
+    // The order is recorded on its first fill but never rests on the book, so it can only be cancelled by nonce
+    function _acceptSignedOrder(SignedOrders.Order calldata _order) internal returns (bytes32 orderId) {
+        orderId = SignedOrders.verify(_order, _domainSeparatorV4());
+        require(
+            _order.nonce >= minValidNonce[_order.maker] && !cancelledNonces[_order.maker][_order.nonce],
+            "Order cancelled"
+        );
+        _requireTrading(_order.marketId);
+        
+        Order storage order = orders[orderId];
+        if (order.user == address(0)) {
+            require(_order.outcome >= 1 && _order.outcome <= markets[_order.marketId].outcomeCount, "Invalid outcome");
+            require(_order.side == SIDE_BACK || _order.side == SIDE_LAY, "Invalid side");
+            require(_order.amount > 0, "Invalid amount");
+            require(_order.odds > 1e18, "Invalid odds");
+            _checkTradingParams(_order.marketId, _order.amount, _order.odds);
             
-            pool.reserveA += _amount / 2;
-            pool.reserveB += _amount / 2;
-            pool.totalShares += shares;
-            pool.userShares[msg.sender] += shares;
+            orders[orderId] = Order({
+                user: _order.maker,
+                marketId: _order.marketId,
+                outcome: _order.outcome,
+                side: _order.side,
+                amount: _order.amount,
+                filledAmount: 0,
+                odds: _order.odds,
+                timestamp: block.timestamp,
+                expiry: _order.expiry,
+                isActive: true,
+                isMatched: false
+            });
+            marketOrders[_order.marketId].push(orderId);
         }
-        
-        emit LiquidityAdded(_marketId, msg.sender, _amount);
+        require(!order.isMatched, "Order filled");
+    }
+    
+    // The backer puts up the stake and the layer the liability at the matched price, both from deposits
+    function _fillFromBalances(bytes32 _takerId, bytes32 _makerId, uint256 _amount, uint256 _odds) internal returns (bytes32) {
+        bool takerBacks = orders[_takerId].side == SIDE_BACK;
+        address backer = takerBacks ? orders[_takerId].user : orders[_makerId].user;
+        address layer = takerBacks ? orders[_makerId].user : orders[_takerId].user;
+        
+        bytes32 marketId = orders[_takerId].marketId;
+        uint256 liability = _liability(_amount, _odds);
+        require(liability > 0, "Stake too small");
+        _lock(marketId, backer, _amount);
+        _lock(marketId, layer, liability);
+        
+        return _recordMatch(_takerId, _makerId, _amount, _odds);
+    }
+    
+    // AMM functionality for instant liquidity. It lives in AMMModule to keep this contract under the size limit
+    // and runs there by delegatecall, so it works on this contract's storage with the caller's balances
+    function addLiquidity(bytes32 /* _marketId */, uint256 /* _amount */) external nonReentrant {
+        _delegateTo(ammModule);
+    }
+    
+    function removeLiquidity(bytes32 /* _marketId */, uint256 /* _shares */) external nonReentrant returns (uint256) {
+        return abi.decode(_delegateTo(ammModule), (uint256));
     }
     
     function swapWithAMM(
-        bytes32 _marketId,
-        uint8 _side,
-        uint256 _amountIn
-    ) external nonReentrant returns (uint256 amountOut) {
-        require(markets[_marketId].isActive, "Market not active");
-        require(baseToken.transferFrom(msg.sender, address(this), _amountIn), "Transfer failed");
-        
-        LiquidityPool storage pool = liquidityPools[_marketId];
-        
-        // Simple constant product formula (x * y = k)
-        if (_side == 1) {
-            amountOut = (pool.reserveB * _amountIn) / (pool.reserveA + _amountIn);
-            pool.reserveA += _amountIn;
-            pool.reserveB -= amountOut;
-        } else {
-            amountOut = (pool.reserveA * _amountIn) / (pool.reserveB + _amountIn);
-            pool.reserveB += _amountIn;
-            pool.reserveA -= amountOut;
+        bytes32 /* _marketId */,
+        uint8 /* _outcome */,
+        uint256 /* _amountIn */,
+        uint256 /* _minAmountOut */,
+        uint256 /* _deadline */
+    ) external nonReentrant returns (uint256) {
+        return abi.decode(_delegateTo(ammModule), (uint256));
+    }
+    
+    function redeemPositions(bytes32 /* _marketId */) external nonReentrant returns (uint256) {
+        return abi.decode(_delegateTo(ammModule), (uint256));
+    }
+    
+    function claimVoidRefund(bytes32 /* _marketId */) external nonReentrant {
+        _delegateTo(ammModule);
+    }
+    
+    function _delegateTo(address _module) internal returns (bytes memory) {
+        return Address.functionDelegateCall(_module, msg.data);
+    }
+    
+    function quoteSwap(bytes32 _marketId, uint8 _outcome, uint256 _amountIn) external view returns (uint256) {
+        require(_outcome >= 1 && _outcome <= markets[_marketId].outcomeCount, "Invalid outcome");
+        if (liquidityPools[_marketId].totalShares == 0) return 0;
+        
+        uint256 investment = _amountIn - (_amountIn * commissionBps) / BPS_DENOMINATOR;
+        return liquidityPools[_marketId].quoteBuy(markets[_marketId].outcomeCount, _outcome, investment);
+    }
+    
+    // Settlement runs in MarketModule: the oracle's result is proposed, then finalized once the dispute
+    // window passes or the arbitrator rules. Claims only open after that
+    function settleMarket(bytes32 /* _marketId */) external nonReentrant {
+        _delegateTo(marketModule);
+    }
+    
+    function disputeSettlement(bytes32 /* _marketId */) external nonReentrant {
+        _delegateTo(marketModule);
+    }
+    
+    function resolveDispute(bytes32 /* _marketId */, uint8 /* _outcome */) external nonReentrant {
+        _delegateTo(marketModule);
+    }
+    
+    function finalizeSettlement(bytes32 /* _marketId */) external nonReentrant {
+        _delegateTo(marketModule);
+    }
+    
+    function voidMarket(bytes32 /* _marketId */) external nonReentrant {
+        _delegateTo(marketModule);
+    }
+    
+    function claimWinnings(bytes32 _matchId) external nonReentrant {
+        Match storage matchData = matches[_matchId];
+        require(!matchData.isSettled, "Already claimed");
+        
+        Order storage backOrder = orders[matchData.backOrderId];
+        Order storage layOrder = orders[matchData.layOrderId];
+        require(msg.sender == backOrder.user || msg.sender == layOrder.user, "Not a participant");
+        require(markets[backOrder.marketId].isSettled, "Market not settled");
+        
+        // Either participant can close the match, the payout always goes to the winner
+        _settleMatch(_matchId);
+    }
+    
+    function claimAll(bytes32 _marketId) external nonReentrant returns (uint256 payout) {
+        require(markets[_marketId].isSettled, "Market not settled");
+        
+        bytes32[] storage matchIds = userMatches[msg.sender][_marketId];
+        for (uint i = 0; i < matchIds.length; i++) {
+            uint256 owed = _claimableBy(matchIds[i], msg.sender);
+            if (owed > 0) {
+                payout += owed;
+                _settleMatch(matchIds[i]);
+            }
         }
         
-        // Store position for user (simplified)
-        userBalances[msg.sender] += amountOut;
+        require(payout > 0, "Nothing to claim");
     }
     
-    function settleMarket(bytes32 _marketId) external {
-        Market storage market = markets[_marketId];
-        require(block.timestamp >= market.settlementTime, "Not ready for settlement");
-        require(!market.isSettled, "Already settled");
+    function _settleMatch(bytes32 _matchId) internal {
+        Match storage matchData = matches[_matchId];
+        Order storage backOrder = orders[matchData.backOrderId];
+        address layer = orders[matchData.layOrderId].user;
         
-        (bool settled, uint8 outcome) = oracle.isSettled(_marketId);
-        require(settled, "Oracle not settled");
+        matchData.isSettled = true;
         
-        market.isSettled = true;
-        market.outcome = outcome;
-        market.isActive = false;
+        // The match no longer needs either side's collateral locked
+        lockedBalances[backOrder.user] -= matchData.amount;
+        lockedBalances[layer] -= _liability(matchData.amount, matchData.odds);
         
-        emit MarketSettled(_marketId, outcome);
+        if (markets[backOrder.marketId].outcome == OUTCOME_VOID) {
+            // Void: the backer gets the stake back, the layer the liability
+            _payWinnings(_matchId, backOrder.user, matchData.amount);
+            _payWinnings(_matchId, layer, _liability(matchData.amount, matchData.odds));
+        } else {
+            // Winner gets all collateral, less commission on the loser's stake
+            (address winner, uint256 payout, uint256 fee) = _winnerPayout(_matchId);
+            accruedFees += fee;
+            _payWinnings(_matchId, winner, payout);
+        }
     }
     
-    function claimWinnings(bytes32 _matchId) external nonReentrant {
+    function _winnerPayout(bytes32 _matchId) internal view returns (address winner, uint256 payout, uint256 fee) {
         Match storage matchData = matches[_matchId];
-        require(!matchData.isSettled, "Already claimed");
+        Order storage backOrder = orders[matchData.backOrderId];
         
-        Order storage orderA = orders[matchData.orderAId];
-        Order storage orderB = orders[matchData.orderBId];
-        Market storage market = markets[orderA.marketId];
+        uint256 stake = matchData.amount;
+        uint256 liability = _liability(stake, matchData.odds);
         
-        require(market.isSettled, "Market not settled");
+        // Backers win when their outcome comes in, layers win on any other result
+        bool backWins = backOrder.outcome == markets[backOrder.marketId].outcome;
+        winner = backWins ? backOrder.user : orders[matchData.layOrderId].user;
         
-        address winner;
-        uint256 payout;
+        // Net winnings are what the loser put up
+        fee = ((backWins ? liability : stake) * matchData.commissionBps) / BPS_DENOMINATOR;
+        payout = stake + liability - fee;
+    }
+    
+    // Credited to the ledger rather than transferred, so a recipient that can't take tokens never blocks a claim
+    function _payWinnings(bytes32 _matchId, address _to, uint256 _amount) internal {
+        balances[_to] += _amount;
+        emit WinningsClaimed(_matchId, _to, _amount);
+    }
+    
+    // What settling a match would pay `_user`; zero for losers, unsettled markets and closed matches
+    function _claimableBy(bytes32 _matchId, address _user) internal view returns (uint256 owed) {
+        Match storage matchData = matches[_matchId];
+        Market storage market = markets[orders[matchData.backOrderId].marketId];
         
-        // Calculate total collateral for this match
-        uint256 collateralA = orderA.side == 1 ? matchData.amount : (matchData.amount * matchData.oddsA) / 1e18;
-        uint256 collateralB = orderB.side == 1 ? matchData.amount : (matchData.amount * matchData.oddsB) / 1e18;
-        uint256 totalCollateral = collateralA + collateralB;
+        if (matchData.isSettled || !market.isSettled) {
+            return 0;
+        }
         
-        if ((market.outcome == 1 && orderA.side == 1) || (market.outcome == 2 && orderA.side == 2)) {
-            winner = orderA.user;
-            payout = totalCollateral; // Winner gets all collateral
-        } else if ((market.outcome == 1 && orderB.side == 1) || (market.outcome == 2 && orderB.side == 2)) {
-            winner = orderB.user;
-            payout = totalCollateral; // Winner gets all collateral
+        if (market.outcome == OUTCOME_VOID) {
+            if (orders[matchData.backOrderId].user == _user) owed += matchData.amount;
+            if (orders[matchData.layOrderId].user == _user) owed += _liability(matchData.amount, matchData.odds);
+        } else {
+            (address winner, uint256 payout, ) = _winnerPayout(_matchId);
+            if (winner == _user) owed = payout;
         }
+    }
+    
+    function getAccount(address _user) external view returns (uint256 free, uint256 locked) {
+        return (balances[_user], lockedBalances[_user]);
+    }
+    
+    function getRemainingAmount(bytes32 _orderId) external view returns (uint256) {
+        Order storage order = orders[_orderId];
+        if (!order.isActive) return 0;
+        return order.amount - order.filledAmount;
+    }
+    
+    function withdrawFees(address _to, uint256 _amount) external onlyRole(FEE_MANAGER_ROLE) nonReentrant {
+        require(_to != address(0), "Invalid recipient");
+        require(_amount <= accruedFees, "Insufficient fees");
+        
+        accruedFees -= _amount;
+        require(baseToken.transfer(_to, _amount), "Transfer failed");
         
-        if (winner != address(0)) {
-            matchData.isSettled = true;
-            require(baseToken.transfer(winner, payout), "Transfer failed");
+        emit FeesWithdrawn(_to, _amount);
+    }
+    
+    // Fee, pause and oracle administration live in AdminModule
+    function setFees(uint256 /* _commissionBps */, uint256 /* _lpFeeShareBps */) external {
+        _delegateTo(adminModule);
+    }
+    
+    function pause() external {
+        _delegateTo(adminModule);
+    }
+    
+    function unpause() external {
+        _delegateTo(adminModule);
+    }
+    
+    function setSettlementConfig(uint256 /* _disputeWindow */, uint256 /* _disputeBond */) external {
+        _delegateTo(adminModule);
+    }
+    
+    function setOracle(address /* _oracle */) external {
+        _delegateTo(adminModule);
+    }
+    
+    function applyOracle() external {
+        _delegateTo(adminModule);
+    }
+    
+    function getPoolInfo(bytes32 _marketId, address _user) external view returns (
+        uint256[] memory reserves, // indexed by outcome - 1
+        uint256 totalShares,
+        uint256 userShares
+    ) {
+        MarketAMM.Pool storage pool = liquidityPools[_marketId];
+        return (pool.getReserves(markets[_marketId].outcomeCount), pool.totalShares, pool.userShares[_user]);
+    }
+    
+    function getMarketParams(bytes32 _marketId) external view returns (MarketParams memory) {
+        return marketParams[_marketId];
+    }
+    
+    function getMarketOutcomes(bytes32 _marketId) external view returns (string[] memory) {
+        return marketOutcomes[_marketId];
+    }
+    
+    function getUserMatches(address _user, bytes32 _marketId) external view returns (bytes32[] memory) {
+        return userMatches[_user][_marketId];
+    }
+    
+    function getClaimableAmount(address _user, bytes32 _marketId) external view returns (uint256 claimable) {
+        bytes32[] storage matchIds = userMatches[_user][_marketId];
+        for (uint i = 0; i < matchIds.length; i++) {
+            claimable += _claimableBy(matchIds[i], _user);
         }
     }
     
@@ -298,19 +645,28 @@ contract BettingMatchingEngine is ReentrancyGuard, Ownable {
         return marketOrders[_marketId];
     }
     
+    // The price hint for placing at `_odds`, read off-chain just before placeLimitOrder on a deep book
+    function getPriceHint(bytes32 _marketId, uint8 _outcome, uint8 _side, uint256 _odds) external view returns (uint256) {
+        return books[_marketId][_outcome][_side].levelAhead(_odds, _isDescending(_side));
+    }
+    
     function getOrderBook(bytes32 _marketId) external view returns (
         bytes32[] memory orderIds,
         uint256[] memory amounts,
         uint256[] memory odds,
-        uint8[] memory sides
+        uint8[] memory sides,
+        uint8[] memory outcomes
     ) {
-        bytes32[] storage orderList = marketOrders[_marketId];
+        uint8 outcomeCount = markets[_marketId].outcomeCount;
         uint256 activeCount = 0;
         
-        // Count active orders
-        for (uint i = 0; i < orderList.length; i++) {
-            if (orders[orderList[i]].isActive && !orders[orderList[i]].isMatched) {
-                activeCount++;
+        // Count resting orders, leaving out expired ones the matcher would skip
+        for (uint8 outcome = 1; outcome <= outcomeCount; outcome++) {
+            for (uint8 side = SIDE_BACK; side <= SIDE_LAY; side++) {
+                OrderBook.Book storage book = books[_marketId][outcome][side];
+                for (bytes32 orderId = book.first(); orderId != bytes32(0); orderId = book.next(orderId)) {
+                    if (!_isExpired(orders[orderId])) activeCount++;
+                }
             }
         }
         
@@ -318,17 +674,24 @@ contract BettingMatchingEngine is ReentrancyGuard, Ownable {
         amounts = new uint256[](activeCount);
         odds = new uint256[](activeCount);
         sides = new uint8[](activeCount);
+        outcomes = new uint8[](activeCount);
         
+        // Grouped by outcome then side, each book listed in matching priority: best price first, then oldest first
         uint256 index = 0;
-        for (uint i = 0; i < orderList.length; i++) {
-            Order storage order = orders[orderList[i]];
-            if (order.isActive && !order.isMatched) {
-                orderIds[index] = orderList[i];
-                amounts[index] = order.amount;
-                odds[index] = order.odds;
-                sides[index] = order.side;
-                index++;
+        for (uint8 outcome = 1; outcome <= outcomeCount; outcome++) {
+            for (uint8 side = SIDE_BACK; side <= SIDE_LAY; side++) {
+                OrderBook.Book storage book = books[_marketId][outcome][side];
+                for (bytes32 orderId = book.first(); orderId != bytes32(0); orderId = book.next(orderId)) {
+                    Order storage order = orders[orderId];
+                    if (_isExpired(order)) continue;
+                    orderIds[index] = orderId;
+                    amounts[index] = order.amount - order.filledAmount;
+                    odds[index] = order.odds;
+                    sides[index] = side;
+                    outcomes[index] = outcome;
+                    index++;
+                }
             }
         }
     }
-}
\ No newline at end of file
+}
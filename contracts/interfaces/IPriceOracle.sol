@@ -0,0 +1,8 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+interface IPriceOracle {
+    function getPrice(bytes32 marketId) external view returns (uint256, uint256); // price, timestamp
+    function getPriceAt(bytes32 marketId, uint256 timestamp) external view returns (uint256, uint256); // first price observed at or after `timestamp` and when, (0, 0) until there is one
+    function isSettled(bytes32 marketId) external view returns (bool, uint8); // settled, winning outcome index (1-based) or OUTCOME_VOID
+}
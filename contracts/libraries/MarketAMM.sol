@@ -0,0 +1,152 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title MarketAMM
+ * @notice Fixed product market maker over complete sets of outcome shares. Every base token paid
+ * in mints one share of every outcome, the pool holds a reserve of each outcome and a purchase is
+ * priced so the product of all reserves never shrinks; the winning share redeems for 1 base token.
+ * Outcomes are numbered 1..outcomeCount.
+ */
+library MarketAMM {
+    struct Pool {
+        mapping(uint8 => uint256) reserves; // outcome => shares held by the pool
+        uint256 totalShares;
+        mapping(address => uint256) userShares;
+        mapping(address => uint256) deposits; // base tokens paid in by each user, refunded if the market is voided
+    }
+    
+    /**
+     * @dev Adds `_amount` complete sets for `_provider`. The first provider sets an even price across
+     * outcomes; later ones add in proportion to the reserves so prices don't move, and the shares of
+     * scarcer outcomes that don't fit are credited to `_position`.
+     */
+    function addLiquidity(
+        Pool storage self,
+        mapping(uint8 => uint256) storage _position,
+        uint8 _outcomeCount,
+        address _provider,
+        uint256 _amount
+    ) internal {
+        if (self.totalShares == 0) {
+            for (uint8 i = 1; i <= _outcomeCount; i++) {
+                self.reserves[i] = _amount;
+            }
+            self.totalShares = _amount;
+            self.userShares[_provider] = _amount;
+        } else {
+            uint256 poolWeight = 0;
+            for (uint8 i = 1; i <= _outcomeCount; i++) {
+                if (self.reserves[i] > poolWeight) poolWeight = self.reserves[i];
+            }
+            
+            for (uint8 i = 1; i <= _outcomeCount; i++) {
+                uint256 added = (_amount * self.reserves[i]) / poolWeight;
+                self.reserves[i] += added;
+                _position[i] += _amount - added;
+            }
+            
+            uint256 shares = (_amount * self.totalShares) / poolWeight;
+            self.totalShares += shares;
+            self.userShares[_provider] += shares;
+        }
+        
+        self.deposits[_provider] += _amount;
+    }
+    
+    /**
+     * @dev Burns `_shares` for their slice of every reserve and returns the base tokens owed.
+     * Once `_winningOutcome` is known the pool PnL is realised and only that reserve pays. Before
+     * settlement (`_winningOutcome` = 0) complete sets are merged back into base tokens, but never
+     * beyond what the provider paid in so a later VOID can still refund everyone; the rest of the
+     * slice is credited to `_position` as outcome shares.
+     */
+    function removeLiquidity(
+        Pool storage self,
+        mapping(uint8 => uint256) storage _position,
+        uint8 _outcomeCount,
+        uint8 _winningOutcome,
+        address _provider,
+        uint256 _shares
+    ) internal returns (uint256 payout) {
+        require(_shares > 0 && _shares <= self.userShares[_provider], "Invalid shares");
+        
+        uint256[] memory amounts = new uint256[](_outcomeCount + 1);
+        uint256 sets = type(uint256).max;
+        for (uint8 i = 1; i <= _outcomeCount; i++) {
+            amounts[i] = (self.reserves[i] * _shares) / self.totalShares;
+            self.reserves[i] -= amounts[i];
+            if (amounts[i] < sets) sets = amounts[i];
+        }
+        
+        self.totalShares -= _shares;
+        self.userShares[_provider] -= _shares;
+        
+        if (_winningOutcome != 0) {
+            return amounts[_winningOutcome];
+        }
+        
+        payout = sets < self.deposits[_provider] ? sets : self.deposits[_provider];
+        self.deposits[_provider] -= payout;
+        for (uint8 i = 1; i <= _outcomeCount; i++) {
+            _position[i] += amounts[i] - payout;
+        }
+    }
+    
+    /**
+     * @dev Mints `_investment` complete sets into the pool and takes `_outcome` back out at the fixed
+     * product price, returning the shares bought. `_extraSets` are minted into every reserve on top
+     * without buying anything, which is how swap fees are left to the liquidity providers.
+     */
+    function buy(
+        Pool storage self,
+        uint8 _outcomeCount,
+        uint8 _outcome,
+        uint256 _investment,
+        uint256 _extraSets
+    ) internal returns (uint256 amountOut) {
+        amountOut = quoteBuy(self, _outcomeCount, _outcome, _investment);
+        
+        for (uint8 i = 1; i <= _outcomeCount; i++) {
+            self.reserves[i] += _investment + _extraSets;
+        }
+        self.reserves[_outcome] -= amountOut;
+    }
+    
+    /**
+     * @dev Shares of `_outcome` that `_investment` buys: it mints that many sets, then the outcome is
+     * taken out until the product of all reserves is back where it was. The running product is scaled
+     * up to keep its precision and rounded up so the invariant never shrinks.
+     */
+    function quoteBuy(
+        Pool storage self,
+        uint8 _outcomeCount,
+        uint8 _outcome,
+        uint256 _investment
+    ) internal view returns (uint256) {
+        uint256 bought = self.reserves[_outcome];
+        uint256 endingBalance = bought * 1e18;
+        for (uint8 i = 1; i <= _outcomeCount; i++) {
+            if (i != _outcome) {
+                uint256 reserve = self.reserves[i];
+                endingBalance = _ceilDiv(endingBalance * reserve, reserve + _investment);
+            }
+        }
+        
+        return bought + _investment - _ceilDiv(endingBalance, 1e18);
+    }
+    
+    /**
+     * @dev Reserves of every outcome, indexed by outcome - 1.
+     */
+    function getReserves(Pool storage self, uint8 _outcomeCount) internal view returns (uint256[] memory reserves) {
+        reserves = new uint256[](_outcomeCount);
+        for (uint8 i = 0; i < _outcomeCount; i++) {
+            reserves[i] = self.reserves[i + 1];
+        }
+    }
+    
+    function _ceilDiv(uint256 a, uint256 b) private pure returns (uint256) {
+        return (a + b - 1) / b;
+    }
+}
@@ -0,0 +1,168 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title OrderBook
+ * @notice One side of a price-time priority book. Price levels (keyed by odds) form a
+ * sorted doubly linked list starting at the best level, and every level holds a FIFO
+ * queue of order IDs. Matching only ever touches the head of the book, so its cost
+ * depends on the orders actually filled rather than on how many orders the market has seen.
+ * Placing an order at a new price walks the levels ahead of it. The caller may pass a hint, a live
+ * level ranked ahead of the new price, to start the walk from, and the walk gives up after
+ * MAX_INSERT_STEPS levels so no number of levels can make an insert run out of gas.
+ */
+library OrderBook {
+    uint256 internal constant MAX_INSERT_STEPS = 100;
+    
+    struct Level {
+        uint256 prev; // better neighbouring level, 0 if this is the best level
+        uint256 next; // worse neighbouring level, 0 if this is the worst level
+        bytes32 head; // oldest order resting at this level
+        bytes32 tail; // newest order resting at this level
+    }
+    
+    struct Node {
+        bytes32 prev;
+        bytes32 next;
+        uint256 odds;
+    }
+    
+    struct Book {
+        uint256 best; // odds of the best level, 0 when the book is empty
+        mapping(uint256 => Level) levels;
+        mapping(bytes32 => Node) nodes;
+    }
+    
+    /**
+     * @dev Appends an order to the back of its price level, creating the level if needed.
+     * `_descending` selects whether higher odds rank ahead of lower ones on this side, and a
+     * nonzero `_hint` is the level to start looking for a new level's place from.
+     */
+    function insert(Book storage self, bytes32 _orderId, uint256 _odds, bool _descending, uint256 _hint) internal {
+        require(_odds != 0, "Invalid odds");
+        Level storage level = self.levels[_odds];
+        
+        if (level.head == bytes32(0)) {
+            _insertLevel(self, _odds, _descending, _hint);
+            level.head = _orderId;
+        } else {
+            self.nodes[level.tail].next = _orderId;
+            self.nodes[_orderId].prev = level.tail;
+        }
+        
+        level.tail = _orderId;
+        self.nodes[_orderId].odds = _odds;
+    }
+    
+    /**
+     * @dev Unlinks an order from its level and drops the level once it is empty.
+     */
+    function remove(Book storage self, bytes32 _orderId) internal {
+        Node storage node = self.nodes[_orderId];
+        uint256 odds = node.odds;
+        require(odds != 0, "Order not in book");
+        Level storage level = self.levels[odds];
+        
+        if (node.prev == bytes32(0)) {
+            level.head = node.next;
+        } else {
+            self.nodes[node.prev].next = node.next;
+        }
+        
+        if (node.next == bytes32(0)) {
+            level.tail = node.prev;
+        } else {
+            self.nodes[node.next].prev = node.prev;
+        }
+        
+        delete self.nodes[_orderId];
+        
+        if (level.head == bytes32(0)) {
+            _removeLevel(self, odds);
+        }
+    }
+    
+    /**
+     * @dev Oldest order at the best price, or zero when the book is empty.
+     */
+    function first(Book storage self) internal view returns (bytes32) {
+        return self.levels[self.best].head;
+    }
+    
+    /**
+     * @dev Order after `_orderId` in priority order, crossing into the next level when needed.
+     */
+    function next(Book storage self, bytes32 _orderId) internal view returns (bytes32) {
+        Node storage node = self.nodes[_orderId];
+        if (node.next != bytes32(0)) {
+            return node.next;
+        }
+        return self.levels[self.levels[node.odds].next].head;
+    }
+    
+    function contains(Book storage self, bytes32 _orderId) internal view returns (bool) {
+        return self.nodes[_orderId].odds != 0;
+    }
+    
+    /**
+     * @dev The worst level ranked ahead of `_odds`, the best hint for inserting at it, or zero if none is.
+     * Walks the whole side, so it is meant for off-chain calls.
+     */
+    function levelAhead(Book storage self, uint256 _odds, bool _descending) internal view returns (uint256 ahead) {
+        for (uint256 cursor = self.best; cursor != 0 && _ranksAhead(cursor, _odds, _descending); cursor = self.levels[cursor].next) {
+            ahead = cursor;
+        }
+    }
+    
+    function _insertLevel(Book storage self, uint256 _odds, bool _descending, uint256 _hint) private {
+        uint256 prev = 0;
+        uint256 cursor = self.best;
+        
+        if (_hint != 0) {
+            require(self.levels[_hint].head != bytes32(0) && _ranksAhead(_hint, _odds, _descending), "Invalid price hint");
+            prev = _hint;
+            cursor = self.levels[_hint].next;
+        }
+        
+        // Walk live levels only until we find the first one ranked behind the new price
+        for (uint256 steps = 0; cursor != 0 && _ranksAhead(cursor, _odds, _descending); steps++) {
+            require(steps < MAX_INSERT_STEPS, "Price hint too far");
+            prev = cursor;
+            cursor = self.levels[cursor].next;
+        }
+        
+        Level storage level = self.levels[_odds];
+        level.prev = prev;
+        level.next = cursor;
+        
+        if (prev == 0) {
+            self.best = _odds;
+        } else {
+            self.levels[prev].next = _odds;
+        }
+        
+        if (cursor != 0) {
+            self.levels[cursor].prev = _odds;
+        }
+    }
+    
+    function _removeLevel(Book storage self, uint256 _odds) private {
+        Level storage level = self.levels[_odds];
+        
+        if (level.prev == 0) {
+            self.best = level.next;
+        } else {
+            self.levels[level.prev].next = level.next;
+        }
+        
+        if (level.next != 0) {
+            self.levels[level.next].prev = level.prev;
+        }
+        
+        delete self.levels[_odds];
+    }
+    
+    function _ranksAhead(uint256 _level, uint256 _odds, bool _descending) private pure returns (bool) {
+        return _descending ? _level > _odds : _level < _odds;
+    }
+}
@@ -0,0 +1,60 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+
+/**
+ * @title SignedOrders
+ * @notice EIP-712 orders signed off-chain by their maker and submitted on-chain by whoever fills
+ * them. The signature is not part of the signed data. Hashing and signature recovery live here,
+ * deployed once and linked, so the engine only keeps the nonce and fill bookkeeping.
+ */
+library SignedOrders {
+    struct Order {
+        address maker;
+        bytes32 marketId;
+        uint8 outcome;
+        uint8 side;
+        uint256 amount; // backer's stake, as for on-chain orders
+        uint256 odds;
+        uint256 expiry;
+        uint256 nonce;
+        uint256 salt;
+        bytes signature;
+    }
+    
+    bytes32 internal constant TYPEHASH = keccak256(
+        "SignedOrder(address maker,bytes32 marketId,uint8 outcome,uint8 side,uint256 amount,uint256 odds,uint256 expiry,uint256 nonce,uint256 salt)"
+    );
+    
+    /**
+     * @dev EIP-712 digest of `_order` under `_domainSeparator`; it is what the maker signs and
+     * doubles as the order ID.
+     */
+    function hash(Order calldata _order, bytes32 _domainSeparator) public pure returns (bytes32) {
+        bytes32 structHash = keccak256(abi.encode(
+            TYPEHASH,
+            _order.maker,
+            _order.marketId,
+            _order.outcome,
+            _order.side,
+            _order.amount,
+            _order.odds,
+            _order.expiry,
+            _order.nonce,
+            _order.salt
+        ));
+        return MessageHashUtils.toTypedDataHash(_domainSeparator, structHash);
+    }
+    
+    /**
+     * @dev Returns the digest of `_order` once its signature is checked against the maker and it
+     * hasn't expired. Nonces are left to the caller.
+     */
+    function verify(Order calldata _order, bytes32 _domainSeparator) external view returns (bytes32 digest) {
+        digest = hash(_order, _domainSeparator);
+        require(ECDSA.recover(digest, _order.signature) == _order.maker, "Invalid signature");
+        require(block.timestamp <= _order.expiry, "Order expired");
+    }
+}
@@ -0,0 +1,39 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title TickLadder
+ * @notice The Betfair price ladder for decimal odds scaled by 1e18. Prices run from 1.01 to 1000 and
+ * the increment widens as the odds lengthen, so every price on the ladder is a sensible step away
+ * from its neighbours and liquidity collects on a limited set of levels.
+ */
+library TickLadder {
+    uint256 internal constant MIN_PRICE = 1.01e18;
+    uint256 internal constant MAX_PRICE = 1000e18;
+    
+    /**
+     * @dev Increment that applies up to and including `_odds`: 0.01 up to 2, 0.02 up to 3, 0.05 up
+     * to 4, 0.1 up to 6, 0.2 up to 10, 0.5 up to 20, 1 up to 30, 2 up to 50, 5 up to 100, then 10.
+     */
+    function tickSize(uint256 _odds) internal pure returns (uint256) {
+        if (_odds <= 2e18) return 0.01e18;
+        if (_odds <= 3e18) return 0.02e18;
+        if (_odds <= 4e18) return 0.05e18;
+        if (_odds <= 6e18) return 0.1e18;
+        if (_odds <= 10e18) return 0.2e18;
+        if (_odds <= 20e18) return 0.5e18;
+        if (_odds <= 30e18) return 1e18;
+        if (_odds <= 50e18) return 2e18;
+        if (_odds <= 100e18) return 5e18;
+        return 10e18;
+    }
+    
+    /**
+     * @dev Whether `_odds` is a price on the ladder. Every band boundary is a multiple of the next
+     * band's increment, so checking against the increment of the band the price falls in is enough.
+     */
+    function isOnLadder(uint256 _odds) internal pure returns (bool) {
+        if (_odds < MIN_PRICE || _odds > MAX_PRICE) return false;
+        return _odds % tickSize(_odds) == 0;
+    }
+}
@@ -1,6 +1,10 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+interface IBettingEngine {
+    function settleMarket(bytes32 marketId) external;
+}
+
 contract MockPriceOracle {
     struct MarketData {
         uint256 price;
@@ -10,8 +14,20 @@ contract MockPriceOracle {
     }
     
     mapping(bytes32 => MarketData) public markets;
+    mapping(bytes32 => uint256[2][]) internal priceHistory; // every setPrice as [price, timestamp]
     address public owner;
     
+    // Chainlink-style rounds, so the mock can also stand in for a price feed. Like a feed proxy, a
+    // round ID is the phase in the top bits over a round number that starts at 1 in every phase
+    struct Round {
+        int256 answer;
+        uint256 updatedAt;
+    }
+    
+    mapping(uint80 => Round) internal rounds;
+    uint80 internal latestRound;
+    uint8 public decimals = 8;
+    
     constructor() {
         owner = msg.sender;
     }
@@ -26,6 +42,14 @@ contract MockPriceOracle {
         return (market.price, market.timestamp);
     }
     
+    function getPriceAt(bytes32 marketId, uint256 timestamp) external view returns (uint256, uint256) {
+        uint256[2][] storage history = priceHistory[marketId];
+        for (uint i = 0; i < history.length; i++) {
+            if (history[i][1] >= timestamp) return (history[i][0], history[i][1]);
+        }
+        return (0, 0);
+    }
+    
     function isSettled(bytes32 marketId) external view returns (bool, uint8) {
         MarketData memory market = markets[marketId];
         return (market.settled, market.outcome);
@@ -34,15 +58,22 @@ contract MockPriceOracle {
     function setPrice(bytes32 marketId, uint256 price) external {
         markets[marketId].price = price;
         markets[marketId].timestamp = block.timestamp;
+        priceHistory[marketId].push([price, block.timestamp]);
     }
     
     function settleMarket(bytes32 marketId, uint8 outcome) external {
-        require(outcome == 1 || outcome == 2, "Invalid outcome");
+        require(outcome != 0 && outcome != type(uint8).max, "Invalid outcome"); // any outcome index, see voidMarket for VOID
         markets[marketId].settled = true;
         markets[marketId].outcome = outcome;
         markets[marketId].timestamp = block.timestamp;
     }
     
+    function voidMarket(bytes32 marketId) external {
+        markets[marketId].settled = true;
+        markets[marketId].outcome = type(uint8).max; // BettingMatchingEngine.OUTCOME_VOID
+        markets[marketId].timestamp = block.timestamp;
+    }
+    
     // For test compatibility
     function setOutcome(bytes32 marketId, bool settled, uint8 outcome) external {
         markets[marketId].settled = settled;
@@ -50,7 +81,41 @@ contract MockPriceOracle {
         markets[marketId].timestamp = block.timestamp;
     }
     
+    function setDecimals(uint8 feedDecimals) external {
+        decimals = feedDecimals;
+    }
+    
+    // Publishes a new feed round at the current time
+    function setAnswer(int256 answer) external {
+        latestRound++;
+        rounds[latestRound] = Round(answer, block.timestamp);
+    }
+    
+    // Moves the feed onto a new aggregator, whose rounds are numbered from 1 again
+    function startPhase() external {
+        latestRound = ((latestRound >> 64) + 1) << 64;
+    }
+    
+    function latestRoundData() external view returns (uint80, int256, uint256, uint256, uint80) {
+        return getRoundData(latestRound);
+    }
+    
+    function getRoundData(uint80 roundId) public view returns (uint80, int256, uint256, uint256, uint80) {
+        Round memory round = rounds[roundId];
+        require(round.updatedAt != 0, "No data present");
+        return (roundId, round.answer, round.updatedAt, round.updatedAt, roundId);
+    }
+    
     function resetMarket(bytes32 marketId) external {
         delete markets[marketId];
     }
+    
+    // Reports an outcome and pushes it to the engine as a settlement proposal in one go, the way a
+    // keeper would once the result is in; the proposal then goes through the engine's dispute window
+    function reportOutcome(address engine, bytes32 marketId, uint8 outcome) external {
+        markets[marketId].settled = true;
+        markets[marketId].outcome = outcome;
+        markets[marketId].timestamp = block.timestamp;
+        IBettingEngine(engine).settleMarket(marketId);
+    }
 } 
\ No newline at end of file
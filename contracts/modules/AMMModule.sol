@@ -0,0 +1,109 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../BettingEngineBase.sol";
+
+/**
+ * @title AMMModule
+ * @notice AMM entry points of BettingMatchingEngine. The engine delegatecalls into this contract with
+ * the original calldata, so everything here runs against the engine's storage and ledger, behind the
+ * engine's reentrancy guard. Calling the module directly only ever touches its own, empty storage.
+ */
+contract AMMModule is BettingEngineBase {
+    using MarketAMM for MarketAMM.Pool;
+    
+    function addLiquidity(bytes32 _marketId, uint256 _amount) external {
+        _requireTrading(_marketId);
+        _debit(msg.sender, _amount);
+        
+        liquidityPools[_marketId].addLiquidity(
+            positions[_marketId][msg.sender],
+            markets[_marketId].outcomeCount,
+            msg.sender,
+            _amount
+        );
+        
+        emit LiquidityAdded(_marketId, msg.sender, _amount);
+    }
+    
+    function removeLiquidity(bytes32 _marketId, uint256 _shares) external returns (uint256 payout) {
+        Market storage market = markets[_marketId];
+        require(market.id != bytes32(0), "Market not found");
+        require(market.outcome != OUTCOME_VOID, "Market void");
+        
+        // After settlement only the winning reserve pays out
+        payout = liquidityPools[_marketId].removeLiquidity(
+            positions[_marketId][msg.sender],
+            market.outcomeCount,
+            market.isSettled ? market.outcome : 0,
+            msg.sender,
+            _shares
+        );
+        
+        balances[msg.sender] += payout;
+        
+        emit LiquidityRemoved(_marketId, msg.sender, _shares, payout);
+    }
+    
+    function swapWithAMM(
+        bytes32 _marketId,
+        uint8 _outcome,
+        uint256 _amountIn,
+        uint256 _minAmountOut,
+        uint256 _deadline
+    ) external returns (uint256 amountOut) {
+        require(block.timestamp <= _deadline, "Swap expired");
+        _requireTrading(_marketId);
+        require(_outcome >= 1 && _outcome <= markets[_marketId].outcomeCount, "Invalid outcome");
+        require(liquidityPools[_marketId].totalShares > 0, "No liquidity");
+        _debit(msg.sender, _amountIn);
+        
+        MarketAMM.Pool storage pool = liquidityPools[_marketId];
+        pool.deposits[msg.sender] += _amountIn;
+        
+        // Commission comes off the input; the LP share stays in the pool, the rest waits for settlement
+        uint256 fee = (_amountIn * commissionBps) / BPS_DENOMINATOR;
+        uint256 lpFee = (fee * lpFeeShareBps) / BPS_DENOMINATOR;
+        pendingSwapFees[_marketId] += fee - lpFee;
+        
+        amountOut = pool.buy(markets[_marketId].outcomeCount, _outcome, _amountIn - fee, lpFee);
+        require(amountOut >= _minAmountOut, "Slippage exceeded");
+        
+        positions[_marketId][msg.sender][_outcome] += amountOut;
+        
+        emit PositionBought(_marketId, msg.sender, _outcome, _amountIn, amountOut);
+    }
+    
+    function redeemPositions(bytes32 _marketId) external returns (uint256 payout) {
+        Market storage market = markets[_marketId];
+        require(market.isSettled, "Market not settled");
+        require(market.outcome != OUTCOME_VOID, "Market void");
+        
+        // Losing shares are worthless, only the winning balance needs clearing
+        payout = positions[_marketId][msg.sender][market.outcome];
+        require(payout > 0, "Nothing to redeem");
+        
+        positions[_marketId][msg.sender][market.outcome] = 0;
+        balances[msg.sender] += payout;
+        
+        emit PositionsRedeemed(_marketId, msg.sender, payout);
+    }
+    
+    function claimVoidRefund(bytes32 _marketId) external {
+        require(markets[_marketId].outcome == OUTCOME_VOID, "Market not void");
+        
+        MarketAMM.Pool storage pool = liquidityPools[_marketId];
+        uint256 refund = pool.deposits[msg.sender];
+        require(refund > 0, "Nothing to refund");
+        
+        pool.deposits[msg.sender] = 0;
+        pool.totalShares -= pool.userShares[msg.sender];
+        pool.userShares[msg.sender] = 0;
+        for (uint8 i = 1; i <= markets[_marketId].outcomeCount; i++) {
+            positions[_marketId][msg.sender][i] = 0;
+        }
+        balances[msg.sender] += refund;
+        
+        emit VoidRefundClaimed(_marketId, msg.sender, refund);
+    }
+}
@@ -0,0 +1,59 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../BettingEngineBase.sol";
+
+/**
+ * @title AdminModule
+ * @notice Fee, pause, oracle and settlement administration of BettingMatchingEngine, delegatecalled by the engine
+ * like AMMModule. Each function is gated by its own role, see BettingEngineBase.
+ */
+contract AdminModule is BettingEngineBase {
+    function setFees(uint256 _commissionBps, uint256 _lpFeeShareBps) external onlyRole(FEE_MANAGER_ROLE) {
+        require(_commissionBps <= MAX_FEE_BPS, "Fee too high");
+        require(_lpFeeShareBps <= BPS_DENOMINATOR, "Invalid LP share");
+        
+        commissionBps = _commissionBps;
+        lpFeeShareBps = _lpFeeShareBps;
+        
+        emit FeeUpdated(_commissionBps, _lpFeeShareBps);
+    }
+    
+    // Emergency stop for new orders, liquidity and swaps; cancels, claims and withdrawals keep working
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+    
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+    
+    function setSettlementConfig(uint256 _disputeWindow, uint256 _disputeBond) external onlyRole(ORACLE_ADMIN_ROLE) {
+        require(_disputeWindow <= SETTLEMENT_DEADLINE, "Invalid dispute window");
+        
+        disputeWindow = _disputeWindow;
+        disputeBond = _disputeBond;
+        
+        emit SettlementConfigUpdated(_disputeWindow, _disputeBond);
+    }
+    
+    // Queues a new oracle, which only takes over after ORACLE_TIMELOCK so users can react to the change
+    function setOracle(address _oracle) external onlyRole(ORACLE_ADMIN_ROLE) {
+        require(_oracle != address(0), "Invalid oracle");
+        pendingOracle = IPriceOracle(_oracle);
+        pendingOracleTime = block.timestamp + ORACLE_TIMELOCK;
+        
+        emit OracleChangeQueued(_oracle, pendingOracleTime);
+    }
+    
+    function applyOracle() external onlyRole(ORACLE_ADMIN_ROLE) {
+        require(address(pendingOracle) != address(0), "No oracle queued");
+        require(block.timestamp >= pendingOracleTime, "Oracle timelock active");
+        
+        oracle = pendingOracle;
+        pendingOracle = IPriceOracle(address(0));
+        pendingOracleTime = 0;
+        
+        emit OracleUpdated(address(oracle));
+    }
+}
@@ -0,0 +1,250 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../BettingEngineBase.sol";
+
+/**
+ * @title MarketModule
+ * @notice Market creation, lifecycle and settlement of BettingMatchingEngine, delegatecalled by the
+ * engine like AMMModule. MARKET_CREATOR_ROLE lists markets and MARKET_OPERATOR_ROLE opens, suspends,
+ * closes and reschedules them. Settlement is optimistic: the oracle's result is proposed and only
+ * becomes final, moving the market to Settled or Voided, once nobody disputes it within the dispute
+ * window or ARBITRATOR_ROLE has ruled on the dispute.
+ */
+contract MarketModule is BettingEngineBase {
+    function createMarket(
+        string memory _description,
+        string[] memory _outcomes,
+        uint256 _endTime,
+        uint256 _settlementTime
+    ) external onlyRole(MARKET_CREATOR_ROLE) returns (bytes32) {
+        MarketParams memory noLimits;
+        return _createMarket(_description, _outcomes, _endTime, _settlementTime, noLimits);
+    }
+    
+    function createMarketWithParams(
+        string memory _description,
+        string[] memory _outcomes,
+        uint256 _endTime,
+        uint256 _settlementTime,
+        MarketParams memory _params
+    ) external onlyRole(MARKET_CREATOR_ROLE) returns (bytes32) {
+        return _createMarket(_description, _outcomes, _endTime, _settlementTime, _params);
+    }
+    
+    // A Yes/No market on whether the oracle price at settlementTime compares to `_strike`; it settles
+    // from getPrice, nobody needs to report an outcome
+    function createPriceMarket(
+        string memory _description,
+        uint256 _strike,
+        Comparator _comparator,
+        uint256 _endTime,
+        uint256 _settlementTime
+    ) external onlyRole(MARKET_CREATOR_ROLE) returns (bytes32 marketId) {
+        require(_comparator != Comparator.None, "Invalid comparator");
+        
+        string[] memory outcomes = new string[](2);
+        outcomes[0] = "Yes";
+        outcomes[1] = "No";
+        MarketParams memory noLimits;
+        marketId = _createMarket(_description, outcomes, _endTime, _settlementTime, noLimits);
+        
+        priceConditions[marketId] = PriceCondition({strike: _strike, comparator: _comparator});
+        emit PriceMarketCreated(marketId, _strike, _comparator);
+    }
+    
+    function _createMarket(
+        string memory _description,
+        string[] memory _outcomes,
+        uint256 _endTime,
+        uint256 _settlementTime,
+        MarketParams memory _params
+    ) internal returns (bytes32) {
+        require(_outcomes.length >= 2 && _outcomes.length <= MAX_OUTCOMES, "Invalid outcome count");
+        require(_endTime > block.timestamp && _settlementTime >= _endTime, "Invalid schedule");
+        require(_params.minOdds == 0 || _params.minOdds > 1e18, "Invalid odds range");
+        require(_params.maxOdds == 0 || _params.maxOdds >= _params.minOdds, "Invalid odds range");
+        
+        bytes32 marketId = keccak256(abi.encodePacked(address(this), ++marketCount));
+        
+        markets[marketId] = Market({
+            id: marketId,
+            description: _description,
+            endTime: _endTime,
+            settlementTime: _settlementTime,
+            status: _params.pending ? MarketStatus.Pending : MarketStatus.Open,
+            isSettled: false,
+            outcome: 0,
+            outcomeCount: uint8(_outcomes.length)
+        });
+        
+        marketParams[marketId] = _params;
+        
+        for (uint i = 0; i < _outcomes.length; i++) {
+            marketOutcomes[marketId].push(_outcomes[i]);
+        }
+        
+        emit MarketCreated(marketId, _description, _endTime);
+        emit MarketStatusChanged(marketId, markets[marketId].status);
+        return marketId;
+    }
+    
+    // Starts trading on a Pending market, or resumes a Suspended one
+    function openMarket(bytes32 _marketId) external onlyRole(MARKET_OPERATOR_ROLE) {
+        MarketStatus status = markets[_marketId].status;
+        require(markets[_marketId].id != bytes32(0), "Market not found");
+        require(status == MarketStatus.Pending || status == MarketStatus.Suspended, "Invalid status change");
+        
+        _setStatus(_marketId, MarketStatus.Open);
+    }
+    
+    // Halts trading; resting orders stay on the book for when it reopens, or operators refund them with refundRestingOrders
+    function suspendMarket(bytes32 _marketId) external onlyRole(MARKET_OPERATOR_ROLE) {
+        require(markets[_marketId].status == MarketStatus.Open, "Invalid status change");
+        
+        _setStatus(_marketId, MarketStatus.Suspended);
+    }
+    
+    // Ends trading for good ahead of settlement; resting orders can then be refunded by anyone
+    function closeMarket(bytes32 _marketId) external onlyRole(MARKET_OPERATOR_ROLE) {
+        MarketStatus status = markets[_marketId].status;
+        require(markets[_marketId].id != bytes32(0), "Market not found");
+        require(status < MarketStatus.Closed, "Invalid status change");
+        
+        _setStatus(_marketId, MarketStatus.Closed);
+    }
+    
+    // Moves the end of trading, e.g. for a delayed kickoff or to keep a market trading in-play
+    function rescheduleMarket(bytes32 _marketId, uint256 _endTime, uint256 _settlementTime) external onlyRole(MARKET_OPERATOR_ROLE) {
+        Market storage market = markets[_marketId];
+        require(market.id != bytes32(0), "Market not found");
+        require(market.status < MarketStatus.Closed, "Market closed");
+        // Reopening trading would let bets in after a result has been put forward
+        require(settlements[_marketId].proposedOutcome == 0, "Settlement proposed");
+        require(_endTime > block.timestamp && _settlementTime >= _endTime, "Invalid schedule");
+        
+        market.endTime = _endTime;
+        market.settlementTime = _settlementTime;
+        
+        emit MarketRescheduled(_marketId, _endTime, _settlementTime);
+    }
+    
+    // Proposes the oracle's result, which anyone can finalize once the dispute window has passed.
+    // Price markets work the result out from the first price the oracle observed at or after settlementTime,
+    // so it doesn't matter when settlement is called
+    function settleMarket(bytes32 _marketId) external {
+        Market storage market = markets[_marketId];
+        require(market.id != bytes32(0), "Market not found");
+        require(block.timestamp >= market.settlementTime, "Not ready for settlement");
+        require(!market.isSettled, "Already settled");
+        require(settlements[_marketId].proposedOutcome == 0, "Settlement already proposed");
+        
+        uint8 outcome;
+        PriceCondition storage condition = priceConditions[_marketId];
+        if (condition.comparator != Comparator.None) {
+            (uint256 price, uint256 timestamp) = oracle.getPriceAt(_marketId, market.settlementTime);
+            require(timestamp >= market.settlementTime, "Price not observed yet");
+            outcome = _meetsCondition(price, condition) ? 1 : 2;
+            emit SettlementPriceObserved(_marketId, price, timestamp);
+        } else {
+            bool settled;
+            (settled, outcome) = oracle.isSettled(_marketId);
+            require(settled, "Oracle not settled");
+            require(_isValidOutcome(_marketId, outcome), "Invalid outcome");
+        }
+        
+        Settlement storage settlement = settlements[_marketId];
+        settlement.proposedOutcome = outcome;
+        settlement.disputeDeadline = block.timestamp + disputeWindow;
+        emit SettlementProposed(_marketId, outcome, settlement.disputeDeadline);
+        
+        if (disputeWindow == 0) {
+            _settle(_marketId, outcome);
+        }
+    }
+    
+    // Challenges the proposed result before its deadline; the bond comes back if the arbitrator overturns it
+    function disputeSettlement(bytes32 _marketId) external {
+        Settlement storage settlement = settlements[_marketId];
+        require(settlement.proposedOutcome != 0 && !markets[_marketId].isSettled, "Nothing to dispute");
+        require(block.timestamp < settlement.disputeDeadline, "Dispute window closed");
+        require(settlement.challenger == address(0), "Already disputed");
+        
+        _debit(msg.sender, disputeBond);
+        settlement.challenger = msg.sender;
+        settlement.bond = disputeBond;
+        
+        emit SettlementDisputed(_marketId, msg.sender, disputeBond);
+    }
+    
+    // Rules on a disputed proposal and settles the market on `_outcome`. A wrong proposal returns the
+    // challenger's bond, an upheld one forfeits it to the treasury
+    function resolveDispute(bytes32 _marketId, uint8 _outcome) external onlyRole(ARBITRATOR_ROLE) {
+        Settlement storage settlement = settlements[_marketId];
+        require(settlement.challenger != address(0) && !markets[_marketId].isSettled, "No open dispute");
+        require(_isValidOutcome(_marketId, _outcome), "Invalid outcome");
+        
+        bool overturned = _outcome != settlement.proposedOutcome;
+        if (overturned) {
+            balances[settlement.challenger] += settlement.bond;
+        } else {
+            accruedFees += settlement.bond;
+        }
+        
+        emit DisputeResolved(_marketId, _outcome, overturned);
+        _settle(_marketId, _outcome);
+    }
+    
+    function finalizeSettlement(bytes32 _marketId) external {
+        Settlement storage settlement = settlements[_marketId];
+        require(settlement.proposedOutcome != 0 && !markets[_marketId].isSettled, "Nothing to finalize");
+        require(settlement.challenger == address(0), "Settlement disputed");
+        require(block.timestamp >= settlement.disputeDeadline, "Dispute window open");
+        
+        _settle(_marketId, settlement.proposedOutcome);
+    }
+    
+    // Escape hatch for markets the oracle never resolves, or whose dispute is never ruled on
+    function voidMarket(bytes32 _marketId) external {
+        Market storage market = markets[_marketId];
+        Settlement storage settlement = settlements[_marketId];
+        require(hasRole(ORACLE_ADMIN_ROLE, msg.sender) || msg.sender == address(oracle), "Not authorized");
+        require(market.id != bytes32(0), "Market not found");
+        require(!market.isSettled, "Already settled");
+        require(settlement.proposedOutcome == 0 || settlement.challenger != address(0), "Settlement proposed");
+        require(block.timestamp >= market.settlementTime + SETTLEMENT_DEADLINE, "Settlement deadline not reached");
+        
+        // Nobody ruled against the challenger, so the bond goes back
+        if (settlement.challenger != address(0)) {
+            balances[settlement.challenger] += settlement.bond;
+        }
+        
+        _settle(_marketId, OUTCOME_VOID);
+    }
+    
+    function _settle(bytes32 _marketId, uint8 _outcome) internal {
+        Market storage market = markets[_marketId];
+        market.isSettled = true;
+        market.outcome = _outcome;
+        _setStatus(_marketId, _outcome == OUTCOME_VOID ? MarketStatus.Voided : MarketStatus.Settled);
+        
+        // Swap commission is only earned if the market actually resolves
+        if (_outcome != OUTCOME_VOID) {
+            accruedFees += pendingSwapFees[_marketId];
+            pendingSwapFees[_marketId] = 0;
+        }
+        
+        emit MarketSettled(_marketId, _outcome);
+    }
+    
+    function _meetsCondition(uint256 _price, PriceCondition storage _condition) internal view returns (bool) {
+        if (_condition.comparator == Comparator.Above) return _price > _condition.strike;
+        if (_condition.comparator == Comparator.AtOrAbove) return _price >= _condition.strike;
+        if (_condition.comparator == Comparator.Below) return _price < _condition.strike;
+        return _price <= _condition.strike;
+    }
+    
+    function _isValidOutcome(bytes32 _marketId, uint8 _outcome) internal view returns (bool) {
+        return (_outcome >= 1 && _outcome <= markets[_marketId].outcomeCount) || _outcome == OUTCOME_VOID;
+    }
+}
@@ -0,0 +1,156 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "../interfaces/IPriceOracle.sol";
+
+// The subset of Chainlink's AggregatorV3Interface the adapter reads
+interface AggregatorV3Interface {
+    function decimals() external view returns (uint8);
+    function latestRoundData() external view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound);
+    function getRoundData(uint80 _roundId) external view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound);
+}
+
+/**
+ * @title ChainlinkOutcomeAdapter
+ * @notice Turns a Chainlink price feed into an IPriceOracle for over/under markets on an asset price.
+ * Each market is bound to a feed, a strike and an observation time; the market settles on the first
+ * round reported at or after the observation time, OUTCOME_OVER if its price is above the strike and
+ * OUTCOME_UNDER otherwise. Prices are returned scaled to 18 decimals whatever the feed's decimals.
+ * Round IDs carry the feed's phase in their top bits, so the round before is only `roundId - 1`
+ * while the round number in the low 64 bits is above 1; before round 1 it is the last round of the
+ * previous phase, which only recordObservation can be told.
+ */
+contract ChainlinkOutcomeAdapter is IPriceOracle, Ownable {
+    uint8 public constant OUTCOME_OVER = 1;
+    uint8 public constant OUTCOME_UNDER = 2;
+    uint256 public constant MAX_LOOKBACK = 50; // rounds walked back from the latest to find the first one after observation
+    
+    struct PriceMarket {
+        AggregatorV3Interface feed;
+        uint256 strike; // 18 decimals
+        uint256 observationTime;
+    }
+    
+    mapping(bytes32 => PriceMarket) public priceMarkets;
+    mapping(bytes32 => uint80) public observedRounds; // the round a market settles on, once someone records it
+    
+    event PriceMarketSet(bytes32 indexed marketId, address indexed feed, uint256 strike, uint256 observationTime);
+    event ObservationRecorded(bytes32 indexed marketId, uint80 roundId);
+    
+    constructor() Ownable(msg.sender) {}
+    
+    function setPriceMarket(bytes32 _marketId, address _feed, uint256 _strike, uint256 _observationTime) external onlyOwner {
+        require(_feed != address(0), "Invalid feed");
+        
+        priceMarkets[_marketId] = PriceMarket({
+            feed: AggregatorV3Interface(_feed),
+            strike: _strike,
+            observationTime: _observationTime
+        });
+        
+        emit PriceMarketSet(_marketId, _feed, _strike, _observationTime);
+    }
+    
+    /**
+     * @dev Pins the round a market settles on, for when isSettled can't find it: the feed has moved on
+     * too far, or the round opens a new phase. Anyone can record it with the round before it, which is
+     * `_roundId - 1` within a phase and the last round of the previous phase for round 1; the round
+     * must be past the observation time and the one before it must not be.
+     */
+    function recordObservation(bytes32 _marketId, uint80 _roundId, uint80 _prevRoundId) external {
+        PriceMarket storage market = priceMarkets[_marketId];
+        require(address(market.feed) != address(0), "Market not configured");
+        require(observedRounds[_marketId] == 0, "Observation recorded");
+        
+        if (uint64(_roundId) > 1) {
+            require(_prevRoundId == _roundId - 1, "Not the previous round");
+        } else {
+            uint80 phase = _roundId >> 64;
+            require(uint64(_roundId) == 1 && phase > 0 && _prevRoundId >> 64 == phase - 1, "Not the previous round");
+            require(!_roundExists(market.feed, _prevRoundId + 1), "Not the previous round");
+        }
+        
+        (, , , uint256 updatedAt, ) = market.feed.getRoundData(_roundId);
+        require(updatedAt >= market.observationTime, "Not the observed round");
+        (, , , uint256 prevUpdatedAt, ) = market.feed.getRoundData(_prevRoundId);
+        require(prevUpdatedAt != 0 && prevUpdatedAt < market.observationTime, "Not the observed round");
+        
+        observedRounds[_marketId] = _roundId;
+        emit ObservationRecorded(_marketId, _roundId);
+    }
+    
+    function getPrice(bytes32 _marketId) external view returns (uint256, uint256) {
+        AggregatorV3Interface feed = priceMarkets[_marketId].feed;
+        require(address(feed) != address(0), "Market not configured");
+        
+        (, int256 answer, , uint256 updatedAt, ) = feed.latestRoundData();
+        return (_scale(feed, answer), updatedAt);
+    }
+    
+    // The first round at or after `_timestamp`, found the same way as isSettled finds the observed round
+    function getPriceAt(bytes32 _marketId, uint256 _timestamp) external view returns (uint256, uint256) {
+        PriceMarket storage market = priceMarkets[_marketId];
+        require(address(market.feed) != address(0), "Market not configured");
+        
+        uint80 roundId = _timestamp == market.observationTime ? observedRounds[_marketId] : 0;
+        if (roundId == 0) {
+            roundId = _findRound(market.feed, _timestamp);
+            if (roundId == 0) return (0, 0);
+        }
+        
+        (, int256 answer, , uint256 updatedAt, ) = market.feed.getRoundData(roundId);
+        return (_scale(market.feed, answer), updatedAt);
+    }
+    
+    /**
+     * @dev Unsettled until the first round at or after the observation time can be told apart. The
+     * feed usually moves on before anyone settles, so rounds are walked back up to MAX_LOOKBACK to the
+     * last one before the observation time. If the walk runs out, or reaches the start of a phase
+     * first, it stays unsettled until the round is pinned with recordObservation.
+     */
+    function isSettled(bytes32 _marketId) external view returns (bool, uint8) {
+        PriceMarket storage market = priceMarkets[_marketId];
+        if (address(market.feed) == address(0)) return (false, 0);
+        
+        uint80 roundId = observedRounds[_marketId];
+        if (roundId == 0) {
+            roundId = _findRound(market.feed, market.observationTime);
+            if (roundId == 0) return (false, 0);
+        }
+        
+        (, int256 answer, , , ) = market.feed.getRoundData(roundId);
+        return (true, _scale(market.feed, answer) > market.strike ? OUTCOME_OVER : OUTCOME_UNDER);
+    }
+    
+    // The first round at or after `_timestamp`, or 0 if it isn't within reach
+    function _findRound(AggregatorV3Interface _feed, uint256 _timestamp) internal view returns (uint80) {
+        (uint80 roundId, , , uint256 updatedAt, ) = _feed.latestRoundData();
+        if (updatedAt < _timestamp) return 0;
+        
+        for (uint i = 0; i < MAX_LOOKBACK && uint64(roundId) > 1; i++) {
+            try _feed.getRoundData(roundId - 1) returns (uint80, int256, uint256, uint256 prevUpdatedAt, uint80) {
+                if (prevUpdatedAt < _timestamp) return roundId;
+                roundId--;
+            } catch {
+                return 0;
+            }
+        }
+        return 0;
+    }
+    
+    // Feeds revert or return an empty round for rounds that don't exist yet
+    function _roundExists(AggregatorV3Interface _feed, uint80 _roundId) internal view returns (bool) {
+        try _feed.getRoundData(_roundId) returns (uint80, int256, uint256, uint256 updatedAt, uint80) {
+            return updatedAt != 0;
+        } catch {
+            return false;
+        }
+    }
+    
+    function _scale(AggregatorV3Interface _feed, int256 _answer) internal view returns (uint256) {
+        require(_answer > 0, "Invalid price");
+        uint8 decimals = _feed.decimals();
+        return decimals <= 18 ? uint256(_answer) * 10 ** (18 - decimals) : uint256(_answer) / 10 ** (decimals - 18);
+    }
+}
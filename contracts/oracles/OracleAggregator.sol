@@ -0,0 +1,142 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "../interfaces/IPriceOracle.sol";
+
+/**
+ * @title OracleAggregator
+ * @notice Combines several reporter oracles into the single IPriceOracle the engine reads. Every market
+ * points at its own set of sources: a result only counts as settled once a quorum of them report the
+ * same outcome, and a price is the median of the sources whose report is no older than maxStaleness.
+ */
+contract OracleAggregator is IPriceOracle, Ownable {
+    uint256 public constant MAX_SOURCES = 16;
+    
+    struct Config {
+        IPriceOracle[] sources;
+        uint8 quorum; // sources that must agree on an outcome, or report a fresh price
+        uint256 maxStaleness; // oldest price report still accepted, in seconds
+    }
+    
+    mapping(bytes32 => Config) internal configs;
+    
+    event SourcesUpdated(bytes32 indexed marketId, address[] sources, uint8 quorum, uint256 maxStaleness);
+    
+    constructor() Ownable(msg.sender) {}
+    
+    function setSources(
+        bytes32 _marketId,
+        IPriceOracle[] calldata _sources,
+        uint8 _quorum,
+        uint256 _maxStaleness
+    ) external onlyOwner {
+        require(_sources.length > 0 && _sources.length <= MAX_SOURCES, "Invalid sources");
+        require(_quorum > 0 && _quorum <= _sources.length, "Invalid quorum");
+        require(_maxStaleness > 0, "Invalid staleness");
+        
+        Config storage config = configs[_marketId];
+        config.sources = _sources;
+        config.quorum = _quorum;
+        config.maxStaleness = _maxStaleness;
+        
+        address[] memory addresses = new address[](_sources.length);
+        for (uint i = 0; i < _sources.length; i++) {
+            addresses[i] = address(_sources[i]);
+        }
+        emit SourcesUpdated(_marketId, addresses, _quorum, _maxStaleness);
+    }
+    
+    function getSources(bytes32 _marketId) external view returns (IPriceOracle[] memory sources, uint8 quorum, uint256 maxStaleness) {
+        Config storage config = configs[_marketId];
+        return (config.sources, config.quorum, config.maxStaleness);
+    }
+    
+    /**
+     * @dev Settled once `quorum` sources report the same outcome. Sources that haven't settled, or
+     * disagree, don't count; a source that reverts is skipped rather than blocking the others.
+     */
+    function isSettled(bytes32 _marketId) external view returns (bool, uint8) {
+        Config storage config = configs[_marketId];
+        uint256 count = config.sources.length;
+        uint8[] memory outcomes = new uint8[](count);
+        
+        for (uint i = 0; i < count; i++) {
+            try config.sources[i].isSettled(_marketId) returns (bool settled, uint8 outcome) {
+                if (settled) outcomes[i] = outcome;
+            } catch {}
+        }
+        
+        for (uint i = 0; i < count; i++) {
+            if (outcomes[i] == 0) continue;
+            uint256 votes = 0;
+            for (uint j = 0; j < count; j++) {
+                if (outcomes[j] == outcomes[i]) votes++;
+            }
+            if (votes >= config.quorum) return (true, outcomes[i]);
+        }
+        return (false, 0);
+    }
+    
+    /**
+     * @dev Median of the fresh prices, reverting unless at least `quorum` sources have one. The
+     * timestamp is that of the oldest fresh report, so every price that went into the median is at
+     * least that recent.
+     */
+    function getPrice(bytes32 _marketId) external view returns (uint256 price, uint256 timestamp) {
+        Config storage config = configs[_marketId];
+        uint256[] memory prices = new uint256[](config.sources.length);
+        uint256 fresh = 0;
+        timestamp = type(uint256).max;
+        
+        for (uint i = 0; i < config.sources.length; i++) {
+            try config.sources[i].getPrice(_marketId) returns (uint256 sourcePrice, uint256 updatedAt) {
+                if (updatedAt == 0 || updatedAt > block.timestamp || block.timestamp - updatedAt > config.maxStaleness) continue;
+                prices[fresh++] = sourcePrice;
+                if (updatedAt < timestamp) timestamp = updatedAt;
+            } catch {}
+        }
+        require(fresh > 0 && fresh >= config.quorum, "Not enough fresh prices");
+        
+        price = _median(prices, fresh);
+    }
+    
+    /**
+     * @dev Median of each source's first price within maxStaleness of `_timestamp`, once that window
+     * has passed so a late source can no longer change it; (0, 0) until then or without a quorum. The
+     * timestamp is that of the latest report used.
+     */
+    function getPriceAt(bytes32 _marketId, uint256 _timestamp) external view returns (uint256 price, uint256 timestamp) {
+        Config storage config = configs[_marketId];
+        if (block.timestamp < _timestamp + config.maxStaleness) return (0, 0);
+        
+        uint256[] memory prices = new uint256[](config.sources.length);
+        uint256 observed = 0;
+        
+        for (uint i = 0; i < config.sources.length; i++) {
+            try config.sources[i].getPriceAt(_marketId, _timestamp) returns (uint256 sourcePrice, uint256 observedAt) {
+                if (observedAt < _timestamp || observedAt - _timestamp > config.maxStaleness) continue;
+                prices[observed++] = sourcePrice;
+                if (observedAt > timestamp) timestamp = observedAt;
+            } catch {}
+        }
+        if (observed == 0 || observed < config.quorum) return (0, 0);
+        
+        price = _median(prices, observed);
+    }
+    
+    function _median(uint256[] memory _prices, uint256 _count) internal pure returns (uint256) {
+        // Insertion sort, there are at most MAX_SOURCES of them
+        for (uint i = 1; i < _count; i++) {
+            uint256 value = _prices[i];
+            uint j = i;
+            while (j > 0 && _prices[j - 1] > value) {
+                _prices[j] = _prices[j - 1];
+                j--;
+            }
+            _prices[j] = value;
+        }
+        
+        return _count % 2 == 1 ? _prices[_count / 2] : (_prices[_count / 2 - 1] + _prices[_count / 2]) / 2;
+    }
+}
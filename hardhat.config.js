@@ -3,6 +3,9 @@ require("@nomicfoundation/hardhat-verify");
 require("hardhat-gas-reporter");
 require("solidity-coverage");
 require("dotenv").config();
+const { task, types } = require("hardhat/config");
+const fs = require("fs");
+const path = require("path");
 
 // Default private key for local development (DO NOT USE IN PRODUCTION)
 const DEFAULT_PRIVATE_KEY = "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
@@ -17,6 +20,186 @@ function getPrivateKey() {
   return key.startsWith('0x') ? key : `0x${key}`;
 }
 
+// Addresses of the network's deployment, from the file scripts/testnet-deploy.js writes; DEPLOYMENTS_DIR
+// points elsewhere than deployments/
+async function loadDeployment(hre) {
+  const network = await hre.ethers.provider.getNetwork();
+  const dir = process.env.DEPLOYMENTS_DIR || path.join(__dirname, "deployments");
+  const file = path.join(dir, `${network.name}-${network.chainId}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No deployment at ${file}, deploy first with scripts/testnet-deploy.js`);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// SDK client on the deployed engine, signing as `account` or the first configured account
+async function engineClient(hre, account) {
+  const { BettingClient } = require("./sdk");
+  const deployment = await loadDeployment(hre);
+  const signer = account ? await hre.ethers.getSigner(account) : (await hre.ethers.getSigners())[0];
+  return BettingClient.connect(deployment.contracts.bettingEngine, signer);
+}
+
+// Unix seconds, or a duration such as "90m", "2h" or "1d" from the latest block
+async function parseTime(hre, value) {
+  const match = /^(\d+)([smhd])$/.exec(value);
+  if (!match) {
+    if (!/^\d+$/.test(value)) throw new Error(`Invalid time ${value}, expected unix seconds or e.g. "2h"`);
+    return Number(value);
+  }
+  const { timestamp } = await hre.ethers.provider.getBlock("latest");
+  return timestamp + Number(match[1]) * { s: 1, m: 60, h: 3600, d: 86400 }[match[2]];
+}
+
+task("market:create", "Creates a market on the deployed engine")
+  .addParam("desc", "Market description")
+  .addParam("end", "When trading ends: unix seconds or a duration from now, e.g. 2h")
+  .addParam("settle", "When it can settle: unix seconds or a duration from now, e.g. 4h")
+  .addOptionalParam("outcomes", "Comma-separated outcome names", "Yes,No")
+  .setAction(async ({ desc, end, settle, outcomes }, hre) => {
+    const client = await engineClient(hre);
+    const { marketId } = await client.createMarket({
+      description: desc,
+      outcomes: outcomes.split(",").map(name => name.trim()),
+      endTime: await parseTime(hre, end),
+      settlementTime: await parseTime(hre, settle)
+    });
+    console.log(`Created market ${marketId}`);
+    return marketId;
+  });
+
+task("market:list", "Lists the deployed engine's markets")
+  .setAction(async (_, hre) => {
+    const client = await engineClient(hre);
+    const { deployBlock = 0 } = await loadDeployment(hre);
+    const events = await client.engine.queryFilter(client.engine.filters.MarketCreated(), deployBlock);
+
+    const markets = [];
+    for (const event of events) {
+      const market = await client.getMarket(event.args.marketId);
+      markets.push(market);
+      const outcome = market.isSettled ? `, outcome ${market.outcome}` : "";
+      console.log(`${market.id}  ${market.status}${outcome}  ${market.description} [${market.outcomes.join(" / ")}]`);
+      console.log(`  ends ${new Date(Number(market.endTime) * 1000).toISOString()}, settles ${new Date(Number(market.settlementTime) * 1000).toISOString()}`);
+    }
+    if (markets.length === 0) console.log("No markets");
+    return markets;
+  });
+
+task("market:book", "Prints a market's order book")
+  .addPositionalParam("id", "Market ID")
+  .setAction(async ({ id }, hre) => {
+    const { formatOdds } = require("./sdk");
+    const client = await engineClient(hre);
+    const book = await client.getOrderBook(id);
+
+    for (const { outcome, name, back, lay } of book) {
+      console.log(`${outcome}. ${name}`);
+      for (const [side, levels] of [["back", back], ["lay", lay]]) {
+        const quotes = levels.map(level => `${client.formatAmount(level.amount)} @ ${formatOdds(level.odds)}`);
+        console.log(`  ${side}: ${quotes.length > 0 ? quotes.join(", ") : "-"}`);
+      }
+    }
+    return book;
+  });
+
+task("order:place", "Places an order, depositing whatever the free balance lacks")
+  .addParam("market", "Market ID")
+  .addParam("outcome", "Outcome, 1-based", undefined, types.int)
+  .addParam("side", "back or lay")
+  .addParam("stake", "Backer's stake in base tokens, e.g. 25")
+  .addParam("odds", "Decimal odds, e.g. 2.5")
+  .addOptionalParam("tif", "Time in force: GTC, IOC, FOK, POST_ONLY or GTT", "GTC")
+  .addOptionalParam("expiry", "Unix seconds or a duration from now, GTT orders only")
+  .addOptionalParam("account", "Address to sign with, the first account by default")
+  .setAction(async ({ market, outcome, side, stake, odds, tif, expiry, account }, hre) => {
+    const { formatOdds } = require("./sdk");
+    const client = await engineClient(hre, account);
+    const { orderId, matches } = await client.placeOrder({
+      marketId: market,
+      outcome,
+      side,
+      stake,
+      odds,
+      timeInForce: tif,
+      expiry: expiry ? await parseTime(hre, expiry) : 0,
+      autoDeposit: true
+    });
+
+    console.log(`Placed order ${orderId}`);
+    for (const match of matches) {
+      console.log(`  matched ${client.formatAmount(match.amount)} @ ${formatOdds(match.odds)} against ${match.makerOrderId}`);
+    }
+    return orderId;
+  });
+
+task("order:cancel", "Cancels a resting order")
+  .addPositionalParam("id", "Order ID")
+  .addOptionalParam("account", "Address that placed it, the first account by default")
+  .setAction(async ({ id, account }, hre) => {
+    const client = await engineClient(hre, account);
+    await client.cancelOrder(id);
+    console.log(`Cancelled order ${id}`);
+  });
+
+task("oracle:set-outcome", "Reports a market's result on the deployment's MockPriceOracle")
+  .addParam("market", "Market ID")
+  .addParam("outcome", "Winning outcome, 1-based, or void")
+  .setAction(async ({ market, outcome }, hre) => {
+    const deployment = await loadDeployment(hre);
+    const oracle = await hre.ethers.getContractAt("MockPriceOracle", deployment.contracts.mockOracle);
+    const tx = outcome === "void" ? await oracle.voidMarket(market) : await oracle.settleMarket(market, Number(outcome));
+    await tx.wait();
+    console.log(`Oracle reports ${outcome === "void" ? "void" : `outcome ${outcome}`} for ${market}`);
+  });
+
+task("market:settle", "Proposes the oracle's result for a market, or finalizes it once the dispute window has passed")
+  .addPositionalParam("id", "Market ID")
+  .setAction(async ({ id }, hre) => {
+    const client = await engineClient(hre);
+    const settlement = await client.engine.settlements(id);
+    if (settlement.proposedOutcome === 0n) {
+      await client.settleMarket(id);
+    } else {
+      await client.finalizeSettlement(id);
+    }
+
+    const market = await client.getMarket(id);
+    if (market.isSettled) {
+      console.log(`Settled ${id} on outcome ${market.outcome}`);
+    } else {
+      const { proposedOutcome, disputeDeadline } = await client.engine.settlements(id);
+      console.log(`Proposed outcome ${proposedOutcome} for ${id}, final after ${new Date(Number(disputeDeadline) * 1000).toISOString()}`);
+    }
+    return market;
+  });
+
+task("claims:run", "Claims every settled match an account is owed on")
+  .addOptionalParam("account", "Address to claim for, the first account by default")
+  .setAction(async ({ account }, hre) => {
+    const client = await engineClient(hre, account);
+    const user = await client.runner.getAddress();
+    const { deployBlock = 0 } = await loadDeployment(hre);
+    const events = await client.engine.queryFilter(client.engine.filters.MarketCreated(), deployBlock);
+
+    let total = 0n;
+    for (const event of events) {
+      const { marketId } = event.args;
+      const { isSettled } = await client.engine.markets(marketId);
+      const claimable = isSettled ? await client.engine.getClaimableAmount(user, marketId) : 0n;
+      if (claimable === 0n) continue;
+
+      // Winnings land in the free balance net of commission
+      const before = await client.engine.balances(user);
+      await client.claimAll(marketId);
+      const payout = await client.engine.balances(user) - before;
+      total += payout;
+      console.log(`Claimed ${client.formatAmount(payout)} on ${marketId}`);
+    }
+    console.log(`${user} claimed ${client.formatAmount(total)} in total`);
+    return total;
+  });
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
@@ -26,6 +209,7 @@ module.exports = {
         enabled: true,
         runs: 200,
       },
+      viaIR: true, // keeps the engine under the 24KB contract size limit
     },
   },
   networks: {
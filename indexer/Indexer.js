@@ -0,0 +1,228 @@
+const { ethers } = require("ethers");
+const { ENGINE_ABI } = require("../sdk/abi");
+
+const EVENTS = [
+  "MarketCreated",
+  "MarketStatusChanged",
+  "MarketRescheduled",
+  "MarketSettled",
+  "OrderPlaced",
+  "OrderMatched",
+  "OrderCancelled",
+  "LiquidityAdded",
+  "LiquidityRemoved",
+  "WinningsClaimed"
+];
+
+/**
+ * Follows the engine's logs into an IndexerStore. Only blocks at least `confirmations` deep are
+ * indexed, so ordinary reorgs never reach the store; a deeper one is caught by comparing stored block
+ * hashes with the chain, and everything after the last block both agree on is dropped and re-indexed.
+ */
+class Indexer {
+  /**
+   * @param {Object} options
+   * @param {ethers.Provider} options.provider
+   * @param {string} options.engineAddress
+   * @param {import("./store").IndexerStore} options.store
+   * @param {number} [options.startBlock] first block to index, usually the engine's deployment block
+   * @param {number} [options.confirmations] how deep a block must be before it is indexed
+   * @param {number} [options.batchSize] most blocks fetched per getLogs call
+   * @param {(events: Object[], toBlock: number) => Promise<void>} [options.onBatch] called after each batch is stored
+   * @param {(message: string) => void} [options.log]
+   */
+  constructor({
+    provider,
+    engineAddress,
+    store,
+    startBlock = 0,
+    confirmations = 12,
+    batchSize = 2000,
+    onBatch = async () => {},
+    log = () => {}
+  }) {
+    this.provider = provider;
+    this.engine = new ethers.Contract(engineAddress, ENGINE_ABI, provider);
+    this.store = store;
+    this.startBlock = startBlock;
+    this.confirmations = confirmations;
+    this.batchSize = batchSize;
+    this.onBatch = onBatch;
+    this.log = log;
+    this.topics = [EVENTS.map(name => this.engine.interface.getEvent(name).topicHash)];
+    this.timer = null;
+  }
+
+  /**
+   * Indexes every confirmed block not indexed yet.
+   * @returns {Promise<number|null>} the last block indexed
+   */
+  async sync() {
+    await this._checkReorg();
+
+    const head = await this.provider.getBlockNumber();
+    const safe = head - this.confirmations;
+    let from = this._nextBlock();
+
+    while (from <= safe) {
+      const to = Math.min(from + this.batchSize - 1, safe);
+      const logs = await this.provider.getLogs({
+        address: this.engine.target,
+        topics: this.topics,
+        fromBlock: from,
+        toBlock: to
+      });
+      logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+      const events = [];
+      for (const log of logs) {
+        events.push(await this._decode(log));
+      }
+      const block = await this.provider.getBlock(to);
+      this.store.applyBatch(events, { number: to, hash: block.hash });
+      this.log(`Indexed blocks ${from}-${to}, ${events.length} events`);
+      await this.onBatch(events, to);
+
+      from = to + 1;
+    }
+    return this.store.getCursor();
+  }
+
+  /**
+   * Syncs every `interval` ms until stop() is called. Errors are logged and retried on the next tick.
+   * @param {number} [interval]
+   */
+  start(interval = 4000) {
+    const tick = async () => {
+      try {
+        await this.sync();
+      } catch (error) {
+        this.log(`Sync failed: ${error.message}`);
+      }
+      if (this.timer) this.timer = setTimeout(tick, interval);
+    };
+    this.timer = setTimeout(tick, 0);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  _nextBlock() {
+    const cursor = this.store.getCursor();
+    return cursor === null ? this.startBlock : cursor + 1;
+  }
+
+  // A reorg deeper than the confirmation depth replaced blocks already indexed. Walk back through the
+  // stored hashes to the newest one still on the chain and roll back to it
+  async _checkReorg() {
+    const stored = this.store.getBlocks(this.confirmations + this.batchSize);
+    if (stored.length === 0) return;
+
+    const latest = await this.provider.getBlock(stored[0].number);
+    if (latest && latest.hash === stored[0].hash) return;
+
+    let ancestor = this.startBlock - 1;
+    for (const { number, hash } of stored.slice(1)) {
+      const block = await this.provider.getBlock(number);
+      if (block && block.hash === hash) {
+        ancestor = number;
+        break;
+      }
+    }
+    this.log(`Reorg detected at block ${stored[0].number}, rolling back to ${ancestor}`);
+    this.store.rollback(ancestor);
+  }
+
+  // Turns a log into what the store writes. What the event leaves out is read from the engine at the
+  // latest block, not the log's, so a node that has pruned old state can still be followed from any
+  // block: orders, matches and outcome names never change once written, and MarketCreated carries the
+  // end time. Only a market's settlement time can have moved on since, for a market indexed after a
+  // reschedule; its MarketRescheduled logs then set the same schedule again
+  async _decode(log) {
+    const parsed = this.engine.interface.parseLog(log);
+    const event = {
+      type: parsed.name,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      logIndex: log.index,
+      txHash: log.transactionHash
+    };
+    const args = parsed.args;
+
+    switch (parsed.name) {
+      case "MarketCreated": {
+        const [market, outcomes] = await Promise.all([
+          this.engine.markets(args.marketId),
+          this.engine.getMarketOutcomes(args.marketId)
+        ]);
+        return {
+          ...event,
+          marketId: args.marketId,
+          description: args.description,
+          outcomes: Array.from(outcomes),
+          endTime: Number(args.endTime),
+          settlementTime: Number(market.settlementTime)
+        };
+      }
+      case "MarketStatusChanged":
+        return { ...event, marketId: args.marketId, status: Number(args.status) };
+      case "MarketRescheduled":
+        return { ...event, marketId: args.marketId, endTime: Number(args.endTime), settlementTime: Number(args.settlementTime) };
+      case "MarketSettled":
+        return { ...event, marketId: args.marketId, outcome: Number(args.outcome) };
+      case "OrderPlaced":
+        return { ...event, order: await this._readOrder(args.orderId) };
+      case "OrderMatched": {
+        const [match, block] = await Promise.all([
+          this.engine.matches(args.matchId),
+          this.provider.getBlock(log.blockNumber)
+        ]);
+        const [backOrder, layOrder] = await Promise.all([
+          this._readOrder(match.backOrderId),
+          this._readOrder(match.layOrderId)
+        ]);
+        return {
+          ...event,
+          matchId: args.matchId,
+          takerOrderId: args.takerOrderId,
+          makerOrderId: args.makerOrderId,
+          backOrder,
+          layOrder,
+          amount: match.amount,
+          odds: match.odds,
+          timestamp: block.timestamp
+        };
+      }
+      case "OrderCancelled":
+        return { ...event, orderId: args.orderId, refund: args.refund };
+      case "LiquidityAdded":
+        return { ...event, marketId: args.marketId, provider: args.provider, amount: args.amount };
+      case "LiquidityRemoved":
+        return { ...event, marketId: args.marketId, provider: args.provider, shares: args.shares, payout: args.payout };
+      case "WinningsClaimed":
+        return { ...event, matchId: args.matchId, winner: args.winner, payout: args.payout };
+      default:
+        throw new Error(`Unexpected event ${parsed.name}`);
+    }
+  }
+
+  async _readOrder(orderId) {
+    const order = await this.engine.orders(orderId);
+    // Gone from the latest block: a reorg is replacing the log's block, the next sync rolls back first
+    if (order.user === ethers.ZeroAddress) throw new Error(`Order ${orderId} not found`);
+    return {
+      orderId,
+      marketId: order.marketId,
+      user: order.user,
+      outcome: Number(order.outcome),
+      side: Number(order.side),
+      amount: order.amount,
+      odds: order.odds,
+      expiry: Number(order.expiry)
+    };
+  }
+}
+
+module.exports = { Indexer, EVENTS };
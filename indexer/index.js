@@ -0,0 +1,71 @@
+// Indexes a BettingMatchingEngine into SQLite. Run with `npm run indexer`, configured from the environment:
+//   RPC_URL          JSON-RPC endpoint, the local hardhat node by default
+//   DEPLOYMENT       deployment file written by scripts/testnet-deploy.js, for the engine address and start block
+//   ENGINE_ADDRESS   engine to index, instead of DEPLOYMENT
+//   START_BLOCK      first block to index, the deployment block or 0 by default
+//   CONFIRMATIONS    how deep a block must be before it is indexed, 12 by default
+//   INDEXER_DB       SQLite file, indexer.db by default
+//   POLL_INTERVAL    ms between syncs, 4000 by default
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { Indexer, EVENTS } = require("./Indexer");
+const { IndexerStore } = require("./store");
+
+function loadConfig(env = process.env) {
+  let engineAddress = env.ENGINE_ADDRESS;
+  let startBlock = env.START_BLOCK !== undefined ? Number(env.START_BLOCK) : undefined;
+
+  if (env.DEPLOYMENT) {
+    const deployment = JSON.parse(fs.readFileSync(env.DEPLOYMENT, "utf8"));
+    engineAddress = engineAddress || deployment.contracts.bettingEngine;
+    if (startBlock === undefined && deployment.deployBlock !== undefined) {
+      startBlock = Number(deployment.deployBlock);
+    }
+  }
+  if (!engineAddress) {
+    throw new Error("Set ENGINE_ADDRESS or DEPLOYMENT to the engine to index");
+  }
+
+  return {
+    rpcUrl: env.RPC_URL || "http://127.0.0.1:8545",
+    engineAddress,
+    startBlock: startBlock || 0,
+    confirmations: env.CONFIRMATIONS !== undefined ? Number(env.CONFIRMATIONS) : 12,
+    database: env.INDEXER_DB || "indexer.db",
+    pollInterval: Number(env.POLL_INTERVAL || 4000)
+  };
+}
+
+async function main() {
+  const config = loadConfig();
+  const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+  const store = new IndexerStore(config.database);
+  const indexer = new Indexer({
+    provider,
+    engineAddress: config.engineAddress,
+    store,
+    startBlock: config.startBlock,
+    confirmations: config.confirmations,
+    log: message => console.log(`[indexer] ${message}`)
+  });
+
+  console.log(`📚 Indexing ${config.engineAddress} from block ${config.startBlock} into ${config.database}`);
+  indexer.start(config.pollInterval);
+
+  const shutdown = () => {
+    indexer.stop();
+    store.close();
+    provider.destroy();
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { Indexer, IndexerStore, EVENTS, loadConfig };
@@ -0,0 +1,431 @@
+const Database = require("better-sqlite3");
+
+// Amounts and odds are kept as decimal strings, they don't fit SQLite's 64-bit integers. Rows carry the
+// block they were logged in so a reorg can drop them; markets' status and schedule, orders' fills and
+// positions are derived from those rows and rebuilt after a rollback.
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  -- Hashes of indexed blocks, compared against the chain to spot reorgs
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS markets (
+    market_id TEXT PRIMARY KEY,
+    description TEXT NOT NULL,
+    outcomes TEXT NOT NULL, -- JSON array of names, index 0 is outcome 1
+    end_time INTEGER NOT NULL,
+    settlement_time INTEGER NOT NULL,
+    status INTEGER NOT NULL,
+    outcome INTEGER NOT NULL DEFAULT 0,
+    block_number INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL
+  );
+
+  -- MarketStatusChanged and MarketSettled, in log order; markets.status and outcome are the latest
+  CREATE TABLE IF NOT EXISTS market_updates (
+    market_id TEXT NOT NULL,
+    status INTEGER,
+    outcome INTEGER,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+
+  -- Every schedule a market has had, from MarketCreated then each MarketRescheduled; markets.end_time
+  -- and settlement_time are the latest
+  CREATE TABLE IF NOT EXISTS market_schedules (
+    market_id TEXT NOT NULL,
+    end_time INTEGER NOT NULL,
+    settlement_time INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+
+  CREATE TABLE IF NOT EXISTS orders (
+    order_id TEXT PRIMARY KEY,
+    market_id TEXT NOT NULL,
+    user TEXT NOT NULL,
+    outcome INTEGER NOT NULL,
+    side INTEGER NOT NULL,
+    amount TEXT NOT NULL,
+    odds TEXT NOT NULL,
+    expiry INTEGER NOT NULL,
+    filled TEXT NOT NULL DEFAULT '0',
+    status TEXT NOT NULL DEFAULT 'open', -- open, filled or cancelled
+    block_number INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS orders_market ON orders (market_id, status);
+  CREATE INDEX IF NOT EXISTS orders_user ON orders (user);
+
+  CREATE TABLE IF NOT EXISTS cancellations (
+    order_id TEXT PRIMARY KEY,
+    refund TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS matches (
+    match_id TEXT PRIMARY KEY,
+    market_id TEXT NOT NULL,
+    outcome INTEGER NOT NULL,
+    back_order_id TEXT NOT NULL,
+    lay_order_id TEXT NOT NULL,
+    taker_order_id TEXT NOT NULL,
+    maker_order_id TEXT NOT NULL,
+    backer TEXT NOT NULL,
+    layer TEXT NOT NULL,
+    amount TEXT NOT NULL, -- backer's stake
+    odds TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS matches_market ON matches (market_id, block_number, log_index);
+
+  CREATE TABLE IF NOT EXISTS liquidity (
+    market_id TEXT NOT NULL,
+    provider TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+
+  CREATE TABLE IF NOT EXISTS liquidity_removals (
+    market_id TEXT NOT NULL,
+    provider TEXT NOT NULL,
+    shares TEXT NOT NULL,
+    payout TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+
+  -- WinningsClaimed; market_id is left null for a match logged before the start block
+  CREATE TABLE IF NOT EXISTS claims (
+    match_id TEXT NOT NULL,
+    market_id TEXT,
+    winner TEXT NOT NULL,
+    payout TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS claims_winner ON claims (winner);
+
+  -- Matched bets per user and outcome: what they backed and stand to win, and what they laid and stand to lose
+  CREATE TABLE IF NOT EXISTS positions (
+    market_id TEXT NOT NULL,
+    user TEXT NOT NULL,
+    outcome INTEGER NOT NULL,
+    backed_stake TEXT NOT NULL DEFAULT '0',
+    backed_profit TEXT NOT NULL DEFAULT '0',
+    laid_stake TEXT NOT NULL DEFAULT '0',
+    laid_liability TEXT NOT NULL DEFAULT '0',
+    PRIMARY KEY (market_id, user, outcome)
+  );
+  CREATE INDEX IF NOT EXISTS positions_user ON positions (user);
+`;
+
+const ODDS_ONE = 10n ** 18n;
+const EVENT_TABLES = [
+  "markets", "market_updates", "market_schedules", "orders", "cancellations", "matches", "liquidity",
+  "liquidity_removals", "claims", "blocks"
+];
+
+/**
+ * SQLite persistence for the indexer. Writes come in whole batches through applyBatch so a crash never
+ * leaves half a block range indexed; reads are what the API serves.
+ */
+class IndexerStore {
+  /**
+   * @param {string} filename path of the database, ":memory:" for a throwaway one
+   */
+  constructor(filename) {
+    this.db = new Database(filename);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(SCHEMA);
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  /** @returns {number|null} the last block indexed, null before the first sync */
+  getCursor() {
+    const row = this.db.prepare("SELECT value FROM meta WHERE key = 'cursor'").get();
+    return row ? Number(row.value) : null;
+  }
+
+  /** @returns {{ number: number, hash: string }[]} indexed block hashes, newest first */
+  getBlocks(limit) {
+    return this.db.prepare("SELECT number, hash FROM blocks ORDER BY number DESC LIMIT ?").all(limit);
+  }
+
+  /**
+   * Writes a batch of decoded events and moves the cursor to `toBlock`, all or nothing.
+   * @param {Object[]} events decoded by the Indexer, in log order
+   * @param {{ number: number, hash: string }} toBlock the last block the batch covers
+   */
+  applyBatch(events, toBlock) {
+    this.db.transaction(() => {
+      const saveBlock = this.db.prepare("INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)");
+      for (const event of events) {
+        this._apply(event);
+        saveBlock.run(event.blockNumber, event.blockHash);
+      }
+      saveBlock.run(toBlock.number, toBlock.hash);
+      this._setCursor(toBlock.number);
+    })();
+  }
+
+  /**
+   * Drops everything logged after `blockNumber` and rebuilds the state derived from it.
+   * @param {number} blockNumber the last block that is still on the chain
+   */
+  rollback(blockNumber) {
+    this.db.transaction(() => {
+      for (const table of EVENT_TABLES) {
+        const column = table === "blocks" ? "number" : "block_number";
+        this.db.prepare(`DELETE FROM ${table} WHERE ${column} > ?`).run(blockNumber);
+      }
+      this._rebuild();
+      this._setCursor(blockNumber);
+    })();
+  }
+
+  getMarkets() {
+    return this.db.prepare("SELECT * FROM markets ORDER BY block_number, market_id").all().map(formatMarket);
+  }
+
+  getMarket(marketId) {
+    const row = this.db.prepare("SELECT * FROM markets WHERE market_id = ?").get(marketId);
+    return row ? formatMarket(row) : null;
+  }
+
+  getOrder(orderId) {
+    return this.db.prepare("SELECT * FROM orders WHERE order_id = ?").get(orderId) || null;
+  }
+
+  /** Unfilled, uncancelled orders of a market; expired GTT orders are left to the caller */
+  getOpenOrders(marketId) {
+    return this.db.prepare("SELECT * FROM orders WHERE market_id = ? AND status = 'open' ORDER BY block_number, order_id")
+      .all(marketId);
+  }
+
+  getMatch(matchId) {
+    return this.db.prepare("SELECT * FROM matches WHERE match_id = ?").get(matchId) || null;
+  }
+
+  /**
+   * Matches of a market, newest first. To page, pass the last match's block and log index as `before`;
+   * a block alone starts at the end of the block before it.
+   * @param {string} marketId
+   * @param {{ limit?: number, before?: { blockNumber: number, logIndex?: number } }} [options]
+   */
+  getMatches(marketId, { limit = 100, before } = {}) {
+    return before === undefined
+      ? this.db.prepare("SELECT * FROM matches WHERE market_id = ? ORDER BY block_number DESC, log_index DESC LIMIT ?")
+        .all(marketId, limit)
+      : this.db.prepare(`SELECT * FROM matches WHERE market_id = ? AND (block_number, log_index) < (?, ?)
+        ORDER BY block_number DESC, log_index DESC LIMIT ?`).all(marketId, before.blockNumber, before.logIndex || 0, limit);
+  }
+
+  getPositions(user) {
+    return this.db.prepare("SELECT * FROM positions WHERE user = ? ORDER BY market_id, outcome").all(user.toLowerCase());
+  }
+
+  getLiquidity(marketId) {
+    return this.db.prepare("SELECT * FROM liquidity WHERE market_id = ? ORDER BY block_number, log_index").all(marketId);
+  }
+
+  getLiquidityRemovals(marketId) {
+    return this.db.prepare("SELECT * FROM liquidity_removals WHERE market_id = ? ORDER BY block_number, log_index")
+      .all(marketId);
+  }
+
+  /** Winnings a user claimed, newest first */
+  getClaims(user) {
+    return this.db.prepare("SELECT * FROM claims WHERE winner = ? ORDER BY block_number DESC, log_index DESC")
+      .all(user.toLowerCase());
+  }
+
+  _setCursor(blockNumber) {
+    this.db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES ('cursor', ?)").run(String(blockNumber));
+  }
+
+  _apply(event) {
+    switch (event.type) {
+      case "MarketCreated":
+        // Status is set by the MarketStatusChanged logged right after
+        this.db.prepare(`INSERT OR IGNORE INTO markets
+          (market_id, description, outcomes, end_time, settlement_time, status, block_number, tx_hash)
+          VALUES (?, ?, ?, ?, ?, 0, ?, ?)`).run(
+          event.marketId, event.description, JSON.stringify(event.outcomes), event.endTime, event.settlementTime,
+          event.blockNumber, event.txHash
+        );
+        this._insertSchedule(event);
+        break;
+      case "MarketRescheduled":
+        this._insertSchedule(event);
+        this.db.prepare("UPDATE markets SET end_time = ?, settlement_time = ? WHERE market_id = ?")
+          .run(event.endTime, event.settlementTime, event.marketId);
+        break;
+      case "MarketStatusChanged":
+        this._insertUpdate(event, event.status, null);
+        this.db.prepare("UPDATE markets SET status = ? WHERE market_id = ?").run(event.status, event.marketId);
+        break;
+      case "MarketSettled":
+        this._insertUpdate(event, null, event.outcome);
+        this.db.prepare("UPDATE markets SET outcome = ? WHERE market_id = ?").run(event.outcome, event.marketId);
+        break;
+      case "OrderPlaced":
+        this._insertOrder(event.order, event);
+        break;
+      case "OrderMatched":
+        this._insertOrder(event.backOrder, event);
+        this._insertOrder(event.layOrder, event);
+        this.db.prepare(`INSERT INTO matches (match_id, market_id, outcome, back_order_id, lay_order_id, taker_order_id,
+          maker_order_id, backer, layer, amount, odds, timestamp, block_number, log_index, tx_hash)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`).run(
+          event.matchId, event.backOrder.marketId, event.backOrder.outcome, event.backOrder.orderId,
+          event.layOrder.orderId, event.takerOrderId, event.makerOrderId, event.backOrder.user.toLowerCase(),
+          event.layOrder.user.toLowerCase(),
+          event.amount.toString(), event.odds.toString(), event.timestamp, event.blockNumber, event.logIndex, event.txHash
+        );
+        this._fill(event.backOrder.orderId, event.amount);
+        this._fill(event.layOrder.orderId, event.amount);
+        this._addPosition(event.backOrder, event.layOrder, event.amount, event.odds);
+        break;
+      case "OrderCancelled":
+        this.db.prepare("INSERT OR IGNORE INTO cancellations (order_id, refund, block_number, tx_hash) VALUES (?, ?, ?, ?)")
+          .run(event.orderId, event.refund.toString(), event.blockNumber, event.txHash);
+        this.db.prepare("UPDATE orders SET status = 'cancelled' WHERE order_id = ?").run(event.orderId);
+        break;
+      case "LiquidityAdded":
+        this.db.prepare(`INSERT OR IGNORE INTO liquidity (market_id, provider, amount, block_number, log_index, tx_hash)
+          VALUES (?, ?, ?, ?, ?, ?)`).run(
+          event.marketId, event.provider.toLowerCase(), event.amount.toString(), event.blockNumber, event.logIndex, event.txHash
+        );
+        break;
+      case "LiquidityRemoved":
+        this.db.prepare(`INSERT OR IGNORE INTO liquidity_removals
+          (market_id, provider, shares, payout, block_number, log_index, tx_hash) VALUES (?, ?, ?, ?, ?, ?, ?)`).run(
+          event.marketId, event.provider.toLowerCase(), event.shares.toString(), event.payout.toString(),
+          event.blockNumber, event.logIndex, event.txHash
+        );
+        break;
+      case "WinningsClaimed":
+        this.db.prepare(`INSERT OR IGNORE INTO claims (match_id, market_id, winner, payout, block_number, log_index, tx_hash)
+          VALUES (?, (SELECT market_id FROM matches WHERE match_id = ?), ?, ?, ?, ?, ?)`).run(
+          event.matchId, event.matchId, event.winner.toLowerCase(), event.payout.toString(),
+          event.blockNumber, event.logIndex, event.txHash
+        );
+        break;
+      default:
+        throw new Error(`Unknown event ${event.type}`);
+    }
+  }
+
+  _insertUpdate(event, status, outcome) {
+    this.db.prepare(`INSERT OR IGNORE INTO market_updates (market_id, status, outcome, block_number, log_index)
+      VALUES (?, ?, ?, ?, ?)`).run(event.marketId, status, outcome, event.blockNumber, event.logIndex);
+  }
+
+  _insertSchedule(event) {
+    this.db.prepare(`INSERT OR IGNORE INTO market_schedules
+      (market_id, end_time, settlement_time, block_number, log_index, tx_hash) VALUES (?, ?, ?, ?, ?, ?)`).run(
+      event.marketId, event.endTime, event.settlementTime, event.blockNumber, event.logIndex, event.txHash
+    );
+  }
+
+  // Orders are first seen on OrderPlaced, or on their first match for signed orders, which are never placed.
+  // An IOC order that matches nothing is refunded before OrderPlaced is logged, so it may already be cancelled
+  _insertOrder(order, event) {
+    this.db.prepare(`INSERT OR IGNORE INTO orders
+      (order_id, market_id, user, outcome, side, amount, odds, expiry, status, block_number, tx_hash)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?,
+        CASE WHEN ? IN (SELECT order_id FROM cancellations) THEN 'cancelled' ELSE 'open' END, ?, ?)`).run(
+      order.orderId, order.marketId, order.user.toLowerCase(), order.outcome, order.side, order.amount.toString(),
+      order.odds.toString(), order.expiry, order.orderId, event.blockNumber, event.txHash
+    );
+  }
+
+  _fill(orderId, amount) {
+    const order = this.getOrder(orderId);
+    const filled = BigInt(order.filled) + BigInt(amount);
+    const status = order.status === "cancelled" ? "cancelled" : (filled >= BigInt(order.amount) ? "filled" : "open");
+    this.db.prepare("UPDATE orders SET filled = ?, status = ? WHERE order_id = ?").run(filled.toString(), status, orderId);
+  }
+
+  _addPosition(backOrder, layOrder, amount, odds) {
+    const stake = BigInt(amount);
+    const liability = (stake * (BigInt(odds) - ODDS_ONE)) / ODDS_ONE;
+    this._bumpPosition(backOrder.marketId, backOrder.user, backOrder.outcome, { backed_stake: stake, backed_profit: liability });
+    this._bumpPosition(layOrder.marketId, layOrder.user, layOrder.outcome, { laid_stake: stake, laid_liability: liability });
+  }
+
+  _bumpPosition(marketId, user, outcome, amounts) {
+    const key = [marketId, user.toLowerCase(), outcome];
+    this.db.prepare("INSERT OR IGNORE INTO positions (market_id, user, outcome) VALUES (?, ?, ?)").run(...key);
+    const row = this.db.prepare("SELECT * FROM positions WHERE market_id = ? AND user = ? AND outcome = ?").get(...key);
+    for (const [column, amount] of Object.entries(amounts)) {
+      this.db.prepare(`UPDATE positions SET ${column} = ? WHERE market_id = ? AND user = ? AND outcome = ?`)
+        .run((BigInt(row[column]) + amount).toString(), ...key);
+    }
+  }
+
+  // After a rollback, works market status and schedule, order fills and positions out again from the rows left
+  _rebuild() {
+    const markets = this.db.prepare("SELECT market_id FROM markets").all();
+    for (const { market_id: marketId } of markets) {
+      const schedule = this.db.prepare(`SELECT end_time, settlement_time FROM market_schedules WHERE market_id = ?
+        ORDER BY block_number DESC, log_index DESC LIMIT 1`).get(marketId);
+      if (schedule) {
+        this.db.prepare("UPDATE markets SET end_time = ?, settlement_time = ? WHERE market_id = ?")
+          .run(schedule.end_time, schedule.settlement_time, marketId);
+      }
+
+      const status = this.db.prepare(`SELECT status FROM market_updates WHERE market_id = ? AND status IS NOT NULL
+        ORDER BY block_number DESC, log_index DESC LIMIT 1`).get(marketId);
+      const settled = this.db.prepare(`SELECT outcome FROM market_updates WHERE market_id = ? AND outcome IS NOT NULL
+        ORDER BY block_number DESC, log_index DESC LIMIT 1`).get(marketId);
+      this.db.prepare("UPDATE markets SET status = COALESCE(?, status), outcome = ? WHERE market_id = ?")
+        .run(status ? status.status : null, settled ? settled.outcome : 0, marketId);
+    }
+
+    this.db.prepare(`UPDATE orders SET filled = '0',
+      status = CASE WHEN order_id IN (SELECT order_id FROM cancellations) THEN 'cancelled' ELSE 'open' END`).run();
+    this.db.prepare("DELETE FROM positions").run();
+    const matches = this.db.prepare("SELECT * FROM matches ORDER BY block_number, log_index").all();
+    for (const match of matches) {
+      this._fill(match.back_order_id, match.amount);
+      this._fill(match.lay_order_id, match.amount);
+      this._addPosition(
+        { marketId: match.market_id, user: match.backer, outcome: match.outcome },
+        { marketId: match.market_id, user: match.layer, outcome: match.outcome },
+        match.amount,
+        match.odds
+      );
+    }
+  }
+}
+
+function formatMarket(row) {
+  return { ...row, outcomes: JSON.parse(row.outcomes) };
+}
+
+module.exports = { IndexerStore };
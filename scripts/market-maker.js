@@ -0,0 +1,240 @@
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { BettingClient, BettingError, probabilityToOdds, roundToTick, collateralFor, formatOdds } = require("../sdk");
+
+// Keeps a two-sided book on test markets: for every outcome it backs at odds longer than fair and lays
+// at odds shorter than fair, `levels` deep, and quotes again whenever one of its orders fills.
+//
+//   npx hardhat run scripts/market-maker.js --network localhost
+//
+// Addresses come from the deployment file of the network; MM_CONFIG points at a JSON config, see
+// scripts/market-maker.config.example.json. Every market setting falls back to DEFAULTS.
+
+const DEFAULTS = {
+  fair: "oracle", // "oracle" reads outcome 1's probability (1e18 = certain) off MockPriceOracle.getPrice, or give one per outcome
+  levels: 3, // quotes per outcome and side
+  spread: 0.02, // probability between the fair price and the best quote on each side
+  step: 0.01, // probability between one level and the next
+  size: 50, // stake per quote, in base tokens
+  maxExposure: 2000, // most collateral the bot commits to the market, matched and resting, in base tokens
+  maxInventory: 500, // once a result would win or lose the bot this much, it stops adding to that side
+  liquidity: 0 // added to the market's AMM pool on start unless the bot already has shares
+};
+
+class MarketMaker {
+  /**
+   * @param {Object} options
+   * @param {BettingClient} options.client signs the bot's orders
+   * @param {ethers.Contract} [options.oracle] MockPriceOracle, for markets quoted off its price
+   * @param {Object[]} options.markets per-market settings with a `marketId`, see DEFAULTS
+   * @param {number} [options.requoteInterval] ms between requotes to follow the fair price, 0 for fills only
+   * @param {(message: string) => void} [options.log]
+   */
+  constructor({ client, oracle, markets, requoteInterval = 30000, log = () => {} }) {
+    this.client = client;
+    this.oracle = oracle;
+    this.markets = markets.map(market => ({ ...DEFAULTS, ...market }));
+    this.requoteInterval = requoteInterval;
+    this.log = log;
+    this.orders = new Map(); // resting orderId => marketId
+    this.queues = new Map(); // marketId => last requote, so requotes of a market never overlap
+    this.timer = null;
+    this.listener = null;
+  }
+
+  async start() {
+    for (const market of this.markets) {
+      await this._seedLiquidity(market);
+      await this.requote(market.marketId);
+    }
+
+    this.listener = (matchId, takerOrderId, makerOrderId) => this.handleMatch(takerOrderId, makerOrderId);
+    await this.client.engine.on("OrderMatched", this.listener);
+    if (this.requoteInterval > 0) {
+      this.timer = setInterval(() => {
+        for (const market of this.markets) this.requote(market.marketId);
+      }, this.requoteInterval);
+    }
+  }
+
+  /** Stops quoting and pulls the bot's resting orders */
+  async stop() {
+    clearInterval(this.timer);
+    if (this.listener) await this.client.engine.off("OrderMatched", this.listener);
+    for (const market of this.markets) {
+      await this._enqueue(market.marketId, () => this._cancelAll(market.marketId));
+    }
+  }
+
+  /** Requotes the market of a match if one of the bot's orders took part in it */
+  async handleMatch(takerOrderId, makerOrderId) {
+    const marketId = this.orders.get(makerOrderId) || this.orders.get(takerOrderId);
+    if (marketId) await this.requote(marketId);
+  }
+
+  /** Pulls the market's quotes and places a fresh ladder around the current fair price */
+  requote(marketId) {
+    return this._enqueue(marketId, async () => {
+      const market = this.markets.find(m => m.marketId === marketId);
+      await this._cancelAll(marketId);
+
+      const info = await this.client.getMarket(marketId);
+      const { timestamp } = await this.client.runner.provider.getBlock("latest");
+      if (info.status !== "Open" || BigInt(timestamp) >= info.endTime) {
+        this.log(`${marketId.slice(0, 10)} not trading, no quotes`);
+        return;
+      }
+
+      const quotes = await this.buildQuotes(market, info.outcomes.length);
+      for (const quote of quotes) {
+        try {
+          const { orderId } = await this.client.placeOrder({ marketId, ...quote, timeInForce: "POST_ONLY", autoDeposit: true });
+          this.orders.set(orderId, marketId);
+        } catch (error) {
+          // A quote that would cross someone else's order, or break a market limit, is skipped
+          if (!(error instanceof BettingError)) throw error;
+          this.log(`${marketId.slice(0, 10)} skipped ${quote.side} ${quote.outcome} @ ${formatOdds(quote.odds)}: ${error.message}`);
+        }
+      }
+      this.log(`${marketId.slice(0, 10)} quoted ${quotes.length} orders`);
+    });
+  }
+
+  /**
+   * The ladder to quote: best levels of every outcome and side first, then each next level, for as long
+   * as the exposure budget lasts. Sides the inventory limit closes are left out.
+   * @returns {Promise<{ outcome: number, side: string, stake: bigint, odds: bigint }[]>}
+   */
+  async buildQuotes(market, outcomeCount) {
+    const probabilities = await this.fairProbabilities(market, outcomeCount);
+    const { profitByOutcome } = await this.client.getPosition(market.marketId);
+    const maxInventory = this.client.parseAmount(market.maxInventory);
+    const stake = this.client.parseAmount(market.size);
+    const user = await this.client.runner.getAddress();
+    let budget = this.client.parseAmount(market.maxExposure) - await this.client.engine.exposure(market.marketId, user);
+
+    const quotes = [];
+    for (let level = 0; level < market.levels; level++) {
+      const offset = market.spread / 2 + level * market.step;
+      for (let outcome = 1; outcome <= outcomeCount; outcome++) {
+        const fair = probabilities[outcome - 1];
+        const candidates = [];
+        // Backing at longer odds than fair, unless the bot already wins enough on this outcome
+        if (fair - offset > 0 && profitByOutcome[outcome] < maxInventory) {
+          candidates.push({ side: "back", odds: roundToTick(probabilityToOdds(fair - offset), "up") });
+        }
+        // Laying at shorter odds than fair, unless the bot already loses enough on it
+        if (fair + offset < 1 && profitByOutcome[outcome] > -maxInventory) {
+          candidates.push({ side: "lay", odds: roundToTick(probabilityToOdds(fair + offset), "down") });
+        }
+
+        for (const { side, odds } of candidates) {
+          const collateral = collateralFor(side, stake, odds);
+          if (collateral > budget) continue;
+          budget -= collateral;
+          quotes.push({ outcome, side, stake, odds });
+        }
+      }
+    }
+    return quotes;
+  }
+
+  /** @returns {Promise<number[]>} the fair probability of each outcome */
+  async fairProbabilities(market, outcomeCount) {
+    if (Array.isArray(market.fair)) {
+      if (market.fair.length !== outcomeCount) {
+        throw new Error(`${market.marketId} needs ${outcomeCount} fair probabilities, got ${market.fair.length}`);
+      }
+      return market.fair;
+    }
+
+    if (!this.oracle) throw new Error("No oracle to read fair prices from");
+    if (outcomeCount !== 2) throw new Error(`${market.marketId} has ${outcomeCount} outcomes, the oracle only prices two`);
+    const [price] = await this.oracle.getPrice(market.marketId);
+    const probability = Number(ethers.formatUnits(price, 18));
+    if (!(probability > 0 && probability < 1)) {
+      throw new Error(`Oracle price ${probability} for ${market.marketId} isn't a probability`);
+    }
+    return [probability, 1 - probability];
+  }
+
+  async _seedLiquidity(market) {
+    if (!market.liquidity) return;
+    const [, , shares] = await this.client.engine.getPoolInfo(market.marketId, await this.client.runner.getAddress());
+    if (shares > 0n) return;
+
+    await this.client.deposit(market.liquidity);
+    await this.client.addLiquidity(market.marketId, market.liquidity);
+    this.log(`${market.marketId.slice(0, 10)} added ${market.liquidity} liquidity`);
+  }
+
+  async _cancelAll(marketId) {
+    for (const [orderId, orderMarket] of this.orders) {
+      if (orderMarket !== marketId) continue;
+      this.orders.delete(orderId);
+
+      const order = await this.client.engine.orders(orderId);
+      if (!order.isActive || order.isMatched) continue;
+      try {
+        await this.client.cancelOrder(orderId);
+      } catch (error) {
+        if (!(error instanceof BettingError)) throw error;
+      }
+    }
+  }
+
+  _enqueue(marketId, task) {
+    const next = (this.queues.get(marketId) || Promise.resolve()).then(task).catch(error => {
+      this.log(`${marketId.slice(0, 10)} requote failed: ${error.message}`);
+    });
+    this.queues.set(marketId, next);
+    return next;
+  }
+}
+
+async function main() {
+  console.log("🤖 Starting market maker");
+
+  const [deployer] = await ethers.getSigners();
+  const network = await ethers.provider.getNetwork();
+  const deploymentFile = path.join(__dirname, "..", "deployments", `${network.name}-${network.chainId}.json`);
+  if (!fs.existsSync(deploymentFile)) {
+    console.error("❌ Deployment file not found. Please deploy first with:");
+    console.error(`   npm run deploy:${network.name}`);
+    process.exit(1);
+  }
+  const deploymentInfo = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
+
+  const config = process.env.MM_CONFIG ? JSON.parse(fs.readFileSync(process.env.MM_CONFIG, "utf8")) : {};
+  const markets = config.markets || [{ marketId: deploymentInfo.contracts.testMarketId }];
+
+  const client = await BettingClient.connect(deploymentInfo.contracts.bettingEngine, deployer);
+  const oracle = await ethers.getContractAt("MockPriceOracle", deploymentInfo.contracts.mockOracle);
+  const maker = new MarketMaker({
+    client,
+    oracle,
+    markets,
+    requoteInterval: config.requoteInterval,
+    log: message => console.log(`[mm] ${message}`)
+  });
+
+  console.log("- Account:", deployer.address);
+  console.log("- Markets:", markets.map(m => m.marketId).join(", "));
+  await maker.start();
+
+  process.on("SIGINT", async () => {
+    console.log("\n🛑 Pulling quotes");
+    await maker.stop();
+    process.exit(0);
+  });
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { MarketMaker, DEFAULTS };
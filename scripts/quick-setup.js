@@ -24,10 +24,20 @@ async function main() {
     await mockOracle.waitForDeployment();
     console.log("✅ MockOracle:", await mockOracle.getAddress());
     
-    const BettingEngine = await ethers.getContractFactory("BettingMatchingEngine");
+    const signedOrders = await (await ethers.getContractFactory("SignedOrders")).deploy();
+    const modules = [];
+    for (const name of ["AMMModule", "MarketModule", "AdminModule"]) {
+        modules.push(await (await (await ethers.getContractFactory(name)).deploy()).getAddress());
+    }
+    const BettingEngine = await ethers.getContractFactory("BettingMatchingEngine", {
+        libraries: {
+            SignedOrders: await signedOrders.getAddress()
+        }
+    });
     const bettingEngine = await BettingEngine.deploy(
         await mockUSDC.getAddress(),
-        await mockOracle.getAddress()
+        await mockOracle.getAddress(),
+        ...modules
     );
     await bettingEngine.waitForDeployment();
     console.log("✅ BettingEngine:", await bettingEngine.getAddress());
@@ -38,7 +48,9 @@ async function main() {
     await mockUSDC.mint(user2.address, ethers.parseUnits("5000", 6));
     await mockUSDC.connect(user1).approve(bettingEngine.getAddress(), ethers.parseUnits("5000", 6));
     await mockUSDC.connect(user2).approve(bettingEngine.getAddress(), ethers.parseUnits("5000", 6));
-    console.log("✅ Funded and approved users");
+    await bettingEngine.connect(user1).deposit(ethers.parseUnits("5000", 6));
+    await bettingEngine.connect(user2).deposit(ethers.parseUnits("5000", 6));
+    console.log("✅ Funded users and deposited their collateral");
     
     // 3. Create market
     console.log("\n🎯 Creating test market...");
@@ -47,6 +59,7 @@ async function main() {
     
     const tx = await bettingEngine.createMarket(
         "Quick Test: Will ETH hit $4000?",
+        ["Yes", "No"],
         endTime,
         settlementTime
     );
@@ -65,16 +78,18 @@ async function main() {
     console.log("\n📝 Testing order placement...");
     const order1Tx = await bettingEngine.connect(user1).placeOrder(
         marketId,
-        1, // side A
+        1, // outcome "Yes"
+        1, // back
         ethers.parseUnits("100", 6),
         ethers.parseUnits("2.0", 18)
     );
     await order1Tx.wait();
-    console.log("✅ User1 placed order (Side A, 100 USDC, 2.0x)");
+    console.log("✅ User1 placed order (Back Yes, 100 USDC, 2.0x)");
     
     const order2Tx = await bettingEngine.connect(user2).placeOrder(
         marketId, 
-        2, // side B
+        1, // outcome "Yes"
+        2, // lay
         ethers.parseUnits("100", 6),
         ethers.parseUnits("2.0", 18)
     );
@@ -100,28 +115,33 @@ async function main() {
     await bettingEngine.connect(user1).addLiquidity(marketId, ethers.parseUnits("200", 6));
     console.log("✅ Added liquidity");
     
-    await bettingEngine.connect(user2).swapWithAMM(marketId, 1, ethers.parseUnits("50", 6));
+    const swapAmount = ethers.parseUnits("50", 6);
+    const quote = await bettingEngine.quoteSwap(marketId, 1, swapAmount);
+    await bettingEngine.connect(user2).swapWithAMM(
+        marketId,
+        1,
+        swapAmount,
+        quote * 99n / 100n, // 1% slippage
+        Math.floor(Date.now() / 1000) + 600
+    );
     console.log("✅ Executed AMM swap");
     
     // 6. Show final state
     console.log("\n📊 Final state:");
-    const user1Balance = await mockUSDC.balanceOf(user1.address);
-    const user2Balance = await mockUSDC.balanceOf(user2.address);
-    const user1BettingBalance = await bettingEngine.userBalances(user1.address);
-    const user2BettingBalance = await bettingEngine.userBalances(user2.address);
+    const [user1Balance, user1Locked] = await bettingEngine.getAccount(user1.address);
+    const [user2Balance, user2Locked] = await bettingEngine.getAccount(user2.address);
+    const user2SharesA = await bettingEngine.positions(marketId, user2.address, 1);
     
     console.log("💰 Balances:");
-    console.log("- User1 USDC:", ethers.formatUnits(user1Balance, 6));
-    console.log("- User2 USDC:", ethers.formatUnits(user2Balance, 6));
-    console.log("- User1 betting positions:", ethers.formatUnits(user1BettingBalance, 6));
-    console.log("- User2 betting positions:", ethers.formatUnits(user2BettingBalance, 6));
+    console.log("- User1 USDC:", ethers.formatUnits(user1Balance, 6), "free,", ethers.formatUnits(user1Locked, 6), "locked");
+    console.log("- User2 USDC:", ethers.formatUnits(user2Balance, 6), "free,", ethers.formatUnits(user2Locked, 6), "locked");
+    console.log("- User2 Yes shares:", ethers.formatUnits(user2SharesA, 6));
     
     const orderBook = await bettingEngine.getOrderBook(marketId);
     console.log("📋 Active orders:", orderBook.orderIds.length);
     
-    const market = await bettingEngine.markets(marketId);
-    console.log("📈 Market volume A:", ethers.formatUnits(market.totalVolumeA, 6), "USDC");
-    console.log("📈 Market volume B:", ethers.formatUnits(market.totalVolumeB, 6), "USDC");
+    const volumeYes = await bettingEngine.outcomeVolume(marketId, 1);
+    console.log("📈 Market volume Yes:", ethers.formatUnits(volumeYes, 6), "USDC");
     
     console.log("\n🎉 Quick setup completed successfully!");
     console.log("🔧 Contract addresses saved. Ready for development!");
@@ -36,12 +36,36 @@ async function main() {
         console.log("✅ Mock Oracle deployed to:", mockOracleAddress);
         deployments.mockOracle = mockOracleAddress;
         
-        // 3. Deploy Betting Matching Engine
+        // 3. Deploy the linked library and the Betting Matching Engine
+        console.log("\n📚 Deploying library...");
+        const SignedOrders = await ethers.getContractFactory("SignedOrders");
+        const signedOrders = await SignedOrders.deploy();
+        await signedOrders.waitForDeployment();
+        deployments.signedOrders = await signedOrders.getAddress();
+        console.log("✅ SignedOrders deployed to:", deployments.signedOrders);
+        
+        // The engine delegatecalls into these modules, it takes their addresses at deployment
+        console.log("\n🧩 Deploying modules...");
+        const modules = { ammModule: "AMMModule", marketModule: "MarketModule", adminModule: "AdminModule" };
+        for (const [key, name] of Object.entries(modules)) {
+            const module = await (await ethers.getContractFactory(name)).deploy();
+            await module.waitForDeployment();
+            deployments[key] = await module.getAddress();
+            console.log(`✅ ${name} deployed to:`, deployments[key]);
+        }
+        
         console.log("\n🎯 Deploying Betting Matching Engine...");
-        const BettingMatchingEngine = await ethers.getContractFactory("BettingMatchingEngine");
+        const BettingMatchingEngine = await ethers.getContractFactory("BettingMatchingEngine", {
+            libraries: {
+                SignedOrders: deployments.signedOrders
+            }
+        });
         const bettingEngine = await BettingMatchingEngine.deploy(
             mockUSDCAddress,
-            mockOracleAddress
+            mockOracleAddress,
+            deployments.ammModule,
+            deployments.marketModule,
+            deployments.adminModule
         );
         await bettingEngine.waitForDeployment();
         const bettingEngineAddress = await bettingEngine.getAddress();
@@ -57,13 +81,15 @@ async function main() {
         
         // Approve betting engine to spend USDC
         await mockUSDC.approve(bettingEngineAddress, ethers.parseUnits("50000", 6));
-        console.log("✅ Approved betting engine to spend 50,000 mUSDC");
+        await bettingEngine.deposit(ethers.parseUnits("50000", 6));
+        console.log("✅ Deposited 50,000 mUSDC into the betting engine");
         
         // Create a test market
         const endTime = Math.floor(Date.now() / 1000) + (24 * 60 * 60); // 24 hours from now
         const settlementTime = endTime + (2 * 60 * 60); // 2 hours after end
         const tx = await bettingEngine.createMarket(
             "Test Market: Will ETH price be above $3000 tomorrow?",
+            ["Yes", "No"],
             endTime,
             settlementTime
         );
@@ -88,6 +114,7 @@ async function main() {
             chainId: network.chainId.toString(),
             timestamp: new Date().toISOString(),
             deployer: deployer.address,
+            deployBlock: (await ethers.provider.getTransactionReceipt(bettingEngine.deploymentTransaction().hash)).blockNumber,
             contracts: deployments,
             gasUsed: {
                 mockUSDC: (await ethers.provider.getTransactionReceipt(mockUSDC.deploymentTransaction().hash)).gasUsed.toString(),
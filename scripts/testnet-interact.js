@@ -39,10 +39,12 @@ async function main() {
         await mockUSDC.mint(user2.address, ethers.parseUnits("10000", 6)); // 10k USDC
         console.log("✅ Minted 10,000 mUSDC to each test user");
         
-        // Users approve betting engine
+        // Users deposit collateral into the betting engine
         await mockUSDC.connect(user1).approve(bettingEngine.getAddress(), ethers.parseUnits("5000", 6));
         await mockUSDC.connect(user2).approve(bettingEngine.getAddress(), ethers.parseUnits("5000", 6));
-        console.log("✅ Users approved betting engine to spend mUSDC");
+        await bettingEngine.connect(user1).deposit(ethers.parseUnits("5000", 6));
+        await bettingEngine.connect(user2).deposit(ethers.parseUnits("5000", 6));
+        console.log("✅ Users deposited 5,000 mUSDC each into the betting engine");
         
         // Check balances
         const user1Balance = await mockUSDC.balanceOf(user1.address);
@@ -57,6 +59,7 @@ async function main() {
         
         const createMarketTx = await bettingEngine.createMarket(
             "Integration Test: Will BTC price be above $50,000?",
+            ["Yes", "No"],
             endTime,
             settlementTime
         );
@@ -76,10 +79,11 @@ async function main() {
         // Test 2: Place orders
         console.log("\n📝 Test 2: Placing orders...");
         
-        // User1 places order for side A (YES) with 2.0 odds
+        // User1 backs YES with 2.0 odds
         const order1Tx = await bettingEngine.connect(user1).placeOrder(
             newMarketId,
-            1, // side A
+            1, // outcome YES
+            1, // back
             ethers.parseUnits("100", 6), // 100 USDC
             ethers.parseUnits("2.0", 18) // 2.0 odds
         );
@@ -94,12 +98,13 @@ async function main() {
             })
         );
         const order1Id = order1Event.args.orderId;
-        console.log("✅ User1 placed order (Side A, 100 USDC, 2.0 odds):", order1Id);
+        console.log("✅ User1 placed order (Back YES, 100 USDC, 2.0 odds):", order1Id);
         
-        // User2 places order for side B (NO) with 2.5 odds
+        // User2 lays YES with 2.5 odds
         const order2Tx = await bettingEngine.connect(user2).placeOrder(
             newMarketId,
-            2, // side B
+            1, // outcome YES
+            2, // lay
             ethers.parseUnits("80", 6), // 80 USDC
             ethers.parseUnits("2.5", 18) // 2.5 odds
         );
@@ -114,7 +119,7 @@ async function main() {
             })
         );
         const order2Id = order2Event.args.orderId;
-        console.log("✅ User2 placed order (Side B, 80 USDC, 2.5 odds):", order2Id);
+        console.log("✅ User2 placed order (Lay YES, 80 USDC, 2.5 odds):", order2Id);
         
         // Test 3: Check order book
         console.log("\n📊 Test 3: Checking order book...");
@@ -125,7 +130,8 @@ async function main() {
             console.log(`  ID: ${orderBook.orderIds[i]}`);
             console.log(`  Amount: ${ethers.formatUnits(orderBook.amounts[i], 6)} USDC`);
             console.log(`  Odds: ${ethers.formatUnits(orderBook.odds[i], 18)}`);
-            console.log(`  Side: ${orderBook.sides[i] === 1 ? 'A (YES)' : 'B (NO)'}`);
+            console.log(`  Outcome: ${orderBook.outcomes[i] === 1n ? 'YES' : 'NO'}`);
+            console.log(`  Side: ${orderBook.sides[i] === 1n ? 'Back' : 'Lay'}`);
         }
         
         // Test 4: Add liquidity to AMM
@@ -139,23 +145,27 @@ async function main() {
         
         // Test 5: Swap with AMM
         console.log("\n🔄 Test 5: Testing AMM swap...");
+        const swapAmount = ethers.parseUnits("50", 6); // 50 USDC
+        const quote = await bettingEngine.quoteSwap(newMarketId, 1, swapAmount);
         const swapTx = await bettingEngine.connect(user2).swapWithAMM(
             newMarketId,
-            1, // side A
-            ethers.parseUnits("50", 6) // 50 USDC
+            1, // outcome YES
+            swapAmount,
+            quote * 99n / 100n, // 1% slippage
+            Math.floor(Date.now() / 1000) + 600 // 10 minute deadline
         );
         await swapTx.wait();
-        console.log("✅ User2 swapped 50 USDC for side A tokens");
+        console.log("✅ User2 swapped 50 USDC for", ethers.formatUnits(quote, 6), "YES shares");
         
         // Test 6: Check market data
         console.log("\n📈 Test 6: Checking market data...");
         const marketData = await bettingEngine.markets(newMarketId);
         console.log("Market details:");
         console.log("- Description:", marketData.description);
-        console.log("- Is Active:", marketData.isActive);
+        console.log("- Status:", ["Pending", "Open", "Suspended", "Closed", "Settled", "Voided"][Number(marketData.status)]);
         console.log("- Is Settled:", marketData.isSettled);
-        console.log("- Total Volume A:", ethers.formatUnits(marketData.totalVolumeA, 6), "USDC");
-        console.log("- Total Volume B:", ethers.formatUnits(marketData.totalVolumeB, 6), "USDC");
+        console.log("- Volume YES:", ethers.formatUnits(await bettingEngine.outcomeVolume(newMarketId, 1), 6), "USDC");
+        console.log("- Volume NO:", ethers.formatUnits(await bettingEngine.outcomeVolume(newMarketId, 2), 6), "USDC");
         console.log("- End Time:", new Date(Number(marketData.endTime) * 1000).toLocaleString());
         
         // Test 7: Simulate oracle price update
@@ -166,32 +176,35 @@ async function main() {
         // Test 8: Settle market (simulate future settlement)
         console.log("\n🏁 Test 8: Preparing for market settlement...");
         console.log("⏰ In a real scenario, you would wait for the settlement time and then:");
-        console.log("1. Call mockOracle.settleMarket(marketId, outcome) where outcome is 1 or 2");
-        console.log("2. Call bettingEngine.settleMarket(marketId)");
-        console.log("3. Users can then call bettingEngine.claimWinnings(matchId)");
+        console.log("1. Call mockOracle.settleMarket(marketId, outcome) where outcome is the winning outcome index");
+        console.log("2. Call bettingEngine.settleMarket(marketId) to propose the oracle's result");
+        console.log("3. Once the dispute window has passed, call bettingEngine.finalizeSettlement(marketId)");
+        console.log("4. Users can then call bettingEngine.claimWinnings(matchId)");
         
         // For demonstration, let's settle the market if it's past settlement time
         // (This won't work in practice since we just created it, but shows the process)
         console.log("\n📋 Settlement process example:");
         console.log("// Step 1: Oracle settles market with outcome");
-        console.log(`await mockOracle.settleMarket("${newMarketId}", 1); // 1 = side A wins`);
-        console.log("// Step 2: Betting engine processes settlement");
+        console.log(`await mockOracle.settleMarket("${newMarketId}", 1); // 1 = YES wins`);
+        console.log("// Step 2: Betting engine proposes the result, anyone may dispute it during the dispute window");
         console.log(`await bettingEngine.settleMarket("${newMarketId}");`);
-        console.log("// Step 3: Winners claim payouts");
+        console.log("// Step 3: After the dispute window the result is final");
+        console.log(`await bettingEngine.finalizeSettlement("${newMarketId}");`);
+        console.log("// Step 4: Winners claim payouts");
         console.log(`await bettingEngine.claimWinnings(matchId);`);
         
         // Check final balances
         console.log("\n💰 Final balances:");
-        const finalUser1Balance = await mockUSDC.balanceOf(user1.address);
-        const finalUser2Balance = await mockUSDC.balanceOf(user2.address);
-        console.log("- User1:", ethers.formatUnits(finalUser1Balance, 6), "mUSDC");
-        console.log("- User2:", ethers.formatUnits(finalUser2Balance, 6), "mUSDC");
-        
-        // Check user balances in betting engine (AMM positions)
-        const user1BettingBalance = await bettingEngine.userBalances(user1.address);
-        const user2BettingBalance = await bettingEngine.userBalances(user2.address);
-        console.log("- User1 betting positions:", ethers.formatUnits(user1BettingBalance, 6));
-        console.log("- User2 betting positions:", ethers.formatUnits(user2BettingBalance, 6));
+        const [finalUser1Balance, finalUser1Locked] = await bettingEngine.getAccount(user1.address);
+        const [finalUser2Balance, finalUser2Locked] = await bettingEngine.getAccount(user2.address);
+        console.log("- User1:", ethers.formatUnits(finalUser1Balance, 6), "mUSDC free,", ethers.formatUnits(finalUser1Locked, 6), "locked");
+        console.log("- User2:", ethers.formatUnits(finalUser2Balance, 6), "mUSDC free,", ethers.formatUnits(finalUser2Locked, 6), "locked");
+        
+        // Check outcome shares held in betting engine (AMM positions)
+        const user2SharesA = await bettingEngine.positions(newMarketId, user2.address, 1);
+        const user2SharesB = await bettingEngine.positions(newMarketId, user2.address, 2);
+        console.log("- User2 YES shares:", ethers.formatUnits(user2SharesA, 6));
+        console.log("- User2 NO shares:", ethers.formatUnits(user2SharesB, 6));
         
         console.log("\n🎉 All tests completed successfully!");
         console.log("\n📝 Summary of what was tested:");
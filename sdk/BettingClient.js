@@ -0,0 +1,369 @@
+const { ethers } = require("ethers");
+const { ENGINE_ABI, ERC20_ABI } = require("./abi");
+const { decodeError } = require("./errors");
+const units = require("./units");
+
+/**
+ * @typedef {Object} MatchInfo
+ * @property {string} matchId
+ * @property {string} takerOrderId
+ * @property {string} makerOrderId
+ * @property {bigint} amount backer's stake matched
+ * @property {bigint} odds price the match executed at, scaled by 1e18
+ */
+
+/**
+ * @typedef {Object} PriceLevel
+ * @property {bigint} odds scaled by 1e18
+ * @property {bigint} amount unmatched backer's stake resting at these odds
+ * @property {string[]} orderIds in matching priority
+ */
+
+/**
+ * @typedef {Object} OutcomeBook
+ * @property {number} outcome
+ * @property {string} name
+ * @property {PriceLevel[]} back backers waiting to be laid, lowest odds first as the engine matches them
+ * @property {PriceLevel[]} lay layers waiting to be backed, highest odds first
+ */
+
+/**
+ * Wraps a deployed BettingMatchingEngine and its base token. Methods take odds as decimal odds (2.5)
+ * and amounts in whole tokens ("12.5" USDC); a bigint is taken as already scaled. Everything returned
+ * is left as bigints on the contract's scale, use formatOdds and formatAmount to display it.
+ */
+class BettingClient {
+  /**
+   * @param {string} engineAddress
+   * @param {ethers.ContractRunner} runner a signer to send transactions, or a provider for queries only
+   * @param {{ tokenAddress: string, decimals: number }} token the engine's base token
+   */
+  constructor(engineAddress, runner, { tokenAddress, decimals }) {
+    this.runner = runner;
+    this.engine = new ethers.Contract(engineAddress, ENGINE_ABI, runner);
+    this.token = new ethers.Contract(tokenAddress, ERC20_ABI, runner);
+    this.decimals = decimals;
+  }
+
+  /**
+   * Reads the base token and its decimals off the engine.
+   * @param {string} engineAddress
+   * @param {ethers.ContractRunner} runner
+   * @returns {Promise<BettingClient>}
+   */
+  static async connect(engineAddress, runner) {
+    const engine = new ethers.Contract(engineAddress, ENGINE_ABI, runner);
+    const tokenAddress = await engine.baseToken();
+    const decimals = Number(await new ethers.Contract(tokenAddress, ERC20_ABI, runner).decimals());
+    return new BettingClient(engineAddress, runner, { tokenAddress, decimals });
+  }
+
+  /** @returns {BettingClient} the same engine, sending from another signer */
+  connect(runner) {
+    return new BettingClient(this.engine.target, runner, { tokenAddress: this.token.target, decimals: this.decimals });
+  }
+
+  parseAmount(amount) {
+    return units.parseAmount(amount, this.decimals);
+  }
+
+  formatAmount(amount) {
+    return units.formatAmount(amount, this.decimals);
+  }
+
+  /**
+   * @param {Object} market
+   * @param {string} market.description
+   * @param {string[]} market.outcomes
+   * @param {number|bigint} market.endTime unix seconds
+   * @param {number|bigint} market.settlementTime unix seconds
+   * @param {Object} [market.params] trading limits, odds and amounts as for placeOrder
+   * @returns {Promise<{ marketId: string, receipt: ethers.TransactionReceipt }>}
+   */
+  async createMarket({ description, outcomes, endTime, settlementTime, params }) {
+    const receipt = await this._send(() => params
+      ? this.engine.createMarketWithParams(description, outcomes, endTime, settlementTime, this._marketParams(params))
+      : this.engine.createMarket(description, outcomes, endTime, settlementTime));
+    const [created] = this._events(receipt, "MarketCreated");
+    return { marketId: created.args.marketId, receipt };
+  }
+
+  /**
+   * A Yes/No market on whether the oracle price at settlementTime compares to `strike`.
+   * @param {Object} market
+   * @param {string} market.description
+   * @param {bigint} market.strike on the oracle's price scale
+   * @param {"Above"|"AtOrAbove"|"Below"|"AtOrBelow"} market.comparator
+   * @param {number|bigint} market.endTime
+   * @param {number|bigint} market.settlementTime
+   * @returns {Promise<{ marketId: string, receipt: ethers.TransactionReceipt }>}
+   */
+  async createPriceMarket({ description, strike, comparator, endTime, settlementTime }) {
+    const comparatorValue = units.COMPARATOR[comparator];
+    if (!comparatorValue) throw new RangeError(`Invalid comparator ${comparator}`);
+
+    const receipt = await this._send(() =>
+      this.engine.createPriceMarket(description, strike, comparatorValue, endTime, settlementTime));
+    const [created] = this._events(receipt, "MarketCreated");
+    return { marketId: created.args.marketId, receipt };
+  }
+
+  /**
+   * Places an order and reports what matched on arrival.
+   * @param {Object} order
+   * @param {string} order.marketId
+   * @param {number} order.outcome 1-based
+   * @param {"back"|"lay"} order.side
+   * @param {number|string|bigint} order.stake backer's stake, for a lay the stake it takes on
+   * @param {number|string|bigint} order.odds decimal odds
+   * @param {"GTC"|"IOC"|"FOK"|"POST_ONLY"|"GTT"} [order.timeInForce] GTC by default
+   * @param {number|bigint} [order.expiry] unix seconds, GTT orders only
+   * @param {boolean} [order.autoDeposit] deposit whatever the free balance lacks for the order's collateral
+   * @param {number|string|bigint|true} [order.priceHint] odds of a resting level on the order's side ranked
+   *   ahead of it, where the engine starts looking for a new price's place; true reads it with getPriceHint.
+   *   Needed once more than 100 prices rest ahead of the order
+   * @returns {Promise<{ orderId: string, matches: MatchInfo[], receipt: ethers.TransactionReceipt }>}
+   */
+  async placeOrder({ marketId, outcome, side, stake, odds, timeInForce = "GTC", expiry = 0, autoDeposit = false, priceHint }) {
+    const sideValue = units.toSide(side);
+    const amount = this.parseAmount(stake);
+    const scaledOdds = units.parseOdds(odds);
+    const tif = units.toTimeInForce(timeInForce);
+
+    if (autoDeposit) {
+      const collateral = units.collateralFor(sideValue, amount, scaledOdds);
+      const free = await this.engine.balances(await this.runner.getAddress());
+      if (free < collateral) {
+        await this.deposit(collateral - free);
+      }
+    }
+
+    const hint = priceHint === true
+      ? await this.engine.getPriceHint(marketId, outcome, sideValue, scaledOdds)
+      : priceHint ? units.parseOdds(priceHint) : 0n;
+
+    const receipt = await this._send(() => tif === units.TIME_IN_FORCE.GTC && !expiry && !hint
+      ? this.engine.placeOrder(marketId, outcome, sideValue, amount, scaledOdds)
+      : this.engine.placeLimitOrder(marketId, outcome, sideValue, amount, scaledOdds, tif, expiry, hint));
+
+    const [placed] = this._events(receipt, "OrderPlaced");
+    const matches = [];
+    for (const event of this._events(receipt, "OrderMatched")) {
+      const match = await this.engine.matches(event.args.matchId);
+      matches.push({
+        matchId: event.args.matchId,
+        takerOrderId: event.args.takerOrderId,
+        makerOrderId: event.args.makerOrderId,
+        amount: match.amount,
+        odds: match.odds
+      });
+    }
+    return { orderId: placed.args.orderId, matches, receipt };
+  }
+
+  /** @returns {Promise<ethers.TransactionReceipt>} */
+  async cancelOrder(orderId) {
+    return this._send(() => this.engine.cancelOrder(orderId));
+  }
+
+  /**
+   * Moves tokens into the engine's ledger, approving the engine first if its allowance is short.
+   * @param {number|string|bigint} amount
+   * @returns {Promise<ethers.TransactionReceipt>}
+   */
+  async deposit(amount) {
+    const value = this.parseAmount(amount);
+    await this.ensureAllowance(value);
+    return this._send(() => this.engine.deposit(value));
+  }
+
+  /** @returns {Promise<ethers.TransactionReceipt>} */
+  async withdraw(amount) {
+    return this._send(() => this.engine.withdraw(this.parseAmount(amount)));
+  }
+
+  /**
+   * Seeds or tops up a market's AMM pool from the free balance.
+   * @returns {Promise<ethers.TransactionReceipt>}
+   */
+  async addLiquidity(marketId, amount) {
+    return this._send(() => this.engine.addLiquidity(marketId, this.parseAmount(amount)));
+  }
+
+  /**
+   * Proposes the oracle's result for the market, which is final at once when the engine has no dispute
+   * window; otherwise finalizeSettlement makes it final once the window has passed.
+   * @returns {Promise<ethers.TransactionReceipt>}
+   */
+  async settleMarket(marketId) {
+    return this._send(() => this.engine.settleMarket(marketId));
+  }
+
+  /** @returns {Promise<ethers.TransactionReceipt>} */
+  async finalizeSettlement(marketId) {
+    return this._send(() => this.engine.finalizeSettlement(marketId));
+  }
+
+  /** @returns {Promise<ethers.TransactionReceipt>} */
+  async claimAll(marketId) {
+    return this._send(() => this.engine.claimAll(marketId));
+  }
+
+  /**
+   * Approves the engine for `amount` unless the current allowance already covers it.
+   * @param {number|string|bigint} amount
+   * @returns {Promise<ethers.TransactionReceipt|null>} the approval, or null when none was needed
+   */
+  async ensureAllowance(amount) {
+    const value = this.parseAmount(amount);
+    const owner = await this.runner.getAddress();
+    if (await this.token.allowance(owner, this.engine.target) >= value) return null;
+    return this._send(() => this.token.approve(this.engine.target, value));
+  }
+
+  /**
+   * @returns {Promise<{ id: string, description: string, outcomes: string[], endTime: bigint,
+   *   settlementTime: bigint, status: string, isSettled: boolean, outcome: number }>}
+   */
+  async getMarket(marketId) {
+    const [market, outcomes] = await Promise.all([
+      this.engine.markets(marketId),
+      this.engine.getMarketOutcomes(marketId)
+    ]);
+    if (market.id === ethers.ZeroHash) throw new Error(`Market ${marketId} not found`);
+
+    return {
+      id: market.id,
+      description: market.description,
+      outcomes: Array.from(outcomes),
+      endTime: market.endTime,
+      settlementTime: market.settlementTime,
+      status: units.MARKET_STATUS[Number(market.status)],
+      isSettled: market.isSettled,
+      outcome: Number(market.outcome)
+    };
+  }
+
+  /**
+   * The resting orders of a market, per outcome and side, summed into price levels.
+   * @param {string} marketId
+   * @param {{ blockTag?: number|string }} [options] blockTag reads the book as of an earlier block
+   * @returns {Promise<OutcomeBook[]>}
+   */
+  async getOrderBook(marketId, { blockTag } = {}) {
+    const [[orderIds, amounts, odds, sides, outcomes], names] = await Promise.all([
+      this.engine.getOrderBook(marketId, { blockTag }),
+      this.engine.getMarketOutcomes(marketId, { blockTag })
+    ]);
+
+    const book = names.map((name, i) => ({ outcome: i + 1, name, back: [], lay: [] }));
+    // The engine lists each book in matching priority, so equal odds are always next to each other
+    for (let i = 0; i < orderIds.length; i++) {
+      const levels = book[Number(outcomes[i]) - 1][Number(sides[i]) === units.SIDE.back ? "back" : "lay"];
+      const last = levels[levels.length - 1];
+      if (last && last.odds === odds[i]) {
+        last.amount += amounts[i];
+        last.orderIds.push(orderIds[i]);
+      } else {
+        levels.push({ odds: odds[i], amount: amounts[i], orderIds: [orderIds[i]] });
+      }
+    }
+    return book;
+  }
+
+  /**
+   * A user's matched bets in a market and what each result would pay them, before commission, along
+   * with their AMM shares and what they can claim now.
+   * @param {string} marketId
+   * @param {string} [user] the signer by default
+   * @returns {Promise<{ matches: (MatchInfo & { side: string, outcome: number })[],
+   *   profitByOutcome: Object<number, bigint>, shares: Object<number, bigint>, claimable: bigint }>}
+   */
+  async getPosition(marketId, user) {
+    user = user || await this.runner.getAddress();
+    const [market, matchIds, claimable] = await Promise.all([
+      this.engine.markets(marketId),
+      this.engine.getUserMatches(user, marketId),
+      this.engine.getClaimableAmount(user, marketId)
+    ]);
+    const outcomeCount = Number(market.outcomeCount);
+
+    const profitByOutcome = {};
+    const shares = {};
+    for (let outcome = 1; outcome <= outcomeCount; outcome++) {
+      profitByOutcome[outcome] = 0n;
+      shares[outcome] = await this.engine.positions(marketId, user, outcome);
+    }
+
+    const matches = [];
+    for (const matchId of matchIds) {
+      const match = await this.engine.matches(matchId);
+      const [backOrder, layOrder] = await Promise.all([
+        this.engine.orders(match.backOrderId),
+        this.engine.orders(match.layOrderId)
+      ]);
+      const matchOutcome = Number(backOrder.outcome);
+      const liability = units.layLiability(match.amount, match.odds);
+
+      // A user can end up on both sides of a match, count each side they're on
+      for (const [order, side] of [[backOrder, "back"], [layOrder, "lay"]]) {
+        if (order.user.toLowerCase() !== user.toLowerCase()) continue;
+        matches.push({ matchId, side, outcome: matchOutcome, amount: match.amount, odds: match.odds });
+        for (let outcome = 1; outcome <= outcomeCount; outcome++) {
+          const wins = outcome === matchOutcome;
+          profitByOutcome[outcome] += side === "back"
+            ? (wins ? liability : -match.amount)
+            : (wins ? -liability : match.amount);
+        }
+      }
+    }
+
+    return { matches, profitByOutcome, shares, claimable };
+  }
+
+  /**
+   * @param {string} [user] the signer by default
+   * @returns {Promise<{ free: bigint, locked: bigint, wallet: bigint }>} ledger balances and token balance
+   */
+  async getAccount(user) {
+    user = user || await this.runner.getAddress();
+    const [[free, locked], wallet] = await Promise.all([
+      this.engine.getAccount(user),
+      this.token.balanceOf(user)
+    ]);
+    return { free, locked, wallet };
+  }
+
+  _marketParams({ minOdds, maxOdds, minStake, maxExposure, tickLadder = false, pending = false }) {
+    return {
+      minOdds: minOdds ? units.parseOdds(minOdds) : 0n,
+      maxOdds: maxOdds ? units.parseOdds(maxOdds) : 0n,
+      minStake: minStake ? this.parseAmount(minStake) : 0n,
+      maxExposure: maxExposure ? this.parseAmount(maxExposure) : 0n,
+      tickLadder,
+      pending
+    };
+  }
+
+  // Sends a transaction and waits for it to be mined, turning reverts into BettingErrors
+  async _send(sendTransaction) {
+    try {
+      const tx = await sendTransaction();
+      return await tx.wait();
+    } catch (error) {
+      throw decodeError(error, [this.engine.interface, this.token.interface]);
+    }
+  }
+
+  _events(receipt, name) {
+    const events = [];
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== String(this.engine.target).toLowerCase()) continue;
+      const parsed = this.engine.interface.parseLog(log);
+      if (parsed && parsed.name === name) events.push(parsed);
+    }
+    return events;
+  }
+}
+
+module.exports = { BettingClient };
@@ -0,0 +1,63 @@
+// The parts of the contracts' ABIs the SDK uses, in ethers' human-readable form so the SDK works
+// without the Hardhat artifacts. Errors are listed so reverts decode by name.
+
+const MARKET_PARAMS = "tuple(uint256 minOdds, uint256 maxOdds, uint256 minStake, uint256 maxExposure, bool tickLadder, bool pending)";
+
+const ENGINE_ABI = [
+  "function baseToken() view returns (address)",
+  "function createMarket(string description, string[] outcomes, uint256 endTime, uint256 settlementTime) returns (bytes32)",
+  `function createMarketWithParams(string description, string[] outcomes, uint256 endTime, uint256 settlementTime, ${MARKET_PARAMS} params) returns (bytes32)`,
+  "function createPriceMarket(string description, uint256 strike, uint8 comparator, uint256 endTime, uint256 settlementTime) returns (bytes32)",
+  "function placeOrder(bytes32 marketId, uint8 outcome, uint8 side, uint256 amount, uint256 odds) returns (bytes32)",
+  "function placeLimitOrder(bytes32 marketId, uint8 outcome, uint8 side, uint256 amount, uint256 odds, uint8 timeInForce, uint256 expiry, uint256 priceHint) returns (bytes32)",
+  "function cancelOrder(bytes32 orderId)",
+  "function deposit(uint256 amount)",
+  "function withdraw(uint256 amount)",
+  "function addLiquidity(bytes32 marketId, uint256 amount)",
+  "function settleMarket(bytes32 marketId)",
+  "function finalizeSettlement(bytes32 marketId)",
+  "function settlements(bytes32) view returns (uint8 proposedOutcome, uint256 disputeDeadline, address challenger, uint256 bond)",
+  "function claimAll(bytes32 marketId) returns (uint256)",
+  "function markets(bytes32) view returns (bytes32 id, string description, uint256 endTime, uint256 settlementTime, uint8 status, bool isSettled, uint8 outcome, uint8 outcomeCount)",
+  "function orders(bytes32) view returns (address user, bytes32 marketId, uint8 outcome, uint8 side, uint256 amount, uint256 filledAmount, uint256 odds, uint256 timestamp, uint256 expiry, bool isActive, bool isMatched)",
+  "function matches(bytes32) view returns (bytes32 backOrderId, bytes32 layOrderId, uint256 amount, uint256 odds, bool isSettled, uint256 commissionBps)",
+  "function positions(bytes32 marketId, address user, uint8 outcome) view returns (uint256)",
+  "function balances(address) view returns (uint256)",
+  "function exposure(bytes32 marketId, address user) view returns (uint256)",
+  `function getMarketParams(bytes32 marketId) view returns (${MARKET_PARAMS})`,
+  "function getMarketOutcomes(bytes32 marketId) view returns (string[])",
+  "function getAccount(address user) view returns (uint256 free, uint256 locked)",
+  "function getUserMatches(address user, bytes32 marketId) view returns (bytes32[])",
+  "function getClaimableAmount(address user, bytes32 marketId) view returns (uint256)",
+  "function getPriceHint(bytes32 marketId, uint8 outcome, uint8 side, uint256 odds) view returns (uint256)",
+  "function getOrderBook(bytes32 marketId) view returns (bytes32[] orderIds, uint256[] amounts, uint256[] odds, uint8[] sides, uint8[] outcomes)",
+  "function getPoolInfo(bytes32 marketId, address user) view returns (uint256[] reserves, uint256 totalShares, uint256 userShares)",
+
+  "event MarketCreated(bytes32 indexed marketId, string description, uint256 endTime)",
+  "event OrderPlaced(bytes32 indexed orderId, address indexed user, bytes32 indexed marketId)",
+  "event OrderMatched(bytes32 indexed matchId, bytes32 takerOrderId, bytes32 makerOrderId)",
+  "event OrderCancelled(bytes32 indexed orderId, address indexed user, uint256 refund)",
+  "event MarketSettled(bytes32 indexed marketId, uint8 outcome)",
+  "event MarketStatusChanged(bytes32 indexed marketId, uint8 status)",
+  "event MarketRescheduled(bytes32 indexed marketId, uint256 endTime, uint256 settlementTime)",
+  "event LiquidityAdded(bytes32 indexed marketId, address indexed provider, uint256 amount)",
+  "event LiquidityRemoved(bytes32 indexed marketId, address indexed provider, uint256 shares, uint256 payout)",
+  "event WinningsClaimed(bytes32 indexed matchId, address indexed winner, uint256 payout)",
+
+  "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+  "error EnforcedPause()",
+  "error ReentrancyGuardReentrantCall()"
+];
+
+const ERC20_ABI = [
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+  "function balanceOf(address) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+
+  "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+  "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)"
+];
+
+module.exports = { ENGINE_ABI, ERC20_ABI };
@@ -0,0 +1,113 @@
+const { ethers } = require("ethers");
+
+// Role names by hash, so a missing role reads as MARKET_CREATOR_ROLE rather than 0x8f0b...
+const ROLE_NAMES = {
+  [ethers.ZeroHash]: "DEFAULT_ADMIN_ROLE"
+};
+for (const name of [
+  "MARKET_CREATOR_ROLE",
+  "MARKET_OPERATOR_ROLE",
+  "ORACLE_ADMIN_ROLE",
+  "FEE_MANAGER_ROLE",
+  "PAUSER_ROLE",
+  "ARBITRATOR_ROLE"
+]) {
+  ROLE_NAMES[ethers.id(name)] = name;
+}
+
+// Solidity panic codes, see https://docs.soliditylang.org/en/latest/control-structures.html#panic-via-assert-and-error-via-require
+const PANIC_REASONS = {
+  0x01: "assertion failed",
+  0x11: "arithmetic overflow or underflow",
+  0x12: "division by zero",
+  0x21: "invalid enum value",
+  0x32: "array index out of bounds",
+  0x41: "out of memory"
+};
+
+const CUSTOM_ERROR_MESSAGES = {
+  AccessControlUnauthorizedAccount: ([account, role]) => `${account} is missing ${ROLE_NAMES[role] || role}`,
+  EnforcedPause: () => "Trading is paused",
+  ReentrancyGuardReentrantCall: () => "Reentrant call",
+  ERC20InsufficientBalance: () => "Insufficient token balance",
+  ERC20InsufficientAllowance: () => "Insufficient token allowance"
+};
+
+/**
+ * A reverted engine or token call. `reason` is the require message or custom error name, `args` the
+ * custom error's arguments, and `cause` the original ethers error.
+ */
+class BettingError extends Error {
+  constructor(message, { reason, args = [], cause } = {}) {
+    super(message);
+    this.name = "BettingError";
+    this.reason = reason;
+    this.args = args;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Turns whatever ethers threw for a reverted call into a BettingError with a readable message. Require
+ * strings come through as they are, custom errors known to `interfaces` get a sentence, and anything
+ * that isn't a revert (network errors, rejected signatures) is returned untouched.
+ * @param {Error} error
+ * @param {ethers.Interface[]} interfaces where to look the custom error up
+ * @returns {Error}
+ */
+function decodeError(error, interfaces = []) {
+  if (error instanceof BettingError) return error;
+
+  const data = findRevertData(error);
+  if (data === undefined) {
+    if (error && error.code === "CALL_EXCEPTION" && error.reason) {
+      return new BettingError(error.reason, { reason: error.reason, cause: error });
+    }
+    return error;
+  }
+  if (data === "0x") {
+    return new BettingError("Transaction reverted without a reason", { cause: error });
+  }
+
+  const selector = data.slice(0, 10);
+  if (selector === "0x08c379a0") {
+    const [reason] = ethers.AbiCoder.defaultAbiCoder().decode(["string"], "0x" + data.slice(10));
+    return new BettingError(reason, { reason, cause: error });
+  }
+  if (selector === "0x4e487b71") {
+    const [code] = ethers.AbiCoder.defaultAbiCoder().decode(["uint256"], "0x" + data.slice(10));
+    const reason = `Panic(0x${code.toString(16)})`;
+    return new BettingError(`${reason}: ${PANIC_REASONS[Number(code)] || "unknown panic"}`, { reason, args: [code], cause: error });
+  }
+
+  for (const iface of interfaces) {
+    let parsed;
+    try {
+      parsed = iface.parseError(data);
+    } catch {
+      continue;
+    }
+    if (!parsed) continue;
+    const args = Array.from(parsed.args);
+    const format = CUSTOM_ERROR_MESSAGES[parsed.name];
+    return new BettingError(format ? format(args) : `${parsed.name}(${args.join(", ")})`, {
+      reason: parsed.name,
+      args,
+      cause: error
+    });
+  }
+  return new BettingError(`Transaction reverted with unknown error ${selector}`, { reason: selector, cause: error });
+}
+
+// ethers and the providers under it nest the revert data differently, dig until some turns up
+function findRevertData(error, depth = 0) {
+  if (!error || typeof error !== "object" || depth > 4) return undefined;
+  if (typeof error.data === "string" && /^0x([0-9a-f]{2})*$/i.test(error.data)) return error.data;
+  for (const key of ["error", "info", "cause", "data"]) {
+    const data = findRevertData(error[key], depth + 1);
+    if (data !== undefined) return data;
+  }
+  return undefined;
+}
+
+module.exports = { BettingError, decodeError, ROLE_NAMES };
@@ -0,0 +1,14 @@
+// JavaScript SDK for BettingMatchingEngine, on ethers v6. See the SDK section of the README.
+const { BettingClient } = require("./BettingClient");
+const { BettingError, decodeError } = require("./errors");
+const { ENGINE_ABI, ERC20_ABI } = require("./abi");
+const units = require("./units");
+
+module.exports = {
+  BettingClient,
+  BettingError,
+  decodeError,
+  ENGINE_ABI,
+  ERC20_ABI,
+  ...units
+};
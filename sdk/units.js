@@ -0,0 +1,177 @@
+const { ethers } = require("ethers");
+
+// Odds are decimal odds scaled by 1e18 on chain (2.5 = 2.5e18); token amounts are in the base token's
+// decimals, 6 for USDC. Every parse helper takes a number or decimal string, and passes a bigint through
+// untouched as an amount that is already scaled.
+
+const ODDS_DECIMALS = 18;
+const ODDS_ONE = 10n ** 18n;
+const USDC_DECIMALS = 6;
+
+const SIDE = { back: 1, lay: 2 };
+const TIME_IN_FORCE = { GTC: 0, IOC: 1, FOK: 2, POST_ONLY: 3, GTT: 4 };
+const MARKET_STATUS = ["Pending", "Open", "Suspended", "Closed", "Settled", "Voided"];
+const COMPARATOR = { None: 0, Above: 1, AtOrAbove: 2, Below: 3, AtOrBelow: 4 };
+const OUTCOME_VOID = 255;
+
+/**
+ * @param {number|string|bigint} odds decimal odds, e.g. 2.5 or "2.50"
+ * @returns {bigint} odds scaled by 1e18
+ */
+function parseOdds(odds) {
+  const scaled = typeof odds === "bigint" ? odds : ethers.parseUnits(String(odds), ODDS_DECIMALS);
+  if (scaled <= ODDS_ONE) {
+    throw new RangeError(`Odds must be greater than 1, got ${typeof odds === "bigint" ? formatOdds(odds) : odds}`);
+  }
+  return scaled;
+}
+
+/**
+ * @param {bigint} odds odds scaled by 1e18
+ * @returns {string} decimal odds, e.g. "2.5"
+ */
+function formatOdds(odds) {
+  return trimZeros(ethers.formatUnits(odds, ODDS_DECIMALS));
+}
+
+/**
+ * @param {bigint} odds odds scaled by 1e18
+ * @returns {number} the probability the odds imply, 1 / odds
+ */
+function impliedProbability(odds) {
+  return 1 / Number(ethers.formatUnits(odds, ODDS_DECIMALS));
+}
+
+/**
+ * @param {number} probability between 0 and 1, exclusive
+ * @returns {bigint} the fair decimal odds for it, scaled by 1e18
+ */
+function probabilityToOdds(probability) {
+  if (!(probability > 0 && probability < 1)) {
+    throw new RangeError(`Probability must be between 0 and 1, got ${probability}`);
+  }
+  return (ODDS_ONE * 10n ** 18n) / BigInt(Math.round(probability * 1e18));
+}
+
+/**
+ * Rounds odds onto the Betfair ladder the engine enforces on tick ladder markets (see TickLadder.sol),
+ * clamped to its 1.01 to 1000 range.
+ * @param {bigint} odds scaled by 1e18
+ * @param {"up"|"down"} direction
+ * @returns {bigint}
+ */
+function roundToTick(odds, direction) {
+  const min = 101n * 10n ** 16n;
+  const max = 1000n * ODDS_ONE;
+  if (odds <= min) return min;
+  if (odds >= max) return max;
+
+  const tick = tickSize(odds);
+  const remainder = odds % tick;
+  if (remainder === 0n) return odds;
+  return direction === "up" ? odds - remainder + tick : odds - remainder;
+}
+
+// Increment of the ladder band `odds` falls in, as TickLadder.tickSize
+function tickSize(odds) {
+  const bands = [[2n, 1n], [3n, 2n], [4n, 5n], [6n, 10n], [10n, 20n], [20n, 50n], [30n, 100n], [50n, 200n], [100n, 500n]];
+  for (const [upTo, hundredths] of bands) {
+    if (odds <= upTo * ODDS_ONE) return hundredths * 10n ** 16n;
+  }
+  return 10n * ODDS_ONE;
+}
+
+/**
+ * @param {number|string|bigint} amount token amount, e.g. "12.5"
+ * @param {number} [decimals] the token's decimals, USDC's 6 by default
+ * @returns {bigint}
+ */
+function parseAmount(amount, decimals = USDC_DECIMALS) {
+  if (typeof amount === "bigint") return amount;
+  return ethers.parseUnits(String(amount), decimals);
+}
+
+/**
+ * @param {bigint} amount
+ * @param {number} [decimals] the token's decimals, USDC's 6 by default
+ * @returns {string}
+ */
+function formatAmount(amount, decimals = USDC_DECIMALS) {
+  return trimZeros(ethers.formatUnits(amount, decimals));
+}
+
+const parseUsdc = amount => parseAmount(amount, USDC_DECIMALS);
+const formatUsdc = amount => formatAmount(amount, USDC_DECIMALS);
+
+/**
+ * What a layer stands to lose if the outcome wins: stake * (odds - 1).
+ * @param {bigint} stake the backer's stake
+ * @param {bigint} odds scaled by 1e18
+ * @returns {bigint}
+ */
+function layLiability(stake, odds) {
+  return (stake * (odds - ODDS_ONE)) / ODDS_ONE;
+}
+
+/**
+ * The collateral the engine locks for an order: the stake when backing, the liability when laying.
+ * @param {"back"|"lay"|number} side
+ * @param {bigint} stake
+ * @param {bigint} odds scaled by 1e18
+ * @returns {bigint}
+ */
+function collateralFor(side, stake, odds) {
+  return toSide(side) === SIDE.back ? stake : layLiability(stake, odds);
+}
+
+/**
+ * @param {"back"|"lay"|number} side
+ * @returns {number} SIDE_BACK or SIDE_LAY
+ */
+function toSide(side) {
+  const value = typeof side === "string" ? SIDE[side.toLowerCase()] : side;
+  if (value !== SIDE.back && value !== SIDE.lay) {
+    throw new RangeError(`Invalid side ${side}, expected "back" or "lay"`);
+  }
+  return value;
+}
+
+/**
+ * @param {keyof TIME_IN_FORCE|number} timeInForce
+ * @returns {number}
+ */
+function toTimeInForce(timeInForce) {
+  const value = typeof timeInForce === "string" ? TIME_IN_FORCE[timeInForce.toUpperCase()] : timeInForce;
+  if (!Object.values(TIME_IN_FORCE).includes(value)) {
+    throw new RangeError(`Invalid time in force ${timeInForce}`);
+  }
+  return value;
+}
+
+// "2.0" -> "2", "12.50" -> "12.5"
+function trimZeros(value) {
+  return value.includes(".") ? value.replace(/\.?0+$/, "") : value;
+}
+
+module.exports = {
+  ODDS_ONE,
+  USDC_DECIMALS,
+  SIDE,
+  TIME_IN_FORCE,
+  MARKET_STATUS,
+  COMPARATOR,
+  OUTCOME_VOID,
+  parseOdds,
+  formatOdds,
+  impliedProbability,
+  probabilityToOdds,
+  roundToTick,
+  parseAmount,
+  formatAmount,
+  parseUsdc,
+  formatUsdc,
+  layLiability,
+  collateralFor,
+  toSide,
+  toTimeInForce
+};
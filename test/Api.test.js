@@ -0,0 +1,271 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const WebSocket = require("ws");
+const { Indexer, IndexerStore } = require("../indexer");
+const { ApiServer } = require("../api");
+const { BettingClient } = require("../sdk");
+const { engineFixture } = require("./helpers/fixtures");
+
+// The read-only API over an indexer following the Hardhat network, queried over HTTP and WebSocket
+describe("API", function () {
+  let owner;
+  let user1;
+  let user2;
+  let client;
+  let store;
+  let indexer;
+  let api;
+  let baseUrl;
+  let marketId;
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+
+    const { bettingEngine, mockUSDC } = await loadFixture(engineFixture);
+    const startBlock = await ethers.provider.getBlockNumber();
+
+    client = await BettingClient.connect(await bettingEngine.getAddress(), owner);
+    for (const user of [user1, user2]) {
+      await mockUSDC.mint(user.address, ethers.parseUnits("10000", 6));
+      await client.connect(user).deposit(5000);
+    }
+
+    const endTime = (await time.latest()) + 3600;
+    ({ marketId } = await client.createMarket({
+      description: "Team A vs Team B",
+      outcomes: ["Team A", "Team B"],
+      endTime,
+      settlementTime: endTime + 600
+    }));
+
+    store = new IndexerStore(":memory:");
+    api = new ApiServer({ store, client: client.connect(ethers.provider) });
+    indexer = new Indexer({
+      provider: ethers.provider,
+      engineAddress: await bettingEngine.getAddress(),
+      store,
+      startBlock,
+      confirmations: 0,
+      onBatch: events => api.onBatch(events)
+    });
+    await indexer.sync();
+    baseUrl = `http://localhost:${await api.listen()}`;
+  });
+
+  afterEach(async function () {
+    await api.close();
+    store.close();
+  });
+
+  async function get(path) {
+    const response = await fetch(baseUrl + path);
+    return { status: response.status, body: await response.json() };
+  }
+
+  // Collects a socket's messages and resolves once one matches
+  async function openSocket() {
+    const socket = new WebSocket(baseUrl.replace("http", "ws"));
+    const messages = [];
+    const waiters = [];
+    socket.on("message", data => {
+      const message = JSON.parse(data);
+      messages.push(message);
+      for (const waiter of waiters.splice(0)) {
+        if (waiter.predicate(message)) waiter.resolve(message);
+        else waiters.push(waiter);
+      }
+    });
+    await new Promise(resolve => socket.on("open", resolve));
+
+    socket.next = predicate => {
+      const found = messages.find(predicate);
+      if (found) return Promise.resolve(found);
+      return new Promise(resolve => waiters.push({ predicate, resolve }));
+    };
+    socket.messages = messages;
+    return socket;
+  }
+
+  it("Should list markets", async function () {
+    const { status, body } = await get("/markets");
+    expect(status).to.equal(200);
+    expect(body).to.have.length(1);
+    expect(body[0]).to.include({ marketId, description: "Team A vs Team B", status: "Open", outcome: 0 });
+    expect(body[0].outcomes).to.deep.equal(["Team A", "Team B"]);
+  });
+
+  it("Should aggregate the book by odds level, back and lay", async function () {
+    await client.connect(user1).placeOrder({ marketId, outcome: 1, side: "back", stake: 10, odds: 2.5 });
+    await client.connect(user1).placeOrder({ marketId, outcome: 1, side: "back", stake: 15, odds: 2.5 });
+    await client.connect(user1).placeOrder({ marketId, outcome: 1, side: "back", stake: 5, odds: 3 });
+    await client.connect(user2).placeOrder({ marketId, outcome: 2, side: "lay", stake: 20.5, odds: 1.8 });
+    await indexer.sync();
+
+    const { status, body } = await get(`/markets/${marketId}/book`);
+    expect(status).to.equal(200);
+    expect(body).to.deep.equal({
+      marketId,
+      outcomes: [
+        { outcome: 1, name: "Team A", back: [{ odds: "2.5", amount: "25" }, { odds: "3", amount: "5" }], lay: [] },
+        { outcome: 2, name: "Team B", back: [], lay: [{ odds: "1.8", amount: "20.5" }] }
+      ]
+    });
+  });
+
+  it("Should serve books as of the last indexed block and only cache them for subscribers", async function () {
+    await client.connect(user1).placeOrder({ marketId, outcome: 1, side: "back", stake: 10, odds: 2.5 });
+    await indexer.sync();
+    await client.connect(user1).placeOrder({ marketId, outcome: 1, side: "back", stake: 5, odds: 3 });
+
+    // The second order isn't indexed yet, so the book leaves it out like the trades would
+    let { body } = await get(`/markets/${marketId}/book`);
+    expect(body.outcomes[0].back).to.deep.equal([{ odds: "2.5", amount: "10" }]);
+
+    await indexer.sync();
+    expect(api.books.has(marketId)).to.equal(false);
+    ({ body } = await get(`/markets/${marketId}/book`));
+    expect(body.outcomes[0].back).to.deep.equal([{ odds: "2.5", amount: "10" }, { odds: "3", amount: "5" }]);
+  });
+
+  it("Should list trades newest first", async function () {
+    await client.connect(user1).placeOrder({ marketId, outcome: 1, side: "back", stake: 100, odds: 2.5 });
+    await client.connect(user2).placeOrder({ marketId, outcome: 1, side: "lay", stake: 30, odds: 2.5 });
+    const last = await client.connect(user2).placeOrder({ marketId, outcome: 1, side: "lay", stake: 20, odds: 2.6 });
+    await indexer.sync();
+
+    const { body } = await get(`/markets/${marketId}/trades`);
+    expect(body).to.have.length(2);
+    expect(body[0]).to.include({
+      matchId: last.matches[0].matchId,
+      outcome: 1,
+      odds: "2.5",
+      amount: "20",
+      backer: user1.address.toLowerCase(),
+      layer: user2.address.toLowerCase(),
+      takerOrderId: last.orderId
+    });
+    expect(body[1].amount).to.equal("30");
+
+    expect((await get(`/markets/${marketId}/trades?limit=1`)).body).to.have.length(1);
+    expect((await get(`/markets/${marketId}/trades?limit=-1`)).body).to.have.length(1);
+    expect((await get(`/markets/${marketId}/trades?limit=1000`)).body).to.have.length(2);
+    expect((await get(`/markets/${marketId}/trades?before=${body[0].blockNumber}`)).body).to.have.length(1);
+    const page = (await get(`/markets/${marketId}/trades?before=${body[0].blockNumber}:${body[0].logIndex}`)).body;
+    expect(page.map(trade => trade.amount)).to.deep.equal(["30"]);
+  });
+
+  it("Should report positions with what each result pays", async function () {
+    await client.connect(user1).placeOrder({ marketId, outcome: 1, side: "back", stake: 100, odds: 2.5 });
+    await client.connect(user2).placeOrder({ marketId, outcome: 1, side: "lay", stake: 100, odds: 2.5 });
+    await indexer.sync();
+
+    const { status, body } = await get(`/users/${user2.address}/positions`);
+    expect(status).to.equal(200);
+    expect(body).to.deep.equal([{
+      marketId,
+      description: "Team A vs Team B",
+      status: "Open",
+      outcomes: [{ outcome: 1, backedStake: "0", backedProfit: "0", laidStake: "100", laidLiability: "150" }],
+      profitByOutcome: { 1: "-150", 2: "100" }
+    }]);
+    expect((await get(`/users/${owner.address}/positions`)).body).to.deep.equal([]);
+  });
+
+  it("Should reject bad requests", async function () {
+    expect((await get("/markets/0x1234/book")).status).to.equal(400);
+    expect((await get(`/markets/${ethers.ZeroHash}/book`)).status).to.equal(404);
+    expect((await get("/users/nobody/positions")).status).to.equal(400);
+    expect((await get("/orders")).status).to.equal(404);
+    expect((await get(`/markets/${marketId}/trades?limit=ten`)).body).to.deep.equal({ error: "Invalid limit" });
+    expect((await get(`/markets/${marketId}/trades?before=latest`)).status).to.equal(400);
+    expect((await get(`/markets/${marketId}/trades?before=1:2:3`)).status).to.equal(400);
+  });
+
+  it("Should push book deltas and trades to subscribers", async function () {
+    const resting = await client.connect(user1).placeOrder({ marketId, outcome: 1, side: "back", stake: 50, odds: 2 });
+    await indexer.sync();
+
+    const socket = await openSocket();
+    socket.send(JSON.stringify({ type: "subscribe", marketId }));
+    const snapshot = await socket.next(m => m.type === "snapshot");
+    expect(snapshot.outcomes[0].back).to.deep.equal([{ odds: "2", amount: "50" }]);
+
+    // A partial fill shrinks the level and trades
+    const lay = await client.connect(user2).placeOrder({ marketId, outcome: 1, side: "lay", stake: 20, odds: 2 });
+    await indexer.sync();
+    const delta = await socket.next(m => m.type === "book");
+    expect(delta.changes).to.deep.equal([{ outcome: 1, side: "back", odds: "2", amount: "30" }]);
+    const trade = await socket.next(m => m.type === "trade");
+    expect(trade).to.include({ marketId, matchId: lay.matches[0].matchId, odds: "2", amount: "20", takerOrderId: lay.orderId });
+
+    // Cancelling the rest empties the level
+    await client.connect(user1).cancelOrder(resting.orderId);
+    await indexer.sync();
+    const removed = await socket.next(m => m.type === "book" && m !== delta);
+    expect(removed.changes).to.deep.equal([{ outcome: 1, side: "back", odds: "2", amount: "0" }]);
+
+    socket.close();
+  });
+
+  it("Should push a delta when a GTT order expires", async function () {
+    const expiry = (await time.latest()) + 100;
+    await client.connect(user1).placeOrder({ marketId, outcome: 1, side: "back", stake: 50, odds: 2, timeInForce: "GTT", expiry });
+    await indexer.sync();
+
+    const socket = await openSocket();
+    socket.send(JSON.stringify({ type: "subscribe", marketId }));
+    const snapshot = await socket.next(m => m.type === "snapshot");
+    expect(snapshot.outcomes[0].back).to.deep.equal([{ odds: "2", amount: "50" }]);
+
+    // No event marks the expiry, the next batch still picks it up
+    await time.increaseTo(expiry);
+    await indexer.sync();
+    const delta = await socket.next(m => m.type === "book");
+    expect(delta.changes).to.deep.equal([{ outcome: 1, side: "back", odds: "2", amount: "0" }]);
+
+    socket.close();
+  });
+
+  it("Should answer bad subscriptions with an error", async function () {
+    const socket = await openSocket();
+    socket.send("not json");
+    socket.send(JSON.stringify({ type: "subscribe", marketId: ethers.ZeroHash }));
+    const error = await socket.next(m => m.type === "error" && m.marketId === ethers.ZeroHash);
+    expect(error.error).to.equal("Market not found");
+    expect(socket.messages[0]).to.deep.equal({ type: "error", error: "Invalid JSON" });
+    socket.close();
+  });
+
+  it("Should answer a subscription whose book can't be read with an error", async function () {
+    api.client.getOrderBook = async () => {
+      throw new Error("RPC unavailable");
+    };
+
+    const socket = await openSocket();
+    socket.send(JSON.stringify({ type: "subscribe", marketId }));
+    const error = await socket.next(m => m.type === "error");
+    expect(error).to.deep.equal({ type: "error", error: "RPC unavailable", marketId });
+    expect(api.subscriptions.has(marketId)).to.equal(false);
+    socket.close();
+  });
+
+  it("Should read the book again when a batch is indexed while subscribing", async function () {
+    const getOrderBook = api.client.getOrderBook.bind(api.client);
+    let reads = 0;
+    api.client.getOrderBook = async (...args) => {
+      if (reads++ === 0) {
+        await client.connect(user1).placeOrder({ marketId, outcome: 1, side: "back", stake: 50, odds: 2 });
+        await indexer.sync();
+      }
+      return getOrderBook(...args);
+    };
+
+    const socket = await openSocket();
+    socket.send(JSON.stringify({ type: "subscribe", marketId }));
+    const snapshot = await socket.next(m => m.type === "snapshot");
+    expect(snapshot.outcomes[0].back).to.deep.equal([{ odds: "2", amount: "50" }]);
+    expect(reads).to.equal(2);
+    socket.close();
+  });
+});
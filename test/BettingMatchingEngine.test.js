@@ -1,6 +1,7 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployEngine } = require("./helpers/fixtures");
 
 describe("BettingMatchingEngine", function () {
   let bettingEngine;
@@ -13,6 +14,7 @@ describe("BettingMatchingEngine", function () {
 
   const INITIAL_SUPPLY = ethers.parseEther("1000000");
   const USER_BALANCE = ethers.parseEther("10000");
+  const OUTCOMES = ["Yes", "No"];
 
   beforeEach(async function () {
     [owner, user1, user2, user3] = await ethers.getSigners();
@@ -25,12 +27,8 @@ describe("BettingMatchingEngine", function () {
     const MockOracle = await ethers.getContractFactory("MockPriceOracle");
     mockOracle = await MockOracle.deploy();
 
-    // Deploy betting engine
-    const BettingMatchingEngine = await ethers.getContractFactory("BettingMatchingEngine");
-    bettingEngine = await BettingMatchingEngine.deploy(
-      await mockToken.getAddress(),
-      await mockOracle.getAddress()
-    );
+    // Deploy the betting engine with its library and modules
+    bettingEngine = await deployEngine(await mockToken.getAddress(), await mockOracle.getAddress());
 
     // Distribute tokens to users
     await mockToken.transfer(user1.address, USER_BALANCE);
@@ -41,15 +39,35 @@ describe("BettingMatchingEngine", function () {
     await mockToken.connect(user1).approve(await bettingEngine.getAddress(), USER_BALANCE);
     await mockToken.connect(user2).approve(await bettingEngine.getAddress(), USER_BALANCE);
     await mockToken.connect(user3).approve(await bettingEngine.getAddress(), USER_BALANCE);
+
+    // Everything trades against the internal ledger
+    await bettingEngine.connect(user1).deposit(USER_BALANCE);
+    await bettingEngine.connect(user2).deposit(USER_BALANCE);
+    await bettingEngine.connect(user3).deposit(USER_BALANCE);
+
+    // Most suites are about what happens after settlement, so the oracle's result is final at once
+    // unless a suite turns the dispute window back on
+    await bettingEngine.setSettlementConfig(0, await bettingEngine.disputeBond());
   });
 
+  // Once nothing is open, every token the engine holds is free balance its owner can withdraw
+  async function expectFullyReleased() {
+    let free = 0n;
+    for (const user of [user1, user2, user3]) {
+      const [balance, locked] = await bettingEngine.getAccount(user.address);
+      expect(locked).to.equal(0);
+      free += balance;
+    }
+    expect(await mockToken.balanceOf(await bettingEngine.getAddress())).to.equal(free);
+  }
+
   describe("Market Creation", function () {
     it("Should create a market successfully", async function () {
       const description = "Will Bitcoin reach $100k by end of year?";
-      const endTime = Math.floor(Date.now() / 1000) + 3600; // 1 hour from now
+      const endTime = (await time.latest()) + 3600; // 1 hour from now
       const settlementTime = endTime + 3600; // 1 hour after end
 
-      const tx = await bettingEngine.createMarket(description, endTime, settlementTime);
+      const tx = await bettingEngine.createMarket(description, OUTCOMES, endTime, settlementTime);
       const receipt = await tx.wait();
       
       // Extract marketId from event
@@ -61,13 +79,13 @@ describe("BettingMatchingEngine", function () {
 
     it("Should only allow owner to create markets", async function () {
       const description = "Test market";
-      const endTime = Math.floor(Date.now() / 1000) + 3600;
+      const endTime = (await time.latest()) + 3600;
       const settlementTime = endTime + 3600;
 
       // OpenZeppelin v5 uses custom errors instead of revert strings
       await expect(
-        bettingEngine.connect(user1).createMarket(description, endTime, settlementTime)
-      ).to.be.revertedWithCustomError(bettingEngine, "OwnableUnauthorizedAccount");
+        bettingEngine.connect(user1).createMarket(description, OUTCOMES, endTime, settlementTime)
+      ).to.be.revertedWithCustomError(bettingEngine, "AccessControlUnauthorizedAccount");
     });
   });
 
@@ -76,10 +94,10 @@ describe("BettingMatchingEngine", function () {
 
     beforeEach(async function () {
       const description = "Test Market";
-      const endTime = Math.floor(Date.now() / 1000) + 3600;
+      const endTime = (await time.latest()) + 3600;
       const settlementTime = endTime + 3600;
 
-      const tx = await bettingEngine.createMarket(description, endTime, settlementTime);
+      const tx = await bettingEngine.createMarket(description, OUTCOMES, endTime, settlementTime);
       const receipt = await tx.wait();
       
       // Get marketId from event
@@ -94,7 +112,7 @@ describe("BettingMatchingEngine", function () {
       const odds = ethers.parseEther("2.5"); // 2.5x odds
 
       await expect(
-        bettingEngine.connect(user1).placeOrder(marketId, 1, amount, odds)
+        bettingEngine.connect(user1).placeOrder(marketId, 1, 1, amount, odds)
       ).to.emit(bettingEngine, "OrderPlaced");
     });
 
@@ -103,7 +121,7 @@ describe("BettingMatchingEngine", function () {
       const odds = ethers.parseEther("2.5");
 
       await expect(
-        bettingEngine.connect(user1).placeOrder(marketId, 3, amount, odds)
+        bettingEngine.connect(user1).placeOrder(marketId, 1, 3, amount, odds)
       ).to.be.revertedWith("Invalid side");
     });
 
@@ -111,20 +129,115 @@ describe("BettingMatchingEngine", function () {
       const odds = ethers.parseEther("2.5");
 
       await expect(
-        bettingEngine.connect(user1).placeOrder(marketId, 1, 0, odds)
+        bettingEngine.connect(user1).placeOrder(marketId, 1, 1, 0, odds)
       ).to.be.revertedWith("Invalid amount");
     });
   });
 
+  describe("Collision-Free IDs", function () {
+    let marketId;
+
+    beforeEach(async function () {
+      const description = "ID Test Market";
+      const endTime = (await time.latest()) + 3600;
+      const settlementTime = endTime + 3600;
+
+      const tx = await bettingEngine.createMarket(description, OUTCOMES, endTime, settlementTime);
+      const receipt = await tx.wait();
+      
+      const event = receipt.logs.find(log => 
+        log.topics[0] === ethers.id("MarketCreated(bytes32,string,uint256)")
+      );
+      marketId = event.topics[1];
+    });
+
+    afterEach(async function () {
+      await network.provider.send("evm_setAutomine", [true]);
+    });
+
+    // Sends every transaction into the mempool and mines them together in one block
+    async function inOneBlock(sends) {
+      await network.provider.send("evm_setAutomine", [false]);
+      const txs = [];
+      for (const send of sends) {
+        txs.push(await send());
+      }
+      await network.provider.send("evm_mine");
+      await network.provider.send("evm_setAutomine", [true]);
+
+      const receipts = await Promise.all(txs.map(tx => tx.wait()));
+      expect(new Set(receipts.map(r => r.blockNumber)).size).to.equal(1);
+      return receipts;
+    }
+
+    function topicsOf(receipts, signature) {
+      return receipts.flatMap(r => r.logs.filter(log => log.topics[0] === ethers.id(signature)).map(log => log.topics[1]));
+    }
+
+    it("Should give every order from one account in one block its own ID", async function () {
+      const amount = ethers.parseEther("100");
+      const balanceBefore = await bettingEngine.balances(user1.address);
+      const nonce = await bettingEngine.nextOrderNonce(user1.address);
+
+      const receipts = await inOneBlock([2.0, 2.5, 3.0].map(odds => () =>
+        bettingEngine.connect(user1).placeOrder(marketId, 1, 1, amount, ethers.parseEther(odds.toString()), { gasLimit: 1_000_000 })
+      ));
+
+      // IDs are predictable from the account's nonce
+      const expectedIds = [0n, 1n, 2n].map(i =>
+        ethers.solidityPackedKeccak256(["address", "uint256"], [user1.address, nonce + i])
+      );
+      expect(topicsOf(receipts, "OrderPlaced(bytes32,address,bytes32)")).to.deep.equal(expectedIds);
+      expect(await bettingEngine.nextOrderNonce(user1.address)).to.equal(nonce + 3n);
+
+      // Every order keeps its own collateral and can be cancelled for a full refund
+      const [orderIds] = await bettingEngine.getOrderBook(marketId);
+      expect(orderIds).to.deep.equal(expectedIds);
+      for (const orderId of expectedIds) {
+        await bettingEngine.connect(user1).cancelOrder(orderId);
+      }
+      expect(await bettingEngine.balances(user1.address)).to.equal(balanceBefore);
+      await expectFullyReleased();
+    });
+
+    it("Should give every match in one block its own ID", async function () {
+      const amount = ethers.parseEther("50");
+      await bettingEngine.connect(user1).placeOrder(marketId, 1, 1, amount, ethers.parseEther("2.0"));
+      await bettingEngine.connect(user1).placeOrder(marketId, 1, 1, amount, ethers.parseEther("2.0"));
+
+      const receipts = await inOneBlock([0, 1].map(() => () =>
+        bettingEngine.connect(user2).placeOrder(marketId, 1, 2, amount, ethers.parseEther("2.0"), { gasLimit: 1_000_000 })
+      ));
+
+      const matchIds = topicsOf(receipts, "OrderMatched(bytes32,bytes32,bytes32)");
+      expect(matchIds.length).to.equal(2);
+      expect(matchIds[0]).to.not.equal(matchIds[1]);
+      expect(await bettingEngine.getUserMatches(user2.address, marketId)).to.deep.equal(matchIds);
+    });
+
+    it("Should give identical markets created in one block their own IDs", async function () {
+      const endTime = (await time.latest()) + 3600;
+
+      const receipts = await inOneBlock([0, 1].map(() => () =>
+        bettingEngine.createMarket("Same Market", OUTCOMES, endTime, endTime + 3600, { gasLimit: 1_000_000 })
+      ));
+
+      const marketIds = topicsOf(receipts, "MarketCreated(bytes32,string,uint256)");
+      expect(marketIds.length).to.equal(2);
+      expect(marketIds[0]).to.not.equal(marketIds[1]);
+      expect((await bettingEngine.markets(marketIds[1])).id).to.equal(marketIds[1]);
+    });
+  });
+
   describe("Order Matching", function () {
     let marketId;
 
     beforeEach(async function () {
       const description = "Matching Test Market";
-      const endTime = Math.floor(Date.now() / 1000) + 3600;
+      const endTime = (await time.latest()) + 3600;
       const settlementTime = endTime + 3600;
 
-      const tx = await bettingEngine.createMarket(description, endTime, settlementTime);
+      const tx = await bettingEngine.createMarket(description, OUTCOMES, endTime, settlementTime);
       const receipt = await tx.wait();
       
       const event = receipt.logs.find(log => 
@@ -138,15 +251,13 @@ describe("BettingMatchingEngine", function () {
       const oddsA = ethers.parseEther("2.0");
       const oddsB = ethers.parseEther("2.0");
 
-      // Place first order (side A)
-      await bettingEngine.connect(user1).placeOrder(marketId, 1, amount, oddsA);
+      // Place first order (back outcome 1)
+      await bettingEngine.connect(user1).placeOrder(marketId, 1, 1, amount, oddsA);
       
-      // Place matching order (side B) - should trigger match
-      // Note: The matching logic requires compatible odds calculation
-      // For 2.0 odds, implied odds = 1e18 * 1e18 / 2e18 = 0.5e18
-      // So we need oddsB >= 0.5e18 for matching
+      // Place matching order (lay outcome 1) - should trigger match
+      // A lay crosses any back asking for the same or lower odds
       await expect(
-        bettingEngine.connect(user2).placeOrder(marketId, 2, amount, ethers.parseEther("0.5"))
+        bettingEngine.connect(user2).placeOrder(marketId, 1, 2, amount, oddsB)
       ).to.emit(bettingEngine, "OrderMatched");
     });
 
@@ -155,24 +266,24 @@ describe("BettingMatchingEngine", function () {
       const oddsA = ethers.parseEther("3.0");
       const oddsB = ethers.parseEther("1.5");
 
-      await bettingEngine.connect(user1).placeOrder(marketId, 1, amount, oddsA);
+      await bettingEngine.connect(user1).placeOrder(marketId, 1, 1, amount, oddsA);
       
       // This should not match due to incompatible odds
       await expect(
-        bettingEngine.connect(user2).placeOrder(marketId, 2, amount, oddsB)
+        bettingEngine.connect(user2).placeOrder(marketId, 1, 2, amount, oddsB)
       ).to.not.emit(bettingEngine, "OrderMatched");
     });
   });
 
-  describe("AMM Functionality", function () {
+  describe("Partial Fills", function () {
     let marketId;
 
     beforeEach(async function () {
-      const description = "AMM Test Market";
-      const endTime = Math.floor(Date.now() / 1000) + 3600;
+      const description = "Partial Fill Test Market";
+      const endTime = (await time.latest()) + 3600;
       const settlementTime = endTime + 3600;
 
-      const tx = await bettingEngine.createMarket(description, endTime, settlementTime);
+      const tx = await bettingEngine.createMarket(description, OUTCOMES, endTime, settlementTime);
       const receipt = await tx.wait();
       
       const event = receipt.logs.find(log => 
@@ -181,38 +292,96 @@ describe("BettingMatchingEngine", function () {
       marketId = event.topics[1];
     });
 
-    it("Should add liquidity successfully", async function () {
-      const liquidityAmount = ethers.parseEther("1000");
+    async function placeAndGetReceipt(user, side, amount, odds) {
+      const tx = await bettingEngine.connect(user).placeOrder(marketId, 1, side, amount, odds);
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => 
+        log.topics[0] === ethers.id("OrderPlaced(bytes32,address,bytes32)")
+      );
+      return { orderId: event.topics[1], receipt };
+    }
 
-      await expect(
-        bettingEngine.connect(user1).addLiquidity(marketId, liquidityAmount)
-      ).to.emit(bettingEngine, "LiquidityAdded");
+    function matchEvents(receipt) {
+      return receipt.logs.filter(log => 
+        log.topics[0] === ethers.id("OrderMatched(bytes32,bytes32,bytes32)")
+      );
+    }
+
+    it("Should keep the unfilled remainder of a larger order on the book", async function () {
+      const { orderId } = await placeAndGetReceipt(user1, 1, ethers.parseEther("200"), ethers.parseEther("2.0"));
+      await placeAndGetReceipt(user2, 2, ethers.parseEther("100"), ethers.parseEther("2.0"));
+
+      const order = await bettingEngine.orders(orderId);
+      expect(order.filledAmount).to.equal(ethers.parseEther("100"));
+      expect(order.isMatched).to.equal(false);
+      expect(await bettingEngine.getRemainingAmount(orderId)).to.equal(ethers.parseEther("100"));
+
+      const [orderIds, amounts] = await bettingEngine.getOrderBook(marketId);
+      expect(orderIds).to.deep.equal([orderId]);
+      expect(amounts[0]).to.equal(ethers.parseEther("100"));
+
+      // A second counter-order fills the rest
+      await placeAndGetReceipt(user3, 2, ethers.parseEther("100"), ethers.parseEther("2.0"));
+      expect((await bettingEngine.orders(orderId)).isMatched).to.equal(true);
+      expect(await bettingEngine.getRemainingAmount(orderId)).to.equal(0);
     });
 
-    it("Should allow AMM swaps", async function () {
-      const liquidityAmount = ethers.parseEther("1000");
-      const swapAmount = ethers.parseEther("100");
+    it("Should fill a new order across several resting orders", async function () {
+      await placeAndGetReceipt(user1, 1, ethers.parseEther("60"), ethers.parseEther("2.0"));
+      await placeAndGetReceipt(user2, 1, ethers.parseEther("60"), ethers.parseEther("2.0"));
 
-      // Add liquidity first
-      await bettingEngine.connect(user1).addLiquidity(marketId, liquidityAmount);
-      
-      // Perform swap
-      await expect(
-        bettingEngine.connect(user2).swapWithAMM(marketId, 1, swapAmount)
-      ).to.not.be.reverted;
+      const { orderId, receipt } = await placeAndGetReceipt(user3, 2, ethers.parseEther("100"), ethers.parseEther("2.0"));
+
+      expect(matchEvents(receipt).length).to.equal(2);
+      const order = await bettingEngine.orders(orderId);
+      expect(order.filledAmount).to.equal(ethers.parseEther("100"));
+      expect(order.isMatched).to.equal(true);
+    });
+
+    it("Should fill the best-priced resting order first", async function () {
+      const { orderId: worseId } = await placeAndGetReceipt(user1, 1, ethers.parseEther("50"), ethers.parseEther("2.0"));
+      const { orderId: betterId } = await placeAndGetReceipt(user2, 1, ethers.parseEther("50"), ethers.parseEther("1.5"));
+
+      await placeAndGetReceipt(user3, 2, ethers.parseEther("50"), ethers.parseEther("2.0"));
+
+      expect((await bettingEngine.orders(betterId)).isMatched).to.equal(true);
+      expect((await bettingEngine.orders(worseId)).filledAmount).to.equal(0);
+    });
+
+    it("Should fill orders at the same price in time order", async function () {
+      const odds = ethers.parseEther("2.0");
+      const { orderId: firstId } = await placeAndGetReceipt(user1, 1, ethers.parseEther("50"), odds);
+      const { orderId: secondId } = await placeAndGetReceipt(user2, 1, ethers.parseEther("50"), odds);
+
+      await placeAndGetReceipt(user3, 2, ethers.parseEther("30"), ethers.parseEther("2.0"));
+
+      expect((await bettingEngine.orders(firstId)).filledAmount).to.equal(ethers.parseEther("30"));
+      expect((await bettingEngine.orders(secondId)).filledAmount).to.equal(0);
+
+      const [orderIds] = await bettingEngine.getOrderBook(marketId);
+      expect(orderIds).to.deep.equal([firstId, secondId]);
+    });
+
+    it("Should refund only the unfilled collateral when a partial fill is cancelled", async function () {
+      const { orderId } = await placeAndGetReceipt(user1, 1, ethers.parseEther("200"), ethers.parseEther("2.0"));
+      await placeAndGetReceipt(user2, 2, ethers.parseEther("50"), ethers.parseEther("2.0"));
+
+      await expect(bettingEngine.connect(user1).cancelOrder(orderId))
+        .to.emit(bettingEngine, "OrderCancelled")
+        .withArgs(orderId, user1.address, ethers.parseEther("150"));
     });
   });
 
-  describe("Market Settlement", function () {
+  describe("Back/Lay Payouts", function () {
     let marketId;
 
     beforeEach(async function () {
-      const description = "Settlement Test Market";
+      const description = "Back Lay Test Market";
       const currentTime = await time.latest();
-      const endTime = currentTime + 500; // 500 seconds from current time
-      const settlementTime = endTime + 500; // Settlement 500 seconds after end
+      const endTime = currentTime + 1000;
+      const settlementTime = endTime + 200;
 
-      const tx = await bettingEngine.createMarket(description, endTime, settlementTime);
+      const tx = await bettingEngine.createMarket(description, OUTCOMES, endTime, settlementTime);
       const receipt = await tx.wait();
       
       const event = receipt.logs.find(log => 
@@ -221,93 +390,241 @@ describe("BettingMatchingEngine", function () {
       marketId = event.topics[1];
     });
 
-    it("Should settle market when oracle provides outcome", async function () {
-      // Fast forward time past settlement time
-      await time.increase(1100); // Past both end time (500) and settlement time (1000)
-      
-      // Set oracle outcome
-      await mockOracle.setOutcome(marketId, true, 1);
-      
+    // Worked by hand: liability = stake * (matched odds - 1), the winner takes stake + liability
+    // less commission on the loser's side. Matches always trade at the resting order's odds.
+    //
+    // resting | stake | back | lay   | matched | liability | fee bps | winner | payout
+    // back    | 100   | 2.0  | 2.0   | 2.0     | 100       | 0       | back   | 200
+    // back    | 50    | 3.5  | 4.0   | 3.5     | 125       | 0       | lay    | 175
+    // lay     | 80    | 1.2  | 1.25  | 1.25    | 20        | 0       | back   | 100
+    // lay     | 10    | 6.0  | 11.0  | 11.0    | 100       | 0       | lay    | 110
+    // back    | 200   | 1.5  | 1.5   | 1.5     | 100       | 500     | back   | 295
+    // back    | 200   | 1.5  | 1.5   | 1.5     | 100       | 500     | lay    | 290
+    const vectors = [
+      { resting: "back", stake: "100", back: "2.0", lay: "2.0", matched: "2.0", liability: "100", feeBps: 0, winner: "back", payout: "200" },
+      { resting: "back", stake: "50", back: "3.5", lay: "4.0", matched: "3.5", liability: "125", feeBps: 0, winner: "lay", payout: "175" },
+      { resting: "lay", stake: "80", back: "1.2", lay: "1.25", matched: "1.25", liability: "20", feeBps: 0, winner: "back", payout: "100" },
+      { resting: "lay", stake: "10", back: "6.0", lay: "11.0", matched: "11.0", liability: "100", feeBps: 0, winner: "lay", payout: "110" },
+      { resting: "back", stake: "200", back: "1.5", lay: "1.5", matched: "1.5", liability: "100", feeBps: 500, winner: "back", payout: "295" },
+      { resting: "back", stake: "200", back: "1.5", lay: "1.5", matched: "1.5", liability: "100", feeBps: 500, winner: "lay", payout: "290" },
+    ];
+
+    for (const v of vectors) {
+      it(`Should pay ${v.payout} to the ${v.winner}er for ${v.stake} backed at ${v.back} against a lay at ${v.lay} (resting ${v.resting})`, async function () {
+        await bettingEngine.setFees(v.feeBps, 0);
+        const stake = ethers.parseEther(v.stake);
+        const backerBefore = await bettingEngine.balances(user1.address);
+        const layerBefore = await bettingEngine.balances(user2.address);
+
+        const placeBack = () => bettingEngine.connect(user1).placeOrder(marketId, 1, 1, stake, ethers.parseEther(v.back));
+        const placeLay = () => bettingEngine.connect(user2).placeOrder(marketId, 1, 2, stake, ethers.parseEther(v.lay));
+        let receipt;
+        if (v.resting === "back") {
+          await placeBack();
+          receipt = await (await placeLay()).wait();
+        } else {
+          await placeLay();
+          receipt = await (await placeBack()).wait();
+        }
+        const matchId = receipt.logs.find(log =>
+          log.topics[0] === ethers.id("OrderMatched(bytes32,bytes32,bytes32)")
+        ).topics[1];
+
+        // The backer risks the stake, the layer ends up risking only the liability at the matched price
+        const matchData = await bettingEngine.matches(matchId);
+        expect(matchData.amount).to.equal(stake);
+        expect(matchData.odds).to.equal(ethers.parseEther(v.matched));
+        expect(await bettingEngine.balances(user1.address)).to.equal(backerBefore - stake);
+        expect(await bettingEngine.balances(user2.address)).to.equal(layerBefore - ethers.parseEther(v.liability));
+
+        await time.increase(1300);
+        await mockOracle.setOutcome(marketId, true, v.winner === "back" ? 1 : 2);
+        await bettingEngine.settleMarket(marketId);
+
+        const winner = v.winner === "back" ? user1 : user2;
+        await expect(bettingEngine.connect(winner).claimWinnings(matchId))
+          .to.emit(bettingEngine, "WinningsClaimed")
+          .withArgs(matchId, winner.address, ethers.parseEther(v.payout));
+        expect(await bettingEngine.accruedFees()).to.equal(
+          ethers.parseEther(v.stake) + ethers.parseEther(v.liability) - ethers.parseEther(v.payout)
+        );
+      });
+    }
+
+    it("Should refund a laying taker the liability its price improvement frees up", async function () {
+      await bettingEngine.connect(user1).placeOrder(marketId, 1, 1, ethers.parseEther("30"), ethers.parseEther("2.0"));
+      await bettingEngine.connect(user3).placeOrder(marketId, 1, 1, ethers.parseEther("30"), ethers.parseEther("2.5"));
+
+      // Laying 60 at 3.0 locks 120, the fills need 30 * 1.0 + 30 * 1.5 = 75
+      const balanceBefore = await bettingEngine.balances(user2.address);
+      await bettingEngine.connect(user2).placeOrder(marketId, 1, 2, ethers.parseEther("60"), ethers.parseEther("3.0"));
+
+      expect(await bettingEngine.balances(user2.address)).to.equal(balanceBefore - ethers.parseEther("75"));
+      expect((await bettingEngine.getAccount(user2.address)).locked).to.equal(ethers.parseEther("75"));
+    });
+
+    it("Should not match a back asking for more than the lay offers", async function () {
+      await bettingEngine.connect(user2).placeOrder(marketId, 1, 2, ethers.parseEther("100"), ethers.parseEther("2.0"));
+
       await expect(
-        bettingEngine.settleMarket(marketId)
-      ).to.emit(bettingEngine, "MarketSettled");
+        bettingEngine.connect(user1).placeOrder(marketId, 1, 1, ethers.parseEther("100"), ethers.parseEther("2.02"))
+      ).to.not.emit(bettingEngine, "OrderMatched");
     });
 
-    it("Should not settle before settlement time", async function () {
-      // Only advance past end time but not settlement time
-      // Market: endTime = now + 500, settlementTime = now + 1000
-      // Advance by 600 seconds: now + 600 < settlementTime (now + 1000)
-      await time.increase(600); // Past end time (500) but before settlement time (1000)
-      await mockOracle.setOutcome(marketId, true, 1);
-      
+    it("Should reject odds of 1.0 or less", async function () {
+      for (const side of [1, 2]) {
+        await expect(
+          bettingEngine.connect(user1).placeOrder(marketId, 1, side, ethers.parseEther("100"), ethers.parseEther("1.0"))
+        ).to.be.revertedWith("Invalid odds");
+      }
+    });
+
+    it("Should reject dust lays whose liability rounds down to nothing", async function () {
+      // 99 wei at 1.01 is liable for 0.99 wei, which rounds to 0
+      const odds = ethers.parseEther("1.01");
       await expect(
-        bettingEngine.settleMarket(marketId)
-      ).to.be.revertedWith("Not ready for settlement");
+        bettingEngine.connect(user2).placeOrder(marketId, 1, 2, 99, odds)
+      ).to.be.revertedWith("Stake too small");
+      await expect(
+        bettingEngine.connect(user2).placeLimitOrder(marketId, 1, 2, 99, odds, 1, 0, 0)
+      ).to.be.revertedWith("Stake too small");
+
+      // 100 wei locks 1 wei and rests, a back of 1 wei locks its stake
+      await bettingEngine.connect(user2).placeOrder(marketId, 1, 2, 100, odds);
+      expect((await bettingEngine.getAccount(user2.address)).locked).to.equal(1);
+      await bettingEngine.connect(user1).placeOrder(marketId, 2, 1, 1, odds);
+      expect((await bettingEngine.getAccount(user1.address)).locked).to.equal(1);
     });
   });
 
-  describe("Winnings Claims", function () {
-    let marketId, matchId;
+  describe("Order Cancellation", function () {
+    let marketId;
 
     beforeEach(async function () {
-      const description = "Claims Test Market";
+      const description = "Cancellation Test Market";
       const currentTime = await time.latest();
-      const endTime = currentTime + 1000; // 1000 seconds from current time
+      const endTime = currentTime + 1000;
       const settlementTime = endTime + 200;
 
-      const tx = await bettingEngine.createMarket(description, endTime, settlementTime);
+      const tx = await bettingEngine.createMarket(description, OUTCOMES, endTime, settlementTime);
       const receipt = await tx.wait();
       
       const event = receipt.logs.find(log => 
         log.topics[0] === ethers.id("MarketCreated(bytes32,string,uint256)")
       );
       marketId = event.topics[1];
+    });
 
-      // Create and match orders with compatible odds
+    async function placeAndGetId(user, side, amount, odds) {
+      const tx = await bettingEngine.connect(user).placeOrder(marketId, 1, side, amount, odds);
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => 
+        log.topics[0] === ethers.id("OrderPlaced(bytes32,address,bytes32)")
+      );
+      return event.topics[1];
+    }
+
+    it("Should refund the full collateral to the order owner", async function () {
       const amount = ethers.parseEther("100");
-      const oddsA = ethers.parseEther("2.0");
-      const oddsB = ethers.parseEther("0.5"); // Compatible with 2.0 odds
+      const odds = ethers.parseEther("2.5");
 
-      await bettingEngine.connect(user1).placeOrder(marketId, 1, amount, oddsA);
-      const tx2 = await bettingEngine.connect(user2).placeOrder(marketId, 2, amount, oddsB);
-      const receipt2 = await tx2.wait();
-      
-      const matchEvent = receipt2.logs.find(log => 
-        log.topics[0] === ethers.id("OrderMatched(bytes32,bytes32,bytes32)")
-      );
-      matchId = matchEvent ? matchEvent.topics[1] : null;
+      const balanceBefore = await bettingEngine.balances(user2.address);
+      const orderId = await placeAndGetId(user2, 2, amount, odds);
+      // Laying 100 at 2.5 locks a liability of 100 * 1.5
+      expect(await bettingEngine.balances(user2.address)).to.equal(balanceBefore - ethers.parseEther("150"));
+
+      await expect(bettingEngine.connect(user2).cancelOrder(orderId))
+        .to.emit(bettingEngine, "OrderCancelled")
+        .withArgs(orderId, user2.address, ethers.parseEther("150"));
+
+      expect(await bettingEngine.balances(user2.address)).to.equal(balanceBefore);
+      expect((await bettingEngine.orders(orderId)).isActive).to.equal(false);
     });
 
-    it("Should allow winners to claim after settlement", async function () {
-      // Skip if no match occurred
-      if (!matchId) {
-        console.log("No match occurred, skipping test");
-        return;
-      }
+    it("Should only let the owner cancel while the market is open", async function () {
+      const orderId = await placeAndGetId(user1, 1, ethers.parseEther("100"), ethers.parseEther("2.0"));
 
-      // Fast forward time past settlement time
-      await time.increase(1300); // Past endTime (1000) + settlementTime (200)
-      await mockOracle.setOutcome(marketId, true, 1); // Side A wins
-      await bettingEngine.settleMarket(marketId);
-      
-      const balanceBefore = await mockToken.balanceOf(user1.address);
-      
-      await bettingEngine.connect(user1).claimWinnings(matchId);
-      
-      const balanceAfter = await mockToken.balanceOf(user1.address);
-      expect(balanceAfter).to.be.gt(balanceBefore);
+      await expect(
+        bettingEngine.connect(user2).cancelOrder(orderId)
+      ).to.be.revertedWith("Not order owner");
+    });
+
+    it("Should reject cancelling twice or cancelling a matched order", async function () {
+      const amount = ethers.parseEther("100");
+      const orderId = await placeAndGetId(user1, 1, amount, ethers.parseEther("2.0"));
+      await bettingEngine.connect(user1).cancelOrder(orderId);
+
+      await expect(
+        bettingEngine.connect(user1).cancelOrder(orderId)
+      ).to.be.revertedWith("Order not cancellable");
+
+      const restingId = await placeAndGetId(user1, 1, amount, ethers.parseEther("2.0"));
+      await bettingEngine.connect(user2).placeOrder(marketId, 1, 2, amount, ethers.parseEther("2.0"));
+
+      await expect(
+        bettingEngine.connect(user1).cancelOrder(restingId)
+      ).to.be.revertedWith("Order not cancellable");
+    });
+
+    it("Should let anyone refund resting orders after the market ends", async function () {
+      const orderId = await placeAndGetId(user1, 1, ethers.parseEther("100"), ethers.parseEther("2.0"));
+      const balanceBefore = await bettingEngine.balances(user1.address);
+
+      await expect(
+        bettingEngine.connect(user3).refundRestingOrders(marketId, 10)
+      ).to.be.revertedWith("Market still open");
+
+      await time.increase(1100);
+
+      await expect(bettingEngine.connect(user3).refundRestingOrders(marketId, 10))
+        .to.emit(bettingEngine, "OrderCancelled")
+        .withArgs(orderId, user1.address, ethers.parseEther("100"));
+
+      expect(await bettingEngine.balances(user1.address)).to.equal(balanceBefore + ethers.parseEther("100"));
+    });
+
+    it("Should refund resting orders in batches after the market settles", async function () {
+      const first = await placeAndGetId(user2, 2, ethers.parseEther("100"), ethers.parseEther("3.0"));
+      const second = await placeAndGetId(user2, 2, ethers.parseEther("50"), ethers.parseEther("3.0"));
+      const balanceBefore = await bettingEngine.balances(user2.address);
+
+      await time.increase(1300);
+      await mockOracle.setOutcome(marketId, true, 1);
+
+      // Settling leaves the book alone, however many orders rest on it
+      await expect(bettingEngine.settleMarket(marketId)).to.not.emit(bettingEngine, "OrderCancelled");
+
+      await expect(bettingEngine.connect(user3).refundRestingOrders(marketId, 1))
+        .to.emit(bettingEngine, "OrderCancelled")
+        .withArgs(first, user2.address, ethers.parseEther("200"));
+      expect((await bettingEngine.orders(second)).isActive).to.be.true;
+
+      await expect(bettingEngine.connect(user3).refundRestingOrders(marketId, 1))
+        .to.emit(bettingEngine, "OrderCancelled")
+        .withArgs(second, user2.address, ethers.parseEther("100"));
+      await expect(bettingEngine.connect(user3).refundRestingOrders(marketId, 1))
+        .to.not.emit(bettingEngine, "OrderCancelled");
+
+      expect(await bettingEngine.balances(user2.address)).to.equal(balanceBefore + ethers.parseEther("300"));
     });
   });
 
-  describe("View Functions", function () {
+  describe("Time in Force", function () {
     let marketId;
 
+    const GTC = 0;
+    const IOC = 1;
+    const FOK = 2;
+    const POST_ONLY = 3;
+    const GTT = 4;
+
     beforeEach(async function () {
-      const description = "View Test Market";
-      const endTime = Math.floor(Date.now() / 1000) + 3600;
-      const settlementTime = endTime + 3600;
+      const description = "Time in Force Test Market";
+      const currentTime = await time.latest();
+      const endTime = currentTime + 1000;
+      const settlementTime = endTime + 200;
 
-      const tx = await bettingEngine.createMarket(description, endTime, settlementTime);
+      const tx = await bettingEngine.createMarket(description, OUTCOMES, endTime, settlementTime);
       const receipt = await tx.wait();
       
       const event = receipt.logs.find(log => 
@@ -316,37 +633,153 @@ describe("BettingMatchingEngine", function () {
       marketId = event.topics[1];
     });
 
-    it("Should return market orders", async function () {
-      const amount = ethers.parseEther("100");
-      const odds = ethers.parseEther("2.0");
+    async function placeLimit(user, side, amount, odds, timeInForce, expiry = 0) {
+      const tx = await bettingEngine.connect(user).placeLimitOrder(
+        marketId, 1, side, ethers.parseEther(amount), ethers.parseEther(odds), timeInForce, expiry, 0
+      );
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => 
+        log.topics[0] === ethers.id("OrderPlaced(bytes32,address,bytes32)")
+      );
+      return event.topics[1];
+    }
 
-      await bettingEngine.connect(user1).placeOrder(marketId, 1, amount, odds);
-      
-      const orders = await bettingEngine.getMarketOrders(marketId);
-      expect(orders.length).to.equal(1);
+    it("Should rest GTC orders like placeOrder", async function () {
+      const orderId = await placeLimit(user1, 1, "100", "2.0", GTC);
+
+      const [orderIds] = await bettingEngine.getOrderBook(marketId);
+      expect(orderIds).to.deep.equal([orderId]);
     });
 
-    it("Should return order book", async function () {
-      const amount = ethers.parseEther("100");
-      const odds = ethers.parseEther("2.0");
+    it("Should refund the unfilled part of an IOC order straight away", async function () {
+      await placeLimit(user1, 1, "30", "2.0", GTC);
 
-      await bettingEngine.connect(user1).placeOrder(marketId, 1, amount, odds);
-      await bettingEngine.connect(user2).placeOrder(marketId, 2, amount, odds);
-      
-      const [orderIds, amounts, oddsArray, sides] = await bettingEngine.getOrderBook(marketId);
-      expect(orderIds.length).to.be.gte(0);
+      // Laying 100 at 2.0 locks 100 of liability, only 30 of it is needed
+      const tx = await bettingEngine.connect(user2).placeLimitOrder(
+        marketId, 1, 2, ethers.parseEther("100"), ethers.parseEther("2.0"), IOC, 0, 0
+      );
+      const orderId = (await tx.wait()).logs.find(log =>
+        log.topics[0] === ethers.id("OrderPlaced(bytes32,address,bytes32)")
+      ).topics[1];
+      await expect(tx)
+        .to.emit(bettingEngine, "OrderCancelled")
+        .withArgs(orderId, user2.address, ethers.parseEther("70"));
+
+      const order = await bettingEngine.orders(orderId);
+      expect(order.filledAmount).to.equal(ethers.parseEther("30"));
+      expect(order.isActive).to.equal(false);
+      expect(await bettingEngine.getAccount(user2.address)).to.deep.equal([
+        USER_BALANCE - ethers.parseEther("30"),
+        ethers.parseEther("30")
+      ]);
+
+      const [orderIds] = await bettingEngine.getOrderBook(marketId);
+      expect(orderIds.length).to.equal(0);
+    });
+
+    it("Should revert FOK orders that can't fill completely", async function () {
+      await placeLimit(user1, 1, "30", "2.0", GTC);
+
+      await expect(
+        placeLimit(user2, 2, "40", "2.0", FOK)
+      ).to.be.revertedWith("Order not fully filled");
+
+      const orderId = await placeLimit(user2, 2, "30", "2.0", FOK);
+      expect((await bettingEngine.orders(orderId)).isMatched).to.equal(true);
+    });
+
+    it("Should revert post-only orders that would match", async function () {
+      await placeLimit(user1, 1, "50", "2.0", GTC);
+
+      await expect(
+        placeLimit(user2, 2, "50", "2.0", POST_ONLY)
+      ).to.be.revertedWith("Post-only order would match");
+
+      // Below the best back it rests instead
+      const orderId = await placeLimit(user2, 2, "50", "1.9", POST_ONLY);
+      expect(await bettingEngine.getRemainingAmount(orderId)).to.equal(ethers.parseEther("50"));
+    });
+
+    it("Should only accept an expiry on GTT orders", async function () {
+      const now = await time.latest();
+
+      await expect(
+        placeLimit(user1, 1, "50", "2.0", GTT, now)
+      ).to.be.revertedWith("Invalid expiry");
+      await expect(
+        placeLimit(user1, 1, "50", "2.0", GTC, now + 100)
+      ).to.be.revertedWith("Invalid expiry");
+      await expect(
+        placeLimit(user1, 1, "50", "2.0", GTT + 1)
+      ).to.be.revertedWith("Invalid time in force");
+    });
+
+    it("Should refund expired GTT orders the matcher meets and let anyone refund the rest", async function () {
+      const expiry = (await time.latest()) + 100;
+      const expiringId = await placeLimit(user1, 1, "50", "2.0", GTT, expiry);
+      const restingId = await placeLimit(user3, 1, "50", "2.2", GTC);
+      const idleId = await placeLimit(user1, 2, "20", "1.5", GTT, expiry);
+
+      await time.increaseTo(expiry);
+
+      // The better priced back has expired, so it goes back to its owner and the lay fills against the next one
+      await expect(bettingEngine.connect(user2).placeLimitOrder(
+        marketId, 1, 2, ethers.parseEther("50"), ethers.parseEther("2.5"), GTC, 0, 0
+      )).to.emit(bettingEngine, "OrderCancelled")
+        .withArgs(expiringId, user1.address, ethers.parseEther("50"));
+      expect((await bettingEngine.orders(expiringId)).isActive).to.equal(false);
+      expect((await bettingEngine.orders(restingId)).isMatched).to.equal(true);
+
+      // Expired orders the matcher never reached drop out of the book view but wait on the book for a refund
+      const [orderIds] = await bettingEngine.getOrderBook(marketId);
+      expect(orderIds.length).to.equal(0);
+
+      await expect(bettingEngine.connect(user3).cancelOrder(idleId))
+        .to.emit(bettingEngine, "OrderCancelled")
+        .withArgs(idleId, user1.address, ethers.parseEther("10"));
+      expect(await bettingEngine.getAccount(user1.address)).to.deep.equal([USER_BALANCE, 0n]);
+    });
+
+    it("Should stop matching after MAX_MATCH_STEPS resting orders and refund the remainder", async function () {
+      const steps = Number(await bettingEngine.MAX_MATCH_STEPS());
+      const expiry = (await time.latest()) + 500;
+      for (let i = 0; i < steps; i++) {
+        await placeLimit(user1, 1, "1", "2.0", GTT, expiry);
+      }
+      const restingId = await placeLimit(user3, 1, "50", "2.2", GTC);
+      await time.increaseTo(expiry);
+
+      // The first lay clears the expired orders but runs out of steps before the live back
+      const layId = await placeLimit(user2, 2, "50", "2.5", GTC);
+      expect((await bettingEngine.orders(layId)).isActive).to.equal(false);
+      expect((await bettingEngine.orders(restingId)).filledAmount).to.equal(0);
+      expect(await bettingEngine.getAccount(user1.address)).to.deep.equal([USER_BALANCE, 0n]);
+      expect(await bettingEngine.getAccount(user2.address)).to.deep.equal([USER_BALANCE, 0n]);
+
+      await placeLimit(user2, 2, "50", "2.5", GTC);
+      expect((await bettingEngine.orders(restingId)).isMatched).to.equal(true);
     });
   });
 
-  describe("Edge Cases and Security", function () {
+  describe("Market Parameters", function () {
     let marketId;
 
+    const PARAMS = {
+      minOdds: ethers.parseEther("1.5"),
+      maxOdds: ethers.parseEther("10"),
+      minStake: ethers.parseEther("5"),
+      maxExposure: ethers.parseEther("300"),
+      tickLadder: true,
+      pending: false
+    };
+
     beforeEach(async function () {
-      const description = "Security Test Market";
-      const endTime = Math.floor(Date.now() / 1000) + 3600;
-      const settlementTime = endTime + 3600;
+      const description = "Parameters Test Market";
+      const currentTime = await time.latest();
+      const endTime = currentTime + 1000;
+      const settlementTime = endTime + 200;
 
-      const tx = await bettingEngine.createMarket(description, endTime, settlementTime);
+      const tx = await bettingEngine.createMarketWithParams(description, OUTCOMES, endTime, settlementTime, PARAMS);
       const receipt = await tx.wait();
       
       const event = receipt.logs.find(log => 
@@ -355,50 +788,1777 @@ describe("BettingMatchingEngine", function () {
       marketId = event.topics[1];
     });
 
-    it("Should prevent double claiming", async function () {
-      // Set up match and settlement first
-      const amount = ethers.parseEther("100");
-      const oddsA = ethers.parseEther("2.0");
-      const oddsB = ethers.parseEther("0.5");
+    it("Should store the parameters a market was created with", async function () {
+      const params = await bettingEngine.getMarketParams(marketId);
+      expect(params.minOdds).to.equal(PARAMS.minOdds);
+      expect(params.maxOdds).to.equal(PARAMS.maxOdds);
+      expect(params.minStake).to.equal(PARAMS.minStake);
+      expect(params.maxExposure).to.equal(PARAMS.maxExposure);
+      expect(params.tickLadder).to.equal(true);
+
+      // Plain createMarket leaves every limit off
+      const endTime = (await time.latest()) + 1000;
+      const tx = await bettingEngine.createMarket("No Limits", OUTCOMES, endTime, endTime + 200);
+      const receipt = await tx.wait();
+      const plainId = receipt.logs.find(log =>
+        log.topics[0] === ethers.id("MarketCreated(bytes32,string,uint256)")
+      ).topics[1];
+      expect(await bettingEngine.getMarketParams(plainId)).to.deep.equal([0n, 0n, 0n, 0n, false, false]);
+    });
 
-      await bettingEngine.connect(user1).placeOrder(marketId, 1, amount, oddsA);
-      const tx2 = await bettingEngine.connect(user2).placeOrder(marketId, 2, amount, oddsB);
-      const receipt2 = await tx2.wait();
-      
-      const matchEvent = receipt2.logs.find(log => 
-        log.topics[0] === ethers.id("OrderMatched(bytes32,bytes32,bytes32)")
-      );
-      
-      // Only proceed if match occurred
-      if (matchEvent) {
-        const matchId = matchEvent.topics[1];
+    it("Should reject inconsistent odds limits", async function () {
+      const endTime = (await time.latest()) + 1000;
 
-        await time.increase(7300); // Past market end + settlement time
-        await mockOracle.setOutcome(marketId, true, 1);
-        await bettingEngine.settleMarket(marketId);
-        
-        // First claim should succeed
-        await bettingEngine.connect(user1).claimWinnings(matchId);
-        
-        // Second claim should fail
-        await expect(
-          bettingEngine.connect(user1).claimWinnings(matchId)
-        ).to.be.revertedWith("Already claimed");
-      }
+      await expect(
+        bettingEngine.createMarketWithParams("Bad", OUTCOMES, endTime, endTime + 200, { ...PARAMS, minOdds: ethers.parseEther("1.0") })
+      ).to.be.revertedWith("Invalid odds range");
+      await expect(
+        bettingEngine.createMarketWithParams("Bad", OUTCOMES, endTime, endTime + 200, { ...PARAMS, maxOdds: ethers.parseEther("1.4") })
+      ).to.be.revertedWith("Invalid odds range");
+      await expect(
+        bettingEngine.connect(user1).createMarketWithParams("Bad", OUTCOMES, endTime, endTime + 200, PARAMS)
+      ).to.be.revertedWithCustomError(bettingEngine, "AccessControlUnauthorizedAccount");
     });
 
-    it("Should handle insufficient token balance", async function () {
-      // Transfer away most tokens
-      const userBalance = await mockToken.balanceOf(user1.address);
-      await mockToken.connect(user1).transfer(owner.address, userBalance - ethers.parseEther("50"));
-      
-      const amount = ethers.parseEther("100");
-      const odds = ethers.parseEther("2.0");
+    it("Should enforce the odds range and stake minimum", async function () {
+      const place = (amount, odds) =>
+        bettingEngine.connect(user1).placeOrder(marketId, 1, 1, ethers.parseEther(amount), ethers.parseEther(odds));
+
+      await expect(place("10", "1.49")).to.be.revertedWith("Odds below minimum");
+      await expect(place("10", "12")).to.be.revertedWith("Odds above maximum");
+      await expect(place("4.99", "2.0")).to.be.revertedWith("Stake below minimum");
+      await expect(place("5", "2.0")).to.emit(bettingEngine, "OrderPlaced");
+    });
+
+    it("Should only accept prices on the tick ladder", async function () {
+      const place = odds =>
+        bettingEngine.connect(user1).placeOrder(marketId, 1, 1, ethers.parseEther("10"), ethers.parseEther(odds));
+
+      // 0.01 steps up to 2, 0.02 up to 3, 0.05 up to 4, 0.1 up to 6, 0.2 up to 10
+      for (const odds of ["1.51", "1.99", "2.0", "2.02", "2.98", "3.05", "4.1", "6.2", "10"]) {
+        await expect(place(odds)).to.emit(bettingEngine, "OrderPlaced");
+      }
+      for (const odds of ["1.505", "2.01", "2.99", "3.02", "4.15", "6.1", "9.9"]) {
+        await expect(place(odds)).to.be.revertedWith("Odds not on tick ladder");
+      }
+    });
+
+    it("Should cap each user's committed collateral", async function () {
+      // Backing 200 and laying 100 at 2.0 commits 300, the limit
+      await bettingEngine.connect(user1).placeOrder(marketId, 1, 1, ethers.parseEther("200"), ethers.parseEther("3.0"));
+      const tx = await bettingEngine.connect(user1).placeOrder(marketId, 2, 2, ethers.parseEther("100"), ethers.parseEther("2.0"));
+      const layId = (await tx.wait()).logs.find(log =>
+        log.topics[0] === ethers.id("OrderPlaced(bytes32,address,bytes32)")
+      ).topics[1];
+      expect(await bettingEngine.exposure(marketId, user1.address)).to.equal(ethers.parseEther("300"));
+
+      await expect(
+        bettingEngine.connect(user1).placeOrder(marketId, 1, 1, ethers.parseEther("5"), ethers.parseEther("2.0"))
+      ).to.be.revertedWith("Exposure limit exceeded");
+
+      // Cancelling frees the room up again, other users have their own limit
+      await bettingEngine.connect(user1).cancelOrder(layId);
+      await bettingEngine.connect(user1).placeOrder(marketId, 1, 1, ethers.parseEther("100"), ethers.parseEther("2.0"));
+      await bettingEngine.connect(user2).placeOrder(marketId, 1, 1, ethers.parseEther("300"), ethers.parseEther("2.0"));
+    });
+  });
+
+  describe("Market Lifecycle", function () {
+    let marketId;
+    let endTime;
+
+    const PENDING = 0;
+    const OPEN = 1;
+    const SUSPENDED = 2;
+    const CLOSED = 3;
+    const SETTLED = 4;
+    const VOIDED = 5;
+
+    beforeEach(async function () {
+      const description = "Lifecycle Test Market";
+      endTime = (await time.latest()) + 3600;
+      const settlementTime = endTime + 3600;
+
+      const tx = await bettingEngine.createMarket(description, OUTCOMES, endTime, settlementTime);
+      const receipt = await tx.wait();
+      
+      const event = receipt.logs.find(log => 
+        log.topics[0] === ethers.id("MarketCreated(bytes32,string,uint256)")
+      );
+      marketId = event.topics[1];
+    });
+
+    async function placeBack(user, amount = "100") {
+      const tx = await bettingEngine.connect(user).placeOrder(marketId, 1, 1, ethers.parseEther(amount), ethers.parseEther("2.0"));
+      const receipt = await tx.wait();
+      return receipt.logs.find(log =>
+        log.topics[0] === ethers.id("OrderPlaced(bytes32,address,bytes32)")
+      ).topics[1];
+    }
+
+    it("Should start Open, or Pending until an operator opens it", async function () {
+      expect((await bettingEngine.markets(marketId)).status).to.equal(OPEN);
+
+      const params = { minOdds: 0, maxOdds: 0, minStake: 0, maxExposure: 0, tickLadder: false, pending: true };
+      const tx = await bettingEngine.createMarketWithParams("Pending Market", OUTCOMES, endTime, endTime + 3600, params);
+      const receipt = await tx.wait();
+      const pendingId = receipt.logs.find(log =>
+        log.topics[0] === ethers.id("MarketCreated(bytes32,string,uint256)")
+      ).topics[1];
+      expect((await bettingEngine.markets(pendingId)).status).to.equal(PENDING);
+
+      await expect(
+        bettingEngine.connect(user1).placeOrder(pendingId, 1, 1, ethers.parseEther("100"), ethers.parseEther("2.0"))
+      ).to.be.revertedWith("Market not open");
+
+      await expect(bettingEngine.openMarket(pendingId))
+        .to.emit(bettingEngine, "MarketStatusChanged")
+        .withArgs(pendingId, OPEN);
+      await bettingEngine.connect(user1).placeOrder(pendingId, 1, 1, ethers.parseEther("100"), ethers.parseEther("2.0"));
+    });
+
+    it("Should halt orders, liquidity and swaps while suspended and keep resting orders", async function () {
+      await bettingEngine.connect(user3).addLiquidity(marketId, ethers.parseEther("1000"));
+      const orderId = await placeBack(user1);
+
+      await expect(bettingEngine.suspendMarket(marketId))
+        .to.emit(bettingEngine, "MarketStatusChanged")
+        .withArgs(marketId, SUSPENDED);
+
+      await expect(
+        bettingEngine.connect(user2).placeOrder(marketId, 1, 2, ethers.parseEther("100"), ethers.parseEther("2.0"))
+      ).to.be.revertedWith("Market not open");
+      await expect(
+        bettingEngine.connect(user2).addLiquidity(marketId, ethers.parseEther("100"))
+      ).to.be.revertedWith("Market not open");
+      await expect(
+        bettingEngine.connect(user2).swapWithAMM(marketId, 1, ethers.parseEther("100"), 0, ethers.MaxUint256)
+      ).to.be.revertedWith("Market not open");
+
+      // Owners can still pull their orders, nobody else can
+      await expect(bettingEngine.connect(user2).cancelOrder(orderId)).to.be.revertedWith("Not order owner");
+
+      // Resuming picks up where the book left off
+      await bettingEngine.openMarket(marketId);
+      await expect(
+        bettingEngine.connect(user2).placeOrder(marketId, 1, 2, ethers.parseEther("100"), ethers.parseEther("2.0"))
+      ).to.emit(bettingEngine, "OrderMatched");
+    });
+
+    it("Should let operators refund resting orders of a suspended market", async function () {
+      const orderId = await placeBack(user1);
+      await placeBack(user2, "50");
+
+      await bettingEngine.suspendMarket(marketId);
+      await expect(bettingEngine.connect(user3).refundRestingOrders(marketId, 10)).to.be.revertedWith("Market still open");
+      await expect(bettingEngine.refundRestingOrders(marketId, 10))
+        .to.emit(bettingEngine, "OrderCancelled")
+        .withArgs(orderId, user1.address, ethers.parseEther("100"));
+
+      expect((await bettingEngine.getOrderBook(marketId)).orderIds.length).to.equal(0);
+      await expectFullyReleased();
+    });
+
+    it("Should let anyone refund resting orders once the market is closed", async function () {
+      await placeBack(user1);
+
+      await expect(bettingEngine.refundRestingOrders(marketId, 10)).to.be.revertedWith("Market still open");
+      await expect(bettingEngine.closeMarket(marketId))
+        .to.emit(bettingEngine, "MarketStatusChanged")
+        .withArgs(marketId, CLOSED);
+
+      await expect(bettingEngine.openMarket(marketId)).to.be.revertedWith("Invalid status change");
+      await expect(
+        bettingEngine.connect(user2).placeOrder(marketId, 1, 2, ethers.parseEther("100"), ethers.parseEther("2.0"))
+      ).to.be.revertedWith("Market not open");
+
+      await bettingEngine.connect(user3).refundRestingOrders(marketId, 10);
+      await expectFullyReleased();
+    });
+
+    it("Should move to Settled or Voided with the result", async function () {
+      await time.increaseTo(endTime + 3600);
+      await mockOracle.settleMarket(marketId, 1);
+      await expect(bettingEngine.settleMarket(marketId))
+        .to.emit(bettingEngine, "MarketStatusChanged")
+        .withArgs(marketId, SETTLED);
+      await expect(bettingEngine.suspendMarket(marketId)).to.be.revertedWith("Invalid status change");
+      await expect(bettingEngine.closeMarket(marketId)).to.be.revertedWith("Invalid status change");
+
+      const tx = await bettingEngine.createMarket("Void Market", OUTCOMES, endTime + 7200, endTime + 10800);
+      const receipt = await tx.wait();
+      const voidId = receipt.logs.find(log =>
+        log.topics[0] === ethers.id("MarketCreated(bytes32,string,uint256)")
+      ).topics[1];
+      await time.increaseTo(endTime + 10800 + 7 * 24 * 3600);
+      await bettingEngine.voidMarket(voidId);
+      expect((await bettingEngine.markets(voidId)).status).to.equal(VOIDED);
+    });
+
+    it("Should reschedule the end of trading", async function () {
+      // A delayed kickoff keeps the market trading past its original end time
+      await expect(bettingEngine.rescheduleMarket(marketId, endTime + 1800, endTime + 5400))
+        .to.emit(bettingEngine, "MarketRescheduled")
+        .withArgs(marketId, endTime + 1800, endTime + 5400);
+
+      await time.increaseTo(endTime + 60);
+      await placeBack(user1);
+
+      await expect(
+        bettingEngine.rescheduleMarket(marketId, endTime + 1800, endTime + 1799)
+      ).to.be.revertedWith("Invalid schedule");
+      await expect(
+        bettingEngine.rescheduleMarket(marketId, endTime, endTime + 3600)
+      ).to.be.revertedWith("Invalid schedule");
+
+      await bettingEngine.closeMarket(marketId);
+      await expect(
+        bettingEngine.rescheduleMarket(marketId, endTime + 3600, endTime + 7200)
+      ).to.be.revertedWith("Market closed");
+    });
+
+    it("Should restrict transitions to market operators", async function () {
+      const OPERATOR = await bettingEngine.MARKET_OPERATOR_ROLE();
+      await expect(
+        bettingEngine.connect(user1).suspendMarket(marketId)
+      ).to.be.revertedWithCustomError(bettingEngine, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, OPERATOR);
+
+      await bettingEngine.grantRole(OPERATOR, user1.address);
+      await bettingEngine.connect(user1).suspendMarket(marketId);
+      await bettingEngine.connect(user1).openMarket(marketId);
+
+      // Operators run markets, listing them takes MARKET_CREATOR_ROLE
+      await expect(
+        bettingEngine.connect(user1).createMarket("Not Allowed", OUTCOMES, endTime, endTime + 3600)
+      ).to.be.revertedWithCustomError(bettingEngine, "AccessControlUnauthorizedAccount");
+
+      await bettingEngine.revokeRole(OPERATOR, user1.address);
+      await expect(
+        bettingEngine.connect(user1).closeMarket(marketId)
+      ).to.be.revertedWithCustomError(bettingEngine, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Roles and Pause", function () {
+    let marketId;
+
+    beforeEach(async function () {
+      const description = "Roles Test Market";
+      const endTime = (await time.latest()) + 3600;
+      const settlementTime = endTime + 3600;
+
+      const tx = await bettingEngine.createMarket(description, OUTCOMES, endTime, settlementTime);
+      const receipt = await tx.wait();
+      
+      const event = receipt.logs.find(log => 
+        log.topics[0] === ethers.id("MarketCreated(bytes32,string,uint256)")
+      );
+      marketId = event.topics[1];
+    });
+
+    it("Should grant every role to the deployer", async function () {
+      for (const role of ["DEFAULT_ADMIN_ROLE", "MARKET_CREATOR_ROLE", "MARKET_OPERATOR_ROLE", "ORACLE_ADMIN_ROLE", "FEE_MANAGER_ROLE", "PAUSER_ROLE", "ARBITRATOR_ROLE"]) {
+        expect(await bettingEngine.hasRole(await bettingEngine[role](), owner.address)).to.equal(true);
+        expect(await bettingEngine.hasRole(await bettingEngine[role](), user1.address)).to.equal(false);
+      }
+    });
+
+    it("Should let each role run its own operations only", async function () {
+      await bettingEngine.grantRole(await bettingEngine.MARKET_CREATOR_ROLE(), user1.address);
+      await bettingEngine.grantRole(await bettingEngine.FEE_MANAGER_ROLE(), user2.address);
+
+      const endTime = (await time.latest()) + 3600;
+      await expect(
+        bettingEngine.connect(user1).createMarket("Created by user1", OUTCOMES, endTime, endTime + 3600)
+      ).to.emit(bettingEngine, "MarketCreated");
+      await expect(bettingEngine.connect(user1).setFees(100, 0))
+        .to.be.revertedWithCustomError(bettingEngine, "AccessControlUnauthorizedAccount")
+        .withArgs(user1.address, await bettingEngine.FEE_MANAGER_ROLE());
+
+      await expect(bettingEngine.connect(user2).setFees(100, 0)).to.emit(bettingEngine, "FeeUpdated");
+      await expect(
+        bettingEngine.connect(user2).createMarket("Created by user2", OUTCOMES, endTime, endTime + 3600)
+      ).to.be.revertedWithCustomError(bettingEngine, "AccessControlUnauthorizedAccount");
+      await expect(bettingEngine.connect(user2).pause())
+        .to.be.revertedWithCustomError(bettingEngine, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should block new orders, liquidity and swaps while paused", async function () {
+      await bettingEngine.connect(user3).addLiquidity(marketId, ethers.parseEther("1000"));
+
+      await expect(bettingEngine.pause()).to.emit(bettingEngine, "Paused").withArgs(owner.address);
+
+      await expect(
+        bettingEngine.connect(user1).placeOrder(marketId, 1, 1, ethers.parseEther("100"), ethers.parseEther("2.0"))
+      ).to.be.revertedWithCustomError(bettingEngine, "EnforcedPause");
+      await expect(
+        bettingEngine.connect(user1).addLiquidity(marketId, ethers.parseEther("100"))
+      ).to.be.revertedWithCustomError(bettingEngine, "EnforcedPause");
+      await expect(
+        bettingEngine.connect(user1).swapWithAMM(marketId, 1, ethers.parseEther("100"), 0, ethers.MaxUint256)
+      ).to.be.revertedWithCustomError(bettingEngine, "EnforcedPause");
+
+      await bettingEngine.unpause();
+      await expect(
+        bettingEngine.connect(user1).placeOrder(marketId, 1, 1, ethers.parseEther("100"), ethers.parseEther("2.0"))
+      ).to.emit(bettingEngine, "OrderPlaced");
+    });
+
+    it("Should still allow cancels, liquidity removal and withdrawals while paused", async function () {
+      await bettingEngine.connect(user3).addLiquidity(marketId, ethers.parseEther("1000"));
+      const tx = await bettingEngine.connect(user1).placeOrder(marketId, 1, 1, ethers.parseEther("100"), ethers.parseEther("2.0"));
+      const receipt = await tx.wait();
+      const orderId = receipt.logs.find(log =>
+        log.topics[0] === ethers.id("OrderPlaced(bytes32,address,bytes32)")
+      ).topics[1];
+
+      await bettingEngine.pause();
+
+      await expect(bettingEngine.connect(user1).cancelOrder(orderId)).to.emit(bettingEngine, "OrderCancelled");
+      await bettingEngine.connect(user3).removeLiquidity(marketId, ethers.parseEther("1000"));
+      for (const user of [user1, user2, user3]) {
+        await bettingEngine.connect(user).withdraw(await bettingEngine.balances(user.address));
+      }
+      await expectFullyReleased();
+    });
+
+    it("Should only switch oracles after the timelock", async function () {
+      const MockOracle = await ethers.getContractFactory("MockPriceOracle");
+      const newOracle = await MockOracle.deploy();
+      const newAddress = await newOracle.getAddress();
+
+      await expect(bettingEngine.connect(user1).setOracle(newAddress))
+        .to.be.revertedWithCustomError(bettingEngine, "AccessControlUnauthorizedAccount");
+      await expect(bettingEngine.applyOracle()).to.be.revertedWith("No oracle queued");
+
+      const tx = await bettingEngine.setOracle(newAddress);
+      const executableAt = (await time.latest()) + 2 * 24 * 3600;
+      await expect(tx).to.emit(bettingEngine, "OracleChangeQueued").withArgs(newAddress, executableAt);
+      expect(await bettingEngine.pendingOracle()).to.equal(newAddress);
+
+      await expect(bettingEngine.applyOracle()).to.be.revertedWith("Oracle timelock active");
+      await time.increaseTo(executableAt);
+      await expect(bettingEngine.applyOracle()).to.emit(bettingEngine, "OracleUpdated").withArgs(newAddress);
+      expect(await bettingEngine.oracle()).to.equal(newAddress);
+
+      // Settlement now reads the new oracle
+      await newOracle.setOutcome(marketId, true, 2);
+      await bettingEngine.settleMarket(marketId);
+      expect((await bettingEngine.markets(marketId)).outcome).to.equal(2);
+    });
+  });
+
+  describe("AMM Functionality", function () {
+    let marketId;
+
+    beforeEach(async function () {
+      const description = "AMM Test Market";
+      const endTime = (await time.latest()) + 3600;
+      const settlementTime = endTime + 3600;
+
+      const tx = await bettingEngine.createMarket(description, OUTCOMES, endTime, settlementTime);
+      const receipt = await tx.wait();
+      
+      const event = receipt.logs.find(log => 
+        log.topics[0] === ethers.id("MarketCreated(bytes32,string,uint256)")
+      );
+      marketId = event.topics[1];
+    });
+
+    it("Should add liquidity successfully", async function () {
+      const liquidityAmount = ethers.parseEther("1000");
+
+      await expect(
+        bettingEngine.connect(user1).addLiquidity(marketId, liquidityAmount)
+      ).to.emit(bettingEngine, "LiquidityAdded");
+    });
+
+    it("Should allow AMM swaps", async function () {
+      const liquidityAmount = ethers.parseEther("1000");
+      const swapAmount = ethers.parseEther("100");
+
+      // Add liquidity first
+      await bettingEngine.connect(user1).addLiquidity(marketId, liquidityAmount);
+      
+      // Perform swap
+      await expect(
+        bettingEngine.connect(user2).swapWithAMM(marketId, 1, swapAmount, 0, ethers.MaxUint256)
+      ).to.not.be.reverted;
+    });
+
+    it("Should mint outcome shares from complete sets", async function () {
+      const liquidityAmount = ethers.parseEther("1000");
+      const swapAmount = ethers.parseEther("100");
+      await bettingEngine.connect(user1).addLiquidity(marketId, liquidityAmount);
+
+      // 100 mints 100 sets, then A comes out until reserveA * reserveB = 1000 * 1000 again
+      const k = liquidityAmount * liquidityAmount;
+      const otherReserve = liquidityAmount + swapAmount;
+      const expectedOut = liquidityAmount + swapAmount - (k + otherReserve - 1n) / otherReserve;
+
+      expect(await bettingEngine.quoteSwap(marketId, 1, swapAmount)).to.equal(expectedOut);
+      await expect(bettingEngine.connect(user2).swapWithAMM(marketId, 1, swapAmount, expectedOut, ethers.MaxUint256))
+        .to.emit(bettingEngine, "PositionBought")
+        .withArgs(marketId, user2.address, 1, swapAmount, expectedOut);
+
+      expect(await bettingEngine.positions(marketId, user2.address, 1)).to.equal(expectedOut);
+      expect(await bettingEngine.positions(marketId, user2.address, 2)).to.equal(0);
+
+      const [[reserveA, reserveB]] = await bettingEngine.getPoolInfo(marketId, user1.address);
+      expect(reserveA).to.equal(liquidityAmount + swapAmount - expectedOut);
+      expect(reserveB).to.equal(otherReserve);
+      // More than 100 shares for 100 paid: A is now priced below 0.5
+      expect(expectedOut).to.be.gt(swapAmount);
+    });
+
+    it("Should enforce the slippage guard and deadline", async function () {
+      const swapAmount = ethers.parseEther("100");
+      await bettingEngine.connect(user1).addLiquidity(marketId, ethers.parseEther("1000"));
+      const quote = await bettingEngine.quoteSwap(marketId, 2, swapAmount);
+
+      await expect(
+        bettingEngine.connect(user2).swapWithAMM(marketId, 2, swapAmount, quote + 1n, ethers.MaxUint256)
+      ).to.be.revertedWith("Slippage exceeded");
+
+      await expect(
+        bettingEngine.connect(user2).swapWithAMM(marketId, 2, swapAmount, 0, (await time.latest()) - 1)
+      ).to.be.revertedWith("Swap expired");
+    });
+
+    it("Should reject swaps without liquidity", async function () {
+      await expect(
+        bettingEngine.connect(user2).swapWithAMM(marketId, 1, ethers.parseEther("1"), 0, ethers.MaxUint256)
+      ).to.be.revertedWith("No liquidity");
+    });
+
+    it("Should hand surplus shares to later liquidity providers", async function () {
+      await bettingEngine.connect(user1).addLiquidity(marketId, ethers.parseEther("1000"));
+      await bettingEngine.connect(user2).swapWithAMM(marketId, 1, ethers.parseEther("100"), 0, ethers.MaxUint256);
+
+      const [reservesBefore] = await bettingEngine.getPoolInfo(marketId, user3.address);
+      await bettingEngine.connect(user3).addLiquidity(marketId, ethers.parseEther("200"));
+      const [reservesAfter] = await bettingEngine.getPoolInfo(marketId, user3.address);
+
+      // B is the heavier reserve and takes the full 200, the A shares that don't fit go to user3
+      const addedA = (ethers.parseEther("200") * reservesBefore[0]) / reservesBefore[1];
+      expect(reservesAfter[1]).to.equal(reservesBefore[1] + ethers.parseEther("200"));
+      expect(reservesAfter[0]).to.equal(reservesBefore[0] + addedA);
+      expect(await bettingEngine.positions(marketId, user3.address, 1)).to.equal(ethers.parseEther("200") - addedA);
+      expect(await bettingEngine.positions(marketId, user3.address, 2)).to.equal(0);
+    });
+
+    it("Should return pool reserves and shares through getPoolInfo", async function () {
+      await bettingEngine.connect(user1).addLiquidity(marketId, ethers.parseEther("1000"));
+
+      const [[reserveA, reserveB], totalShares, userShares] = await bettingEngine.getPoolInfo(marketId, user1.address);
+      expect(reserveA).to.equal(ethers.parseEther("1000"));
+      expect(reserveB).to.equal(ethers.parseEther("1000"));
+      expect(totalShares).to.equal(ethers.parseEther("1000"));
+      expect(userShares).to.equal(ethers.parseEther("1000"));
+      expect((await bettingEngine.getPoolInfo(marketId, user2.address)).userShares).to.equal(0);
+    });
+
+    it("Should give liquidity back in full when nothing has traded", async function () {
+      const balanceBefore = await bettingEngine.balances(user1.address);
+      await bettingEngine.connect(user1).addLiquidity(marketId, ethers.parseEther("1000"));
+
+      await expect(bettingEngine.connect(user1).removeLiquidity(marketId, ethers.parseEther("400")))
+        .to.emit(bettingEngine, "LiquidityRemoved")
+        .withArgs(marketId, user1.address, ethers.parseEther("400"), ethers.parseEther("400"));
+      await bettingEngine.connect(user1).removeLiquidity(marketId, ethers.parseEther("600"));
+
+      expect(await bettingEngine.balances(user1.address)).to.equal(balanceBefore);
+      const [[reserveA, reserveB], totalShares] = await bettingEngine.getPoolInfo(marketId, user1.address);
+      expect(reserveA + reserveB + totalShares).to.equal(0);
+    });
+
+    it("Should reject removing more shares than owned", async function () {
+      await bettingEngine.connect(user1).addLiquidity(marketId, ethers.parseEther("1000"));
+
+      await expect(
+        bettingEngine.connect(user2).removeLiquidity(marketId, 1)
+      ).to.be.revertedWith("Invalid shares");
+      await expect(
+        bettingEngine.connect(user1).removeLiquidity(marketId, ethers.parseEther("1000") + 1n)
+      ).to.be.revertedWith("Invalid shares");
+    });
+
+    it("Should merge complete sets and keep the imbalance as outcome shares before settlement", async function () {
+      await bettingEngine.connect(user1).addLiquidity(marketId, ethers.parseEther("1000"));
+      await bettingEngine.connect(user2).swapWithAMM(marketId, 1, ethers.parseEther("100"), 0, ethers.MaxUint256);
+      const [[reserveA, reserveB]] = await bettingEngine.getPoolInfo(marketId, user1.address);
+
+      const balanceBefore = await bettingEngine.balances(user1.address);
+      await bettingEngine.connect(user1).removeLiquidity(marketId, ethers.parseEther("1000"));
+
+      // A is the scarce reserve, so that many sets come back as tokens and the spare B stays a position
+      expect(await bettingEngine.balances(user1.address)).to.equal(balanceBefore + reserveA);
+      expect(await bettingEngine.positions(marketId, user1.address, 1)).to.equal(0);
+      expect(await bettingEngine.positions(marketId, user1.address, 2)).to.equal(reserveB - reserveA);
+    });
+
+    it("Should pay liquidity providers the winning reserve after settlement", async function () {
+      await bettingEngine.connect(user1).addLiquidity(marketId, ethers.parseEther("1000"));
+      await bettingEngine.connect(user2).swapWithAMM(marketId, 1, ethers.parseEther("100"), 0, ethers.MaxUint256);
+
+      const market = await bettingEngine.markets(marketId);
+      await time.increaseTo(market.settlementTime);
+      await mockOracle.setOutcome(marketId, true, 2);
+      await bettingEngine.settleMarket(marketId);
+
+      // B won, so the pool keeps the 100 the A buyer lost: 1100 B shares back for 1000 in
+      const balanceBefore = await bettingEngine.balances(user1.address);
+      await expect(bettingEngine.connect(user1).removeLiquidity(marketId, ethers.parseEther("1000")))
+        .to.emit(bettingEngine, "LiquidityRemoved")
+        .withArgs(marketId, user1.address, ethers.parseEther("1000"), ethers.parseEther("1100"));
+      expect(await bettingEngine.balances(user1.address)).to.equal(balanceBefore + ethers.parseEther("1100"));
+      await expectFullyReleased();
+    });
+
+    it("Should keep void refunds whole after a provider withdraws early", async function () {
+      const startBalance = await bettingEngine.balances(user1.address);
+      await bettingEngine.connect(user1).addLiquidity(marketId, ethers.parseEther("1000"));
+      await bettingEngine.connect(user2).swapWithAMM(marketId, 2, ethers.parseEther("300"), 0, ethers.MaxUint256);
+      await bettingEngine.connect(user1).removeLiquidity(marketId, ethers.parseEther("500"));
+
+      const market = await bettingEngine.markets(marketId);
+      await time.increaseTo(market.settlementTime);
+      await mockOracle.voidMarket(marketId);
+      await bettingEngine.settleMarket(marketId);
+
+      await expect(
+        bettingEngine.connect(user1).removeLiquidity(marketId, ethers.parseEther("500"))
+      ).to.be.revertedWith("Market void");
+
+      const before2 = await bettingEngine.balances(user2.address);
+      await bettingEngine.connect(user1).claimVoidRefund(marketId);
+      await bettingEngine.connect(user2).claimVoidRefund(marketId);
+
+      expect(await bettingEngine.balances(user2.address)).to.equal(before2 + ethers.parseEther("300"));
+      await expectFullyReleased();
+      // Across the early withdrawal and the refund, the provider gets exactly their 1000 back
+      expect(await bettingEngine.balances(user1.address)).to.equal(startBalance);
+    });
+
+    it("Should redeem winning shares after settlement", async function () {
+      await bettingEngine.connect(user1).addLiquidity(marketId, ethers.parseEther("1000"));
+      await bettingEngine.connect(user2).swapWithAMM(marketId, 1, ethers.parseEther("100"), 0, ethers.MaxUint256);
+      await bettingEngine.connect(user3).swapWithAMM(marketId, 2, ethers.parseEther("50"), 0, ethers.MaxUint256);
+      const sharesA = await bettingEngine.positions(marketId, user2.address, 1);
+
+      await expect(
+        bettingEngine.connect(user2).redeemPositions(marketId)
+      ).to.be.revertedWith("Market not settled");
+
+      const market = await bettingEngine.markets(marketId);
+      await time.increaseTo(market.settlementTime);
+      await mockOracle.setOutcome(marketId, true, 1);
+      await bettingEngine.settleMarket(marketId);
+
+      const balanceBefore = await bettingEngine.balances(user2.address);
+      await expect(bettingEngine.connect(user2).redeemPositions(marketId))
+        .to.emit(bettingEngine, "PositionsRedeemed")
+        .withArgs(marketId, user2.address, sharesA);
+      expect(await bettingEngine.balances(user2.address)).to.equal(balanceBefore + sharesA);
+
+      await expect(
+        bettingEngine.connect(user2).redeemPositions(marketId)
+      ).to.be.revertedWith("Nothing to redeem");
+      await expect(
+        bettingEngine.connect(user3).redeemPositions(marketId)
+      ).to.be.revertedWith("Nothing to redeem");
+    });
+  });
+
+  describe("Market Settlement", function () {
+    let marketId;
+
+    beforeEach(async function () {
+      const description = "Settlement Test Market";
+      const currentTime = await time.latest();
+      const endTime = currentTime + 500; // 500 seconds from current time
+      const settlementTime = endTime + 500; // Settlement 500 seconds after end
+
+      const tx = await bettingEngine.createMarket(description, OUTCOMES, endTime, settlementTime);
+      const receipt = await tx.wait();
+      
+      const event = receipt.logs.find(log => 
+        log.topics[0] === ethers.id("MarketCreated(bytes32,string,uint256)")
+      );
+      marketId = event.topics[1];
+    });
+
+    it("Should settle market when oracle provides outcome", async function () {
+      // Fast forward time past settlement time
+      await time.increase(1100); // Past both end time (500) and settlement time (1000)
+      
+      // Set oracle outcome
+      await mockOracle.setOutcome(marketId, true, 1);
+      
+      await expect(
+        bettingEngine.settleMarket(marketId)
+      ).to.emit(bettingEngine, "MarketSettled");
+    });
+
+    it("Should not settle before settlement time", async function () {
+      // Only advance past end time but not settlement time
+      // Market: endTime = now + 500, settlementTime = now + 1000
+      // Advance by 600 seconds: now + 600 < settlementTime (now + 1000)
+      await time.increase(600); // Past end time (500) but before settlement time (1000)
+      await mockOracle.setOutcome(marketId, true, 1);
+      
+      await expect(
+        bettingEngine.settleMarket(marketId)
+      ).to.be.revertedWith("Not ready for settlement");
+    });
+  });
+
+  describe("Optimistic Settlement", function () {
+    let marketId;
+    let settlementTime;
+    let matchId;
+
+    const DISPUTE_WINDOW = 2 * 3600;
+    const BOND = ethers.parseEther("100");
+
+    beforeEach(async function () {
+      const description = "Optimistic Settlement Market";
+      const endTime = (await time.latest()) + 1000;
+      settlementTime = endTime + 200;
+
+      const tx = await bettingEngine.createMarket(description, OUTCOMES, endTime, settlementTime);
+      const receipt = await tx.wait();
+      
+      const event = receipt.logs.find(log => 
+        log.topics[0] === ethers.id("MarketCreated(bytes32,string,uint256)")
+      );
+      marketId = event.topics[1];
+
+      await bettingEngine.setSettlementConfig(DISPUTE_WINDOW, BOND);
+
+      // user1 backs Yes against user2 at 2.0
+      await bettingEngine.connect(user1).placeOrder(marketId, 1, 1, ethers.parseEther("100"), ethers.parseEther("2.0"));
+      const matchTx = await bettingEngine.connect(user2).placeOrder(marketId, 1, 2, ethers.parseEther("100"), ethers.parseEther("2.0"));
+      const matchReceipt = await matchTx.wait();
+      matchId = matchReceipt.logs.find(log =>
+        log.topics[0] === ethers.id("OrderMatched(bytes32,bytes32,bytes32)")
+      ).topics[1];
+
+      await time.increaseTo(settlementTime);
+    });
+
+    it("Should only finalize the oracle's result after the dispute window", async function () {
+      await mockOracle.setOutcome(marketId, true, 1);
+      const tx = await bettingEngine.settleMarket(marketId);
+      const deadline = (await time.latest()) + DISPUTE_WINDOW;
+      await expect(tx).to.emit(bettingEngine, "SettlementProposed").withArgs(marketId, 1, deadline);
+      await expect(bettingEngine.settleMarket(marketId)).to.be.revertedWith("Settlement already proposed");
+
+      // Claims stay closed while the proposal can still be disputed
+      expect((await bettingEngine.markets(marketId)).isSettled).to.equal(false);
+      await expect(bettingEngine.connect(user1).claimWinnings(matchId)).to.be.revertedWith("Market not settled");
+      await expect(bettingEngine.finalizeSettlement(marketId)).to.be.revertedWith("Dispute window open");
+
+      await time.increaseTo(deadline);
+      await expect(bettingEngine.connect(user3).finalizeSettlement(marketId))
+        .to.emit(bettingEngine, "MarketSettled")
+        .withArgs(marketId, 1);
+      await expect(bettingEngine.finalizeSettlement(marketId)).to.be.revertedWith("Nothing to finalize");
+
+      await bettingEngine.connect(user1).claimWinnings(matchId);
+      expect(await bettingEngine.balances(user1.address)).to.equal(USER_BALANCE + ethers.parseEther("100"));
+    });
+
+    it("Should not reopen trading once a result has been proposed", async function () {
+      await mockOracle.setOutcome(marketId, true, 1);
+      await bettingEngine.settleMarket(marketId);
+
+      const now = await time.latest();
+      await expect(
+        bettingEngine.rescheduleMarket(marketId, now + 3600, now + 7200)
+      ).to.be.revertedWith("Settlement proposed");
+    });
+
+    it("Should not propose a result for a market that doesn't exist", async function () {
+      // An unknown market has no settlement time, so only the existence check stops a reported VOID
+      const unknownId = ethers.id("unknown market");
+      await mockOracle.voidMarket(unknownId);
+      await expect(bettingEngine.settleMarket(unknownId)).to.be.revertedWith("Market not found");
+    });
+
+    it("Should let the arbitrator overturn a disputed result and return the bond", async function () {
+      // The oracle gets it wrong, user2 disputes
+      await mockOracle.reportOutcome(await bettingEngine.getAddress(), marketId, 1);
+      await expect(bettingEngine.connect(user2).disputeSettlement(marketId))
+        .to.emit(bettingEngine, "SettlementDisputed")
+        .withArgs(marketId, user2.address, BOND);
+      expect(await bettingEngine.balances(user2.address)).to.equal(USER_BALANCE - ethers.parseEther("100") - BOND);
+
+      await expect(bettingEngine.connect(user3).disputeSettlement(marketId)).to.be.revertedWith("Already disputed");
+      await time.increase(DISPUTE_WINDOW);
+      await expect(bettingEngine.finalizeSettlement(marketId)).to.be.revertedWith("Settlement disputed");
+
+      await expect(bettingEngine.connect(user1).resolveDispute(marketId, 1))
+        .to.be.revertedWithCustomError(bettingEngine, "AccessControlUnauthorizedAccount");
+      await expect(bettingEngine.resolveDispute(marketId, 2))
+        .to.emit(bettingEngine, "DisputeResolved")
+        .withArgs(marketId, 2, true);
+
+      expect((await bettingEngine.markets(marketId)).outcome).to.equal(2);
+      await bettingEngine.connect(user2).claimAll(marketId);
+      expect(await bettingEngine.balances(user2.address)).to.equal(USER_BALANCE + ethers.parseEther("100"));
+      await expectFullyReleased();
+    });
+
+    it("Should forfeit the bond to the treasury when the result is upheld", async function () {
+      await mockOracle.setOutcome(marketId, true, 1);
+      await bettingEngine.settleMarket(marketId);
+      await bettingEngine.connect(user2).disputeSettlement(marketId);
+
+      await expect(bettingEngine.resolveDispute(marketId, 1))
+        .to.emit(bettingEngine, "DisputeResolved")
+        .withArgs(marketId, 1, false);
+      expect(await bettingEngine.accruedFees()).to.equal(BOND);
+      await expect(bettingEngine.resolveDispute(marketId, 2)).to.be.revertedWith("No open dispute");
+    });
+
+    it("Should reject disputes outside the window", async function () {
+      await expect(bettingEngine.connect(user2).disputeSettlement(marketId)).to.be.revertedWith("Nothing to dispute");
+
+      await mockOracle.setOutcome(marketId, true, 1);
+      await bettingEngine.settleMarket(marketId);
+      await time.increase(DISPUTE_WINDOW);
+      await expect(bettingEngine.connect(user2).disputeSettlement(marketId)).to.be.revertedWith("Dispute window closed");
+      await expect(bettingEngine.resolveDispute(marketId, 2)).to.be.revertedWith("No open dispute");
+    });
+
+    it("Should only void a proposed market if its dispute was never ruled on", async function () {
+      await mockOracle.setOutcome(marketId, true, 1);
+      await bettingEngine.settleMarket(marketId);
+      await time.increaseTo(settlementTime + 7 * 24 * 3600);
+      await expect(bettingEngine.voidMarket(marketId)).to.be.revertedWith("Settlement proposed");
+
+      // A second market whose dispute sits unresolved until the settlement deadline
+      const endTime = (await time.latest()) + 1000;
+      const tx = await bettingEngine.createMarket("Stuck Market", OUTCOMES, endTime, endTime + 200);
+      const receipt = await tx.wait();
+      const stuckId = receipt.logs.find(log =>
+        log.topics[0] === ethers.id("MarketCreated(bytes32,string,uint256)")
+      ).topics[1];
+      await time.increaseTo(endTime + 200);
+      await mockOracle.setOutcome(stuckId, true, 2);
+      await bettingEngine.settleMarket(stuckId);
+      await bettingEngine.connect(user3).disputeSettlement(stuckId);
+
+      await time.increaseTo(endTime + 200 + 7 * 24 * 3600);
+      await expect(bettingEngine.voidMarket(stuckId))
+        .to.emit(bettingEngine, "MarketSettled")
+        .withArgs(stuckId, 255);
+      expect(await bettingEngine.balances(user3.address)).to.equal(USER_BALANCE);
+    });
+
+    it("Should restrict the settlement config to the oracle admin", async function () {
+      await expect(bettingEngine.connect(user1).setSettlementConfig(0, 0))
+        .to.be.revertedWithCustomError(bettingEngine, "AccessControlUnauthorizedAccount");
+      await expect(bettingEngine.setSettlementConfig(7 * 24 * 3600 + 1, BOND))
+        .to.be.revertedWith("Invalid dispute window");
+      await expect(bettingEngine.setSettlementConfig(3600, BOND))
+        .to.emit(bettingEngine, "SettlementConfigUpdated")
+        .withArgs(3600, BOND);
+    });
+  });
+
+  describe("Price Markets", function () {
+    let marketId;
+    let settlementTime;
+
+    const ABOVE = 1;
+    const AT_OR_ABOVE = 2;
+    const BELOW = 3;
+    const AT_OR_BELOW = 4;
+    const STRIKE = ethers.parseEther("4000");
+
+    async function createPriceMarket(comparator) {
+      const endTime = (await time.latest()) + 1000;
+      settlementTime = endTime + 200;
+
+      const tx = await bettingEngine.createPriceMarket("ETH above $4000?", STRIKE, comparator, endTime, settlementTime);
+      const receipt = await tx.wait();
+      
+      const event = receipt.logs.find(log => 
+        log.topics[0] === ethers.id("MarketCreated(bytes32,string,uint256)")
+      );
+      return event.topics[1];
+    }
+
+    beforeEach(async function () {
+      marketId = await createPriceMarket(ABOVE);
+    });
+
+    it("Should create a Yes/No market on the price condition", async function () {
+      const [strike, comparator] = await bettingEngine.priceConditions(marketId);
+      expect(strike).to.equal(STRIKE);
+      expect(comparator).to.equal(ABOVE);
+      expect(await bettingEngine.getMarketOutcomes(marketId)).to.deep.equal(["Yes", "No"]);
+
+      const endTime = (await time.latest()) + 1000;
+      await expect(bettingEngine.createPriceMarket("No comparator", STRIKE, 0, endTime, endTime + 200))
+        .to.be.revertedWith("Invalid comparator");
+      await expect(bettingEngine.connect(user1).createPriceMarket("Not allowed", STRIKE, ABOVE, endTime, endTime + 200))
+        .to.be.revertedWithCustomError(bettingEngine, "AccessControlUnauthorizedAccount");
+      await expect(bettingEngine.createPriceMarket("Event", STRIKE, BELOW, endTime, endTime + 200))
+        .to.emit(bettingEngine, "PriceMarketCreated");
+    });
+
+    it("Should settle from the oracle price without a reported outcome", async function () {
+      await bettingEngine.connect(user1).placeOrder(marketId, 1, 1, ethers.parseEther("100"), ethers.parseEther("2.0"));
+      await bettingEngine.connect(user2).placeOrder(marketId, 1, 2, ethers.parseEther("100"), ethers.parseEther("2.0"));
+
+      await time.increaseTo(settlementTime);
+      await mockOracle.setPrice(marketId, ethers.parseEther("4012.5"));
+      const observedAt = await time.latest();
+
+      await expect(bettingEngine.settleMarket(marketId))
+        .to.emit(bettingEngine, "SettlementPriceObserved")
+        .withArgs(marketId, ethers.parseEther("4012.5"), observedAt)
+        .and.to.emit(bettingEngine, "MarketSettled")
+        .withArgs(marketId, 1);
+
+      await bettingEngine.connect(user1).claimAll(marketId);
+      expect(await bettingEngine.balances(user1.address)).to.equal(USER_BALANCE + ethers.parseEther("100"));
+    });
+
+    it("Should wait for a price timestamped at or after settlement time", async function () {
+      await mockOracle.setPrice(marketId, ethers.parseEther("5000"));
+      await time.increaseTo(settlementTime);
+
+      // The only price is from before settlement time
+      await expect(bettingEngine.settleMarket(marketId)).to.be.revertedWith("Price not observed yet");
+
+      await mockOracle.setPrice(marketId, ethers.parseEther("3999"));
+      await expect(bettingEngine.settleMarket(marketId))
+        .to.emit(bettingEngine, "MarketSettled")
+        .withArgs(marketId, 2);
+    });
+
+    it("Should settle on the first price at or after settlement time however late it is called", async function () {
+      await time.increaseTo(settlementTime);
+      await mockOracle.setPrice(marketId, ethers.parseEther("4012.5"));
+      const observedAt = await time.latest();
+
+      // The price drops below the strike before anyone settles, the result stays Yes
+      await time.increase(600);
+      await mockOracle.setPrice(marketId, ethers.parseEther("3900"));
+
+      await expect(bettingEngine.settleMarket(marketId))
+        .to.emit(bettingEngine, "SettlementPriceObserved")
+        .withArgs(marketId, ethers.parseEther("4012.5"), observedAt)
+        .and.to.emit(bettingEngine, "MarketSettled")
+        .withArgs(marketId, 1);
+    });
+
+    it("Should apply each comparator at the strike", async function () {
+      // Outcome 1 when the price at the strike satisfies the comparator, 2 when it doesn't
+      const cases = [[ABOVE, 2], [AT_OR_ABOVE, 1], [BELOW, 2], [AT_OR_BELOW, 1]];
+      const ids = [];
+      for (const [comparator] of cases) {
+        ids.push(await createPriceMarket(comparator));
+      }
+
+      await time.increaseTo(settlementTime);
+      for (let i = 0; i < cases.length; i++) {
+        await mockOracle.setPrice(ids[i], STRIKE);
+        await bettingEngine.settleMarket(ids[i]);
+        expect((await bettingEngine.markets(ids[i])).outcome).to.equal(cases[i][1]);
+      }
+    });
+
+    it("Should go through the dispute window like any other result", async function () {
+      await bettingEngine.setSettlementConfig(3600, ethers.parseEther("100"));
+      await time.increaseTo(settlementTime);
+      await mockOracle.setPrice(marketId, ethers.parseEther("4100"));
+
+      await expect(bettingEngine.settleMarket(marketId))
+        .to.emit(bettingEngine, "SettlementProposed");
+      expect((await bettingEngine.markets(marketId)).isSettled).to.equal(false);
+
+      await time.increase(3600);
+      await expect(bettingEngine.finalizeSettlement(marketId))
+        .to.emit(bettingEngine, "MarketSettled")
+        .withArgs(marketId, 1);
+    });
+  });
+
+  describe("Void Markets", function () {
+    let marketId, matchId;
+    const OUTCOME_VOID = 255;
+
+    beforeEach(async function () {
+      const description = "Void Test Market";
+      const currentTime = await time.latest();
+      const endTime = currentTime + 1000;
+      const settlementTime = endTime + 200;
+
+      const tx = await bettingEngine.createMarket(description, OUTCOMES, endTime, settlementTime);
+      const receipt = await tx.wait();
+      
+      const event = receipt.logs.find(log => 
+        log.topics[0] === ethers.id("MarketCreated(bytes32,string,uint256)")
+      );
+      marketId = event.topics[1];
+
+      // Back 150 on outcome 1 against a lay of 100 at 2.0, leaving 50 of user1's order resting
+      await bettingEngine.connect(user1).placeOrder(marketId, 1, 1, ethers.parseEther("150"), ethers.parseEther("2.0"));
+      const tx2 = await bettingEngine.connect(user2).placeOrder(marketId, 1, 2, ethers.parseEther("100"), ethers.parseEther("2.0"));
+      const receipt2 = await tx2.wait();
+      
+      const matchEvent = receipt2.logs.find(log => 
+        log.topics[0] === ethers.id("OrderMatched(bytes32,bytes32,bytes32)")
+      );
+      matchId = matchEvent.topics[1];
+
+      await bettingEngine.connect(user3).addLiquidity(marketId, ethers.parseEther("1000"));
+      await bettingEngine.connect(user2).swapWithAMM(marketId, 1, ethers.parseEther("40"), 0, ethers.MaxUint256);
+    });
+
+    it("Should refund every participant exactly when the oracle reports VOID", async function () {
+      const before = await Promise.all([user1, user2, user3].map(u => bettingEngine.balances(u.address)));
+
+      await time.increase(1300);
+      await mockOracle.voidMarket(marketId);
+      await expect(bettingEngine.settleMarket(marketId))
+        .to.emit(bettingEngine, "MarketSettled")
+        .withArgs(marketId, OUTCOME_VOID);
+
+      await bettingEngine.refundRestingOrders(marketId, 10);
+      await bettingEngine.connect(user1).claimWinnings(matchId);
+      await bettingEngine.connect(user2).claimVoidRefund(marketId);
+      await expect(bettingEngine.connect(user3).claimVoidRefund(marketId))
+        .to.emit(bettingEngine, "VoidRefundClaimed")
+        .withArgs(marketId, user3.address, ethers.parseEther("1000"));
+
+      // user1: 100 matched + 50 resting, user2: 100 matched liability + 40 swapped, user3: 1000 liquidity
+      expect(await bettingEngine.balances(user1.address)).to.equal(before[0] + ethers.parseEther("150"));
+      expect(await bettingEngine.balances(user2.address)).to.equal(before[1] + ethers.parseEther("140"));
+      expect(await bettingEngine.balances(user3.address)).to.equal(before[2] + ethers.parseEther("1000"));
+      await expectFullyReleased();
+
+      await expect(
+        bettingEngine.connect(user1).claimWinnings(matchId)
+      ).to.be.revertedWith("Already claimed");
+      await expect(
+        bettingEngine.connect(user3).claimVoidRefund(marketId)
+      ).to.be.revertedWith("Nothing to refund");
+    });
+
+    it("Should reject oracle outcomes that are neither a market outcome nor VOID", async function () {
+      await time.increase(1300);
+      await mockOracle.setOutcome(marketId, true, 0);
+
+      await expect(
+        bettingEngine.settleMarket(marketId)
+      ).to.be.revertedWith("Invalid outcome");
+    });
+
+    it("Should let the owner void a market the oracle never settles", async function () {
+      await time.increase(1300);
+
+      await expect(
+        bettingEngine.voidMarket(marketId)
+      ).to.be.revertedWith("Settlement deadline not reached");
+
+      await time.increase(7 * 24 * 3600);
+
+      await expect(
+        bettingEngine.connect(user1).voidMarket(marketId)
+      ).to.be.revertedWith("Not authorized");
+
+      await expect(bettingEngine.voidMarket(marketId))
+        .to.emit(bettingEngine, "MarketSettled")
+        .withArgs(marketId, OUTCOME_VOID);
+
+      const balanceBefore = await bettingEngine.balances(user2.address);
+      await bettingEngine.connect(user1).claimWinnings(matchId);
+      expect(await bettingEngine.balances(user2.address)).to.equal(balanceBefore + ethers.parseEther("100"));
+    });
+
+    it("Should only pay pool refunds on void markets", async function () {
+      await time.increase(1300);
+      await mockOracle.setOutcome(marketId, true, 1);
+      await bettingEngine.settleMarket(marketId);
+
+      await expect(
+        bettingEngine.connect(user3).claimVoidRefund(marketId)
+      ).to.be.revertedWith("Market not void");
+    });
+  });
+
+  describe("Winnings Claims", function () {
+    let marketId, matchId;
+
+    beforeEach(async function () {
+      const description = "Claims Test Market";
+      const currentTime = await time.latest();
+      const endTime = currentTime + 1000; // 1000 seconds from current time
+      const settlementTime = endTime + 200;
+
+      const tx = await bettingEngine.createMarket(description, OUTCOMES, endTime, settlementTime);
+      const receipt = await tx.wait();
+      
+      const event = receipt.logs.find(log => 
+        log.topics[0] === ethers.id("MarketCreated(bytes32,string,uint256)")
+      );
+      marketId = event.topics[1];
+
+      // Create and match orders with compatible odds
+      const amount = ethers.parseEther("100");
+      const oddsA = ethers.parseEther("2.0");
+      const oddsB = ethers.parseEther("2.0"); // Compatible with 2.0 odds
+
+      await bettingEngine.connect(user1).placeOrder(marketId, 1, 1, amount, oddsA);
+      const tx2 = await bettingEngine.connect(user2).placeOrder(marketId, 1, 2, amount, oddsB);
+      const receipt2 = await tx2.wait();
+      
+      const matchEvent = receipt2.logs.find(log => 
+        log.topics[0] === ethers.id("OrderMatched(bytes32,bytes32,bytes32)")
+      );
+      matchId = matchEvent ? matchEvent.topics[1] : null;
+    });
+
+    it("Should allow winners to claim after settlement", async function () {
+      // Skip if no match occurred
+      if (!matchId) {
+        console.log("No match occurred, skipping test");
+        return;
+      }
+
+      // Fast forward time past settlement time
+      await time.increase(1300); // Past endTime (1000) + settlementTime (200)
+      await mockOracle.setOutcome(marketId, true, 1); // Outcome 1 wins
+      await bettingEngine.settleMarket(marketId);
+      
+      const balanceBefore = await bettingEngine.balances(user1.address);
+      
+      await bettingEngine.connect(user1).claimWinnings(matchId);
+      
+      const balanceAfter = await bettingEngine.balances(user1.address);
+      expect(balanceAfter).to.be.gt(balanceBefore);
+    });
+
+    it("Should only let match participants claim", async function () {
+      await time.increase(1300);
+      await mockOracle.setOutcome(marketId, true, 1);
+      await bettingEngine.settleMarket(marketId);
+
+      await expect(
+        bettingEngine.connect(user3).claimWinnings(matchId)
+      ).to.be.revertedWith("Not a participant");
+    });
+
+    it("Should pay the winner when the losing side closes the match", async function () {
+      await time.increase(1300);
+      await mockOracle.setOutcome(marketId, true, 1);
+      await bettingEngine.settleMarket(marketId);
+
+      const balanceBefore = await bettingEngine.balances(user1.address);
+
+      // The backer's 100 stake plus the layer's 100 * (2.0 - 1) liability
+      await expect(bettingEngine.connect(user2).claimWinnings(matchId))
+        .to.emit(bettingEngine, "WinningsClaimed")
+        .withArgs(matchId, user1.address, ethers.parseEther("200"));
+
+      expect(await bettingEngine.balances(user1.address)).to.equal(balanceBefore + ethers.parseEther("200"));
+      expect((await bettingEngine.matches(matchId)).isSettled).to.equal(true);
+    });
+
+    it("Should claim every winning match in a market at once", async function () {
+      // A second match for user1, this time against user3
+      await bettingEngine.connect(user1).placeOrder(marketId, 1, 1, ethers.parseEther("40"), ethers.parseEther("2.0"));
+      await bettingEngine.connect(user3).placeOrder(marketId, 1, 2, ethers.parseEther("40"), ethers.parseEther("2.0"));
+
+      const userMatches = await bettingEngine.getUserMatches(user1.address, marketId);
+      expect(userMatches.length).to.equal(2);
+      expect(userMatches[0]).to.equal(matchId);
+      expect(await bettingEngine.getUserMatches(user2.address, marketId)).to.deep.equal([matchId]);
+
+      await time.increase(1300);
+      await mockOracle.setOutcome(marketId, true, 1);
+      await bettingEngine.settleMarket(marketId);
+
+      expect(await bettingEngine.getClaimableAmount(user1.address, marketId)).to.equal(ethers.parseEther("280"));
+      expect(await bettingEngine.getClaimableAmount(user2.address, marketId)).to.equal(0);
+
+      const balanceBefore = await bettingEngine.balances(user1.address);
+      await expect(bettingEngine.connect(user1).claimAll(marketId))
+        .to.emit(bettingEngine, "WinningsClaimed")
+        .withArgs(userMatches[1], user1.address, ethers.parseEther("80"));
+
+      expect(await bettingEngine.balances(user1.address)).to.equal(balanceBefore + ethers.parseEther("280"));
+      expect(await bettingEngine.getClaimableAmount(user1.address, marketId)).to.equal(0);
+
+      await expect(
+        bettingEngine.connect(user1).claimAll(marketId)
+      ).to.be.revertedWith("Nothing to claim");
+      await expect(
+        bettingEngine.connect(user2).claimAll(marketId)
+      ).to.be.revertedWith("Nothing to claim");
+    });
+  });
+
+  describe("Multi-Outcome Markets", function () {
+    let marketId;
+    const RACE = ["Red", "Blue", "Green"];
+
+    beforeEach(async function () {
+      const description = "Three Horse Race";
+      const currentTime = await time.latest();
+      const endTime = currentTime + 1000;
+      const settlementTime = endTime + 200;
+
+      const tx = await bettingEngine.createMarket(description, RACE, endTime, settlementTime);
+      const receipt = await tx.wait();
+      
+      const event = receipt.logs.find(log => 
+        log.topics[0] === ethers.id("MarketCreated(bytes32,string,uint256)")
+      );
+      marketId = event.topics[1];
+    });
+
+    async function settle(outcome) {
+      await time.increase(1300);
+      await mockOracle.settleMarket(marketId, outcome);
+      await bettingEngine.settleMarket(marketId);
+    }
+
+    async function matchOrders(outcome, backer, layer) {
+      await bettingEngine.connect(backer).placeOrder(marketId, outcome, 1, ethers.parseEther("100"), ethers.parseEther("2.0"));
+      const tx = await bettingEngine.connect(layer).placeOrder(marketId, outcome, 2, ethers.parseEther("100"), ethers.parseEther("2.0"));
+      const receipt = await tx.wait();
+      return receipt.logs.find(log =>
+        log.topics[0] === ethers.id("OrderMatched(bytes32,bytes32,bytes32)")
+      ).topics[1];
+    }
+
+    it("Should store named outcomes and reject invalid outcome counts", async function () {
+      expect(await bettingEngine.getMarketOutcomes(marketId)).to.deep.equal(RACE);
+      expect((await bettingEngine.markets(marketId)).outcomeCount).to.equal(3);
+
+      const endTime = (await time.latest()) + 3600;
+      await expect(
+        bettingEngine.createMarket("One horse", ["Red"], endTime, endTime + 3600)
+      ).to.be.revertedWith("Invalid outcome count");
+    });
+
+    it("Should reject markets that end in the past or settle before they end", async function () {
+      const now = await time.latest();
+      await expect(
+        bettingEngine.createMarket("Already over", RACE, now, now + 3600)
+      ).to.be.revertedWith("Invalid schedule");
+      await expect(
+        bettingEngine.createMarket("Settles early", RACE, now + 3600, now + 3599)
+      ).to.be.revertedWith("Invalid schedule");
+    });
+
+    it("Should reject orders on outcomes the market doesn't have", async function () {
+      for (const outcome of [0, 4]) {
+        await expect(
+          bettingEngine.connect(user1).placeOrder(marketId, outcome, 1, ethers.parseEther("10"), ethers.parseEther("2.0"))
+        ).to.be.revertedWith("Invalid outcome");
+      }
+    });
+
+    it("Should only match orders on the same outcome and track volume per outcome", async function () {
+      await bettingEngine.connect(user1).placeOrder(marketId, 1, 1, ethers.parseEther("100"), ethers.parseEther("2.0"));
+      await bettingEngine.connect(user2).placeOrder(marketId, 2, 2, ethers.parseEther("100"), ethers.parseEther("2.0"));
+      expect(await bettingEngine.getUserMatches(user1.address, marketId)).to.have.length(0);
+
+      await matchOrders(3, user1, user2);
+
+      expect(await bettingEngine.outcomeVolume(marketId, 1)).to.equal(0);
+      expect(await bettingEngine.outcomeVolume(marketId, 2)).to.equal(0);
+      expect(await bettingEngine.outcomeVolume(marketId, 3)).to.equal(ethers.parseEther("100"));
+
+      const [, , , sides, outcomes] = await bettingEngine.getOrderBook(marketId);
+      expect(outcomes).to.deep.equal([1n, 2n]);
+      expect(sides).to.deep.equal([1n, 2n]);
+    });
+
+    it("Should pay backers of the winning outcome and layers of the losing ones", async function () {
+      const backWinner = await matchOrders(3, user1, user2);
+      const layWinner = await matchOrders(1, user2, user3);
+      await settle(3);
+
+      expect((await bettingEngine.markets(marketId)).outcome).to.equal(3);
+
+      // Each match holds 100 from the backer and 100 liability from the layer
+      await expect(bettingEngine.connect(user1).claimWinnings(backWinner))
+        .to.emit(bettingEngine, "WinningsClaimed")
+        .withArgs(backWinner, user1.address, ethers.parseEther("200"));
+      await expect(bettingEngine.connect(user3).claimWinnings(layWinner))
+        .to.emit(bettingEngine, "WinningsClaimed")
+        .withArgs(layWinner, user3.address, ethers.parseEther("200"));
+    });
+
+    it("Should price and redeem AMM positions on any outcome", async function () {
+      await bettingEngine.connect(user1).addLiquidity(marketId, ethers.parseEther("900"));
+
+      const amountIn = ethers.parseEther("90");
+      const quote = await bettingEngine.quoteSwap(marketId, 3, amountIn);
+      await expect(bettingEngine.connect(user2).swapWithAMM(marketId, 3, amountIn, quote, ethers.MaxUint256))
+        .to.emit(bettingEngine, "PositionBought")
+        .withArgs(marketId, user2.address, 3, amountIn, quote);
+
+      // The other reserves take the new sets, the product of all three never shrinks
+      const [reserves] = await bettingEngine.getPoolInfo(marketId, user1.address);
+      expect(reserves[0]).to.equal(ethers.parseEther("990"));
+      expect(reserves[1]).to.equal(ethers.parseEther("990"));
+      expect(reserves[2]).to.equal(ethers.parseEther("990") - quote);
+      expect(reserves[0] * reserves[1] * reserves[2]).to.be.gte(ethers.parseEther("900") ** 3n);
+
+      await settle(3);
+      await bettingEngine.connect(user2).redeemPositions(marketId);
+      await bettingEngine.connect(user1).removeLiquidity(marketId, ethers.parseEther("900"));
+
+      expect(await bettingEngine.balances(user2.address)).to.equal(USER_BALANCE - amountIn + quote);
+      await expectFullyReleased();
+    });
+  });
+
+  describe("Internal Ledger", function () {
+    let marketId;
+
+    beforeEach(async function () {
+      const description = "Ledger Test Market";
+      const currentTime = await time.latest();
+      const endTime = currentTime + 1000;
+      const settlementTime = endTime + 200;
+
+      const tx = await bettingEngine.createMarket(description, OUTCOMES, endTime, settlementTime);
+      const receipt = await tx.wait();
+      
+      const event = receipt.logs.find(log => 
+        log.topics[0] === ethers.id("MarketCreated(bytes32,string,uint256)")
+      );
+      marketId = event.topics[1];
+    });
+
+    it("Should track deposits and withdrawals", async function () {
+      expect(await bettingEngine.getAccount(user1.address)).to.deep.equal([USER_BALANCE, 0n]);
+
+      await expect(bettingEngine.connect(user1).withdraw(ethers.parseEther("400")))
+        .to.emit(bettingEngine, "Withdrawn")
+        .withArgs(user1.address, ethers.parseEther("400"));
+
+      expect(await bettingEngine.balances(user1.address)).to.equal(USER_BALANCE - ethers.parseEther("400"));
+      expect(await mockToken.balanceOf(user1.address)).to.equal(ethers.parseEther("400"));
+
+      await mockToken.connect(user1).approve(await bettingEngine.getAddress(), ethers.parseEther("100"));
+      await expect(bettingEngine.connect(user1).deposit(ethers.parseEther("100")))
+        .to.emit(bettingEngine, "Deposited")
+        .withArgs(user1.address, ethers.parseEther("100"));
+
+      await expect(
+        bettingEngine.connect(user1).withdraw(USER_BALANCE)
+      ).to.be.revertedWith("Insufficient balance");
+      await expect(
+        bettingEngine.connect(user1).deposit(0)
+      ).to.be.revertedWith("Invalid amount");
+    });
+
+    it("Should lock collateral for orders and release it on cancel", async function () {
+      const tx = await bettingEngine.connect(user2).placeOrder(marketId, 1, 2, ethers.parseEther("100"), ethers.parseEther("2.5"));
+      const receipt = await tx.wait();
+      const orderId = receipt.logs.find(log =>
+        log.topics[0] === ethers.id("OrderPlaced(bytes32,address,bytes32)")
+      ).topics[1];
+
+      // No tokens move, the liability just stops being free
+      expect(await mockToken.balanceOf(user2.address)).to.equal(0);
+      expect(await bettingEngine.getAccount(user2.address)).to.deep.equal([
+        USER_BALANCE - ethers.parseEther("150"),
+        ethers.parseEther("150")
+      ]);
+
+      // Locked collateral can't be withdrawn
+      await expect(
+        bettingEngine.connect(user2).withdraw(USER_BALANCE)
+      ).to.be.revertedWith("Insufficient balance");
+
+      await bettingEngine.connect(user2).cancelOrder(orderId);
+      expect(await bettingEngine.getAccount(user2.address)).to.deep.equal([USER_BALANCE, 0n]);
+    });
+
+    it("Should reject orders and swaps beyond the free balance", async function () {
+      await bettingEngine.connect(user1).withdraw(USER_BALANCE - ethers.parseEther("50"));
+
+      await expect(
+        bettingEngine.connect(user1).placeOrder(marketId, 1, 1, ethers.parseEther("51"), ethers.parseEther("2.0"))
+      ).to.be.revertedWith("Insufficient balance");
+      await expect(
+        bettingEngine.connect(user1).addLiquidity(marketId, ethers.parseEther("51"))
+      ).to.be.revertedWith("Insufficient balance");
+
+      await bettingEngine.connect(user2).addLiquidity(marketId, ethers.parseEther("1000"));
+      await expect(
+        bettingEngine.connect(user1).swapWithAMM(marketId, 1, ethers.parseEther("51"), 0, ethers.MaxUint256)
+      ).to.be.revertedWith("Insufficient balance");
+    });
+
+    it("Should credit winnings to the winner's free balance", async function () {
+      await bettingEngine.connect(user1).placeOrder(marketId, 1, 1, ethers.parseEther("100"), ethers.parseEther("2.0"));
+      await bettingEngine.connect(user2).placeOrder(marketId, 1, 2, ethers.parseEther("100"), ethers.parseEther("2.0"));
+
+      // Matched collateral stays locked until the match is settled
+      expect(await bettingEngine.getAccount(user1.address)).to.deep.equal([
+        USER_BALANCE - ethers.parseEther("100"),
+        ethers.parseEther("100")
+      ]);
+
+      await time.increase(1300);
+      await mockOracle.setOutcome(marketId, true, 1);
+      await bettingEngine.settleMarket(marketId);
+      await bettingEngine.connect(user1).claimAll(marketId);
+
+      expect(await bettingEngine.getAccount(user1.address)).to.deep.equal([USER_BALANCE + ethers.parseEther("100"), 0n]);
+      expect(await bettingEngine.getAccount(user2.address)).to.deep.equal([USER_BALANCE - ethers.parseEther("100"), 0n]);
+      await expectFullyReleased();
+
+      await bettingEngine.connect(user1).withdraw(USER_BALANCE + ethers.parseEther("100"));
+      expect(await mockToken.balanceOf(user1.address)).to.equal(USER_BALANCE + ethers.parseEther("100"));
+    });
+  });
+
+  describe("Signed Orders", function () {
+    let marketId;
+    let expiry;
+
+    const TYPES = {
+      SignedOrder: [
+        { name: "maker", type: "address" },
+        { name: "marketId", type: "bytes32" },
+        { name: "outcome", type: "uint8" },
+        { name: "side", type: "uint8" },
+        { name: "amount", type: "uint256" },
+        { name: "odds", type: "uint256" },
+        { name: "expiry", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "salt", type: "uint256" }
+      ]
+    };
+
+    beforeEach(async function () {
+      const description = "Signed Order Test Market";
+      const currentTime = await time.latest();
+      const endTime = currentTime + 1000;
+      const settlementTime = endTime + 200;
+
+      const tx = await bettingEngine.createMarket(description, OUTCOMES, endTime, settlementTime);
+      const receipt = await tx.wait();
+      
+      const event = receipt.logs.find(log => 
+        log.topics[0] === ethers.id("MarketCreated(bytes32,string,uint256)")
+      );
+      marketId = event.topics[1];
+      expiry = endTime;
+
+      // Makers start with 1000 of free collateral each, user3 with none
+      await bettingEngine.connect(user1).withdraw(USER_BALANCE - ethers.parseEther("1000"));
+      await bettingEngine.connect(user2).withdraw(USER_BALANCE - ethers.parseEther("1000"));
+      await bettingEngine.connect(user3).withdraw(USER_BALANCE);
+    });
+
+    async function signOrder(signer, fields) {
+      const order = {
+        maker: signer.address,
+        marketId,
+        outcome: 1,
+        side: 1,
+        amount: ethers.parseEther("100"),
+        odds: ethers.parseEther("2.5"),
+        expiry,
+        nonce: 0,
+        salt: 1,
+        ...fields
+      };
+      const domain = {
+        name: "BettingMatchingEngine",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await bettingEngine.getAddress()
+      };
+      const signature = await signer.signTypedData(domain, TYPES, order);
+      return { ...order, signature };
+    }
+
+    it("Should hash orders the same way as eth_signTypedData", async function () {
+      const order = await signOrder(user1, {});
+      const domain = {
+        name: "BettingMatchingEngine",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await bettingEngine.getAddress()
+      };
+      const { signature, ...fields } = order;
+
+      expect(await bettingEngine.hashSignedOrder(order)).to.equal(ethers.TypedDataEncoder.hash(domain, TYPES, fields));
+    });
+
+    it("Should fill a signed order in parts against deposited collateral", async function () {
+      // user1 signs a back of 100 at 2.5, user2 lays against it without the order ever going on-chain first
+      const order = await signOrder(user1, {});
+      const orderId = await bettingEngine.hashSignedOrder(order);
+
+      await expect(bettingEngine.connect(user2).fillOrder(order, ethers.parseEther("60")))
+        .to.emit(bettingEngine, "OrderMatched");
+
+      // The backer puts up the stake, the layer 60 * 1.5 of liability
+      expect(await bettingEngine.balances(user1.address)).to.equal(ethers.parseEther("940"));
+      expect(await bettingEngine.balances(user2.address)).to.equal(ethers.parseEther("910"));
+      expect(await bettingEngine.getRemainingAmount(orderId)).to.equal(ethers.parseEther("40"));
+
+      await expect(
+        bettingEngine.connect(user3).fillOrder(order, ethers.parseEther("41"))
+      ).to.be.revertedWith("Invalid fill amount");
+
+      await bettingEngine.connect(user2).fillOrder(order, ethers.parseEther("40"));
+      expect(await bettingEngine.getRemainingAmount(orderId)).to.equal(0);
+
+      await expect(
+        bettingEngine.connect(user2).fillOrder(order, ethers.parseEther("1"))
+      ).to.be.revertedWith("Order filled");
+
+      // Settles and claims like any other match
+      await time.increase(1300);
+      await mockOracle.setOutcome(marketId, true, 1);
+      await bettingEngine.settleMarket(marketId);
+
+      expect(await bettingEngine.getClaimableAmount(user1.address, marketId)).to.equal(ethers.parseEther("250"));
+      const balanceBefore = await bettingEngine.balances(user1.address);
+      await bettingEngine.connect(user1).claimAll(marketId);
+      expect(await bettingEngine.balances(user1.address)).to.equal(balanceBefore + ethers.parseEther("250"));
+    });
+
+    it("Should reject forged, expired and underfunded orders", async function () {
+      // Signed by user3 but claiming to be from user1
+      const forged = { ...(await signOrder(user3, {})), maker: user1.address };
+      await expect(
+        bettingEngine.connect(user2).fillOrder(forged, ethers.parseEther("10"))
+      ).to.be.revertedWith("Invalid signature");
+
+      const shortLived = await signOrder(user1, { expiry: (await time.latest()) + 10 });
+      await time.increase(20);
+      await expect(
+        bettingEngine.connect(user2).fillOrder(shortLived, ethers.parseEther("10"))
+      ).to.be.revertedWith("Order expired");
+
+      const order = await signOrder(user1, {});
+      await expect(
+        bettingEngine.connect(user3).fillOrder(order, ethers.parseEther("10"))
+      ).to.be.revertedWith("Insufficient balance");
+    });
+
+    it("Should reject fills of a signed lay too small to lock any liability", async function () {
+      const lay = await signOrder(user2, { side: 2, odds: ethers.parseEther("1.01") });
+      await expect(
+        bettingEngine.connect(user1).fillOrder(lay, 99)
+      ).to.be.revertedWith("Stake too small");
+
+      await bettingEngine.connect(user1).fillOrder(lay, 100);
+      expect(await bettingEngine.balances(user2.address)).to.equal(ethers.parseEther("1000") - 1n);
+    });
+
+    it("Should match two crossing signed orders at the first order's price", async function () {
+      const back = await signOrder(user1, { odds: ethers.parseEther("2.0") });
+      const lay = await signOrder(user2, { side: 2, amount: ethers.parseEther("50"), odds: ethers.parseEther("2.4") });
+
+      // Anyone can submit the pair
+      await expect(bettingEngine.connect(user3).matchOrders(back, lay))
+        .to.emit(bettingEngine, "OrderMatched");
+
+      const [matchId] = await bettingEngine.getUserMatches(user1.address, marketId);
+      const matchData = await bettingEngine.matches(matchId);
+      expect(matchData.amount).to.equal(ethers.parseEther("50"));
+      expect(matchData.odds).to.equal(ethers.parseEther("2.0"));
+      expect(await bettingEngine.balances(user2.address)).to.equal(ethers.parseEther("950"));
+
+      await expect(
+        bettingEngine.connect(user3).matchOrders(back, await signOrder(user2, { side: 2, odds: ethers.parseEther("1.5") }))
+      ).to.be.revertedWith("Orders don't cross");
+    });
+
+    it("Should stop orders cancelled by nonce from filling", async function () {
+      const first = await signOrder(user1, { nonce: 1 });
+      const second = await signOrder(user1, { nonce: 2 });
+      const third = await signOrder(user1, { nonce: 5 });
+
+      await bettingEngine.connect(user2).fillOrder(first, ethers.parseEther("10"));
+
+      await expect(bettingEngine.connect(user1).cancelOrderNonce(1))
+        .to.emit(bettingEngine, "OrderNonceCancelled")
+        .withArgs(user1.address, 1);
+      await expect(
+        bettingEngine.connect(user2).fillOrder(first, ethers.parseEther("10"))
+      ).to.be.revertedWith("Order cancelled");
+
+      // A partly filled signed order never rests on the book
+      await expect(
+        bettingEngine.connect(user1).cancelOrder(await bettingEngine.hashSignedOrder(first))
+      ).to.be.revertedWith("Signed order, cancel by nonce");
+
+      await bettingEngine.connect(user1).cancelOrdersBeforeNonce(5);
+      await expect(
+        bettingEngine.connect(user2).fillOrder(second, ethers.parseEther("10"))
+      ).to.be.revertedWith("Order cancelled");
+      await bettingEngine.connect(user2).fillOrder(third, ethers.parseEther("10"));
+
+      await expect(
+        bettingEngine.connect(user1).cancelOrdersBeforeNonce(5)
+      ).to.be.revertedWith("Nonce too low");
+    });
+  });
+
+  describe("Protocol Fees", function () {
+    let marketId;
+
+    beforeEach(async function () {
+      const description = "Fee Test Market";
+      const currentTime = await time.latest();
+      const endTime = currentTime + 1000;
+      const settlementTime = endTime + 200;
+
+      const tx = await bettingEngine.createMarket(description, OUTCOMES, endTime, settlementTime);
+      const receipt = await tx.wait();
+      
+      const event = receipt.logs.find(log => 
+        log.topics[0] === ethers.id("MarketCreated(bytes32,string,uint256)")
+      );
+      marketId = event.topics[1];
+    });
+
+    async function settle(outcome) {
+      await time.increase(1300);
+      await mockOracle.setOutcome(marketId, true, outcome);
+      await bettingEngine.settleMarket(marketId);
+    }
+
+    it("Should only let the owner set fees up to the cap", async function () {
+      await expect(
+        bettingEngine.connect(user1).setFees(100, 0)
+      ).to.be.revertedWithCustomError(bettingEngine, "AccessControlUnauthorizedAccount");
+
+      await expect(
+        bettingEngine.setFees(1001, 0)
+      ).to.be.revertedWith("Fee too high");
+
+      await expect(
+        bettingEngine.setFees(100, 10001)
+      ).to.be.revertedWith("Invalid LP share");
+
+      await expect(bettingEngine.setFees(250, 3000))
+        .to.emit(bettingEngine, "FeeUpdated")
+        .withArgs(250, 3000);
+      expect(await bettingEngine.commissionBps()).to.equal(250);
+      expect(await bettingEngine.lpFeeShareBps()).to.equal(3000);
+    });
+
+    it("Should charge commission on net winnings only", async function () {
+      await bettingEngine.setFees(500, 0); // 5%
+
+      await bettingEngine.connect(user1).placeOrder(marketId, 1, 1, ethers.parseEther("100"), ethers.parseEther("2.0"));
+      await bettingEngine.connect(user2).placeOrder(marketId, 1, 2, ethers.parseEther("100"), ethers.parseEther("2.0"));
+      await settle(1);
+
+      // user1 wins user2's 100 liability, 5% of which is commission
+      expect(await bettingEngine.getClaimableAmount(user1.address, marketId)).to.equal(ethers.parseEther("195"));
+
+      const balanceBefore = await bettingEngine.balances(user1.address);
+      await bettingEngine.connect(user1).claimAll(marketId);
+      expect(await bettingEngine.balances(user1.address)).to.equal(balanceBefore + ethers.parseEther("195"));
+      expect(await bettingEngine.accruedFees()).to.equal(ethers.parseEther("5"));
+    });
+
+    it("Should charge the commission rate in force when the match was made", async function () {
+      await bettingEngine.setFees(500, 0);
+      await bettingEngine.connect(user1).placeOrder(marketId, 1, 1, ethers.parseEther("100"), ethers.parseEther("2.0"));
+      await bettingEngine.connect(user2).placeOrder(marketId, 1, 2, ethers.parseEther("100"), ethers.parseEther("2.0"));
+
+      // Raising the fee after the match doesn't reach winnings already matched
+      await bettingEngine.setFees(1000, 0);
+      await settle(1);
+
+      expect(await bettingEngine.getClaimableAmount(user1.address, marketId)).to.equal(ethers.parseEther("195"));
+      await bettingEngine.connect(user1).claimAll(marketId);
+      expect(await bettingEngine.accruedFees()).to.equal(ethers.parseEther("5"));
+    });
+
+    it("Should split swap commission between the pool and the treasury", async function () {
+      await bettingEngine.setFees(100, 5000); // 1%, half to LPs
+      await bettingEngine.connect(user1).addLiquidity(marketId, ethers.parseEther("1000"));
+
+      const amountIn = ethers.parseEther("100");
+      const reserve = ethers.parseEther("1000");
+      const otherReserve = reserve + ethers.parseEther("99");
+      const expectedOut = reserve + ethers.parseEther("99") - (reserve * reserve + otherReserve - 1n) / otherReserve;
+
+      await bettingEngine.connect(user2).swapWithAMM(marketId, 1, amountIn, 0, ethers.MaxUint256);
+
+      // 99 is invested after the 1% fee, the 0.5 LP share is minted into both reserves
+      const [[reserveA, reserveB]] = await bettingEngine.getPoolInfo(marketId, user1.address);
+      expect(reserveA).to.equal(reserve + ethers.parseEther("99.5") - expectedOut);
+      expect(reserveB).to.equal(reserve + ethers.parseEther("99.5"));
+      expect(await bettingEngine.pendingSwapFees(marketId)).to.equal(ethers.parseEther("0.5"));
+      expect(await bettingEngine.accruedFees()).to.equal(0);
+
+      await settle(1);
+      expect(await bettingEngine.pendingSwapFees(marketId)).to.equal(0);
+      expect(await bettingEngine.accruedFees()).to.equal(ethers.parseEther("0.5"));
+    });
+
+    it("Should not keep swap commission on void markets", async function () {
+      await bettingEngine.setFees(100, 5000);
+      await bettingEngine.connect(user1).addLiquidity(marketId, ethers.parseEther("1000"));
+      await bettingEngine.connect(user2).swapWithAMM(marketId, 1, ethers.parseEther("100"), 0, ethers.MaxUint256);
+
+      await time.increase(1300);
+      await mockOracle.voidMarket(marketId);
+      await bettingEngine.settleMarket(marketId);
+
+      await bettingEngine.connect(user1).claimVoidRefund(marketId);
+      await bettingEngine.connect(user2).claimVoidRefund(marketId);
+      expect(await bettingEngine.accruedFees()).to.equal(0);
+      await expectFullyReleased();
+    });
+
+    it("Should let the owner withdraw accrued fees", async function () {
+      await bettingEngine.setFees(1000, 0);
+      await bettingEngine.connect(user1).placeOrder(marketId, 1, 1, ethers.parseEther("100"), ethers.parseEther("2.0"));
+      await bettingEngine.connect(user2).placeOrder(marketId, 1, 2, ethers.parseEther("100"), ethers.parseEther("2.0"));
+      await settle(2);
+      await bettingEngine.connect(user2).claimAll(marketId);
+
+      // user2 won user1's 100 stake, 10% commission
+      expect(await bettingEngine.accruedFees()).to.equal(ethers.parseEther("10"));
+
+      await expect(
+        bettingEngine.connect(user1).withdrawFees(user1.address, 1)
+      ).to.be.revertedWithCustomError(bettingEngine, "AccessControlUnauthorizedAccount");
+      await expect(
+        bettingEngine.withdrawFees(owner.address, ethers.parseEther("11"))
+      ).to.be.revertedWith("Insufficient fees");
+
+      const balanceBefore = await mockToken.balanceOf(user3.address);
+      await expect(bettingEngine.withdrawFees(user3.address, ethers.parseEther("10")))
+        .to.emit(bettingEngine, "FeesWithdrawn")
+        .withArgs(user3.address, ethers.parseEther("10"));
+      expect(await mockToken.balanceOf(user3.address)).to.equal(balanceBefore + ethers.parseEther("10"));
+      expect(await bettingEngine.accruedFees()).to.equal(0);
+    });
+  });
+
+  describe("View Functions", function () {
+    let marketId;
+
+    beforeEach(async function () {
+      const description = "View Test Market";
+      const endTime = (await time.latest()) + 3600;
+      const settlementTime = endTime + 3600;
+
+      const tx = await bettingEngine.createMarket(description, OUTCOMES, endTime, settlementTime);
+      const receipt = await tx.wait();
+      
+      const event = receipt.logs.find(log => 
+        log.topics[0] === ethers.id("MarketCreated(bytes32,string,uint256)")
+      );
+      marketId = event.topics[1];
+    });
+
+    it("Should return market orders", async function () {
+      const amount = ethers.parseEther("100");
+      const odds = ethers.parseEther("2.0");
+
+      await bettingEngine.connect(user1).placeOrder(marketId, 1, 1, amount, odds);
+      
+      const orders = await bettingEngine.getMarketOrders(marketId);
+      expect(orders.length).to.equal(1);
+    });
+
+    it("Should return order book", async function () {
+      const amount = ethers.parseEther("100");
+      const odds = ethers.parseEther("2.0");
+
+      await bettingEngine.connect(user1).placeOrder(marketId, 1, 1, amount, odds);
+      await bettingEngine.connect(user2).placeOrder(marketId, 1, 2, amount, odds);
+      
+      const [orderIds, amounts, oddsArray, sides] = await bettingEngine.getOrderBook(marketId);
+      expect(orderIds.length).to.be.gte(0);
+    });
+  });
+
+  describe("Edge Cases and Security", function () {
+    let marketId;
+
+    beforeEach(async function () {
+      const description = "Security Test Market";
+      const endTime = (await time.latest()) + 3600;
+      const settlementTime = endTime + 3600;
+
+      const tx = await bettingEngine.createMarket(description, OUTCOMES, endTime, settlementTime);
+      const receipt = await tx.wait();
+      
+      const event = receipt.logs.find(log => 
+        log.topics[0] === ethers.id("MarketCreated(bytes32,string,uint256)")
+      );
+      marketId = event.topics[1];
+    });
+
+    it("Should prevent double claiming", async function () {
+      // Set up match and settlement first
+      const amount = ethers.parseEther("100");
+      const oddsA = ethers.parseEther("2.0");
+      const oddsB = ethers.parseEther("2.0");
+
+      await bettingEngine.connect(user1).placeOrder(marketId, 1, 1, amount, oddsA);
+      const tx2 = await bettingEngine.connect(user2).placeOrder(marketId, 1, 2, amount, oddsB);
+      const receipt2 = await tx2.wait();
+      
+      const matchEvent = receipt2.logs.find(log => 
+        log.topics[0] === ethers.id("OrderMatched(bytes32,bytes32,bytes32)")
+      );
+      
+      // Only proceed if match occurred
+      if (matchEvent) {
+        const matchId = matchEvent.topics[1];
+
+        await time.increase(7300); // Past market end + settlement time
+        await mockOracle.setOutcome(marketId, true, 1);
+        await bettingEngine.settleMarket(marketId);
+        
+        // First claim should succeed
+        await bettingEngine.connect(user1).claimWinnings(matchId);
+        
+        // Second claim should fail
+        await expect(
+          bettingEngine.connect(user1).claimWinnings(matchId)
+        ).to.be.revertedWith("Already claimed");
+      }
+    });
+
+    it("Should handle insufficient token balance", async function () {
+      // Take the deposit back out and transfer away most tokens
+      await bettingEngine.connect(user1).withdraw(USER_BALANCE);
+      await mockToken.connect(user1).transfer(owner.address, USER_BALANCE - ethers.parseEther("50"));
+      
+      const amount = ethers.parseEther("100");
+      const odds = ethers.parseEther("2.0");
 
       // OpenZeppelin v5 ERC20 uses custom errors
       await expect(
-        bettingEngine.connect(user1).placeOrder(marketId, 1, amount, odds)
+        bettingEngine.connect(user1).deposit(amount)
       ).to.be.reverted; // Just check for revert, error message may vary
+      await expect(
+        bettingEngine.connect(user1).placeOrder(marketId, 1, 1, amount, odds)
+      ).to.be.revertedWith("Insufficient balance");
     });
 
     it("Should prevent betting on expired markets", async function () {
@@ -409,7 +2569,7 @@ describe("BettingMatchingEngine", function () {
       const odds = ethers.parseEther("2.0");
 
       await expect(
-        bettingEngine.connect(user1).placeOrder(marketId, 1, amount, odds)
+        bettingEngine.connect(user1).placeOrder(marketId, 1, 1, amount, odds)
       ).to.be.revertedWith("Market ended");
     });
   });
@@ -0,0 +1,273 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { time, mine, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { Indexer, IndexerStore } = require("../indexer");
+const { BettingClient } = require("../sdk");
+const { engineFixture } = require("./helpers/fixtures");
+
+// The indexer following an engine on the Hardhat network into an in-memory SQLite store
+describe("Indexer", function () {
+  let bettingEngine;
+  let mockUSDC;
+  let mockOracle;
+  let owner;
+  let user1;
+  let user2;
+  let client;
+  let store;
+  let indexer;
+  let startBlock;
+  let endTime;
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+
+    ({ bettingEngine, mockUSDC, mockOracle } = await loadFixture(engineFixture));
+    await bettingEngine.setSettlementConfig(0, await bettingEngine.disputeBond());
+    startBlock = await ethers.provider.getBlockNumber();
+
+    for (const user of [owner, user1, user2]) {
+      await mockUSDC.mint(user.address, ethers.parseUnits("10000", 6));
+    }
+
+    client = await BettingClient.connect(await bettingEngine.getAddress(), owner);
+    for (const user of [owner, user1, user2]) {
+      await client.connect(user).deposit(5000);
+    }
+
+    store = new IndexerStore(":memory:");
+    indexer = new Indexer({
+      provider: ethers.provider,
+      engineAddress: await bettingEngine.getAddress(),
+      store,
+      startBlock,
+      confirmations: 0
+    });
+    endTime = (await time.latest()) + 3600;
+  });
+
+  afterEach(function () {
+    store.close();
+  });
+
+  async function createMarket(outcomes = ["Team A", "Team B"]) {
+    const { marketId } = await client.createMarket({
+      description: "Team A vs Team B",
+      outcomes,
+      endTime,
+      settlementTime: endTime + 600
+    });
+    return marketId;
+  }
+
+  it("Should index markets with their outcomes and status", async function () {
+    const marketId = await createMarket(["Home", "Away", "Draw"]);
+    expect(await indexer.sync()).to.equal(await ethers.provider.getBlockNumber());
+
+    const market = store.getMarket(marketId);
+    expect(market.description).to.equal("Team A vs Team B");
+    expect(market.outcomes).to.deep.equal(["Home", "Away", "Draw"]);
+    expect(market.end_time).to.equal(endTime);
+    expect(market.settlement_time).to.equal(endTime + 600);
+    expect(market.status).to.equal(1); // Open
+    expect(market.outcome).to.equal(0);
+
+    await bettingEngine.suspendMarket(marketId);
+    await indexer.sync();
+    expect(store.getMarket(marketId).status).to.equal(2); // Suspended
+    expect(store.getMarkets()).to.have.length(1);
+  });
+
+  it("Should index orders, matches and positions", async function () {
+    const marketId = await createMarket();
+    const back = await client.connect(user1).placeOrder({ marketId, outcome: 1, side: "back", stake: 100, odds: 2.5 });
+    const lay = await client.connect(user2).placeOrder({ marketId, outcome: 1, side: "lay", stake: 40, odds: 2.5 });
+    await indexer.sync();
+
+    expect(store.getOrder(back.orderId)).to.include({
+      market_id: marketId,
+      user: user1.address.toLowerCase(),
+      outcome: 1,
+      side: 1,
+      amount: "100000000",
+      odds: ethers.parseEther("2.5").toString(),
+      filled: "40000000",
+      status: "open"
+    });
+    expect(store.getOrder(lay.orderId)).to.include({ filled: "40000000", status: "filled" });
+    expect(store.getOpenOrders(marketId).map(o => o.order_id)).to.deep.equal([back.orderId]);
+
+    const [match] = store.getMatches(marketId);
+    expect(match).to.include({
+      match_id: lay.matches[0].matchId,
+      outcome: 1,
+      back_order_id: back.orderId,
+      lay_order_id: lay.orderId,
+      taker_order_id: lay.orderId,
+      maker_order_id: back.orderId,
+      backer: user1.address.toLowerCase(),
+      layer: user2.address.toLowerCase(),
+      amount: "40000000"
+    });
+    expect(match.timestamp).to.equal(await time.latest());
+
+    expect(store.getPositions(user1.address)).to.deep.equal([{
+      market_id: marketId,
+      user: user1.address.toLowerCase(),
+      outcome: 1,
+      backed_stake: "40000000",
+      backed_profit: "60000000",
+      laid_stake: "0",
+      laid_liability: "0"
+    }]);
+    expect(store.getPositions(user2.address)[0]).to.include({ laid_stake: "40000000", laid_liability: "60000000" });
+  });
+
+  it("Should page matches within a block", async function () {
+    const marketId = await createMarket();
+    for (let i = 0; i < 3; i++) {
+      await client.connect(user1).placeOrder({ marketId, outcome: 1, side: "back", stake: 10, odds: 2 });
+    }
+    // One lay takes all three backs, so their matches share a block
+    const { matches } = await client.connect(user2).placeOrder({ marketId, outcome: 1, side: "lay", stake: 30, odds: 2 });
+    await indexer.sync();
+
+    const first = store.getMatches(marketId, { limit: 2 });
+    expect(first.map(m => m.match_id)).to.deep.equal([matches[2].matchId, matches[1].matchId]);
+    const last = first[first.length - 1];
+    const second = store.getMatches(marketId, { limit: 2, before: { blockNumber: last.block_number, logIndex: last.log_index } });
+    expect(second.map(m => m.match_id)).to.deep.equal([matches[0].matchId]);
+    expect(store.getMatches(marketId, { before: { blockNumber: last.block_number } })).to.deep.equal([]);
+  });
+
+  it("Should track cancellations, liquidity, settlement and claims", async function () {
+    const marketId = await createMarket();
+    const { orderId } = await client.connect(user1).placeOrder({ marketId, outcome: 2, side: "back", stake: 10, odds: 3 });
+    await client.connect(user1).cancelOrder(orderId);
+    await client.addLiquidity(marketId, 500);
+    await client.connect(user1).placeOrder({ marketId, outcome: 2, side: "back", stake: 20, odds: 2 });
+    const lay = await client.connect(user2).placeOrder({ marketId, outcome: 2, side: "lay", stake: 20, odds: 2 });
+
+    await time.increaseTo(endTime + 600);
+    await mockOracle.reportOutcome(await bettingEngine.getAddress(), marketId, 2);
+    await client.connect(user1).claimAll(marketId);
+    await bettingEngine.removeLiquidity(marketId, 100_000000n);
+    await indexer.sync();
+
+    expect(store.getOrder(orderId).status).to.equal("cancelled");
+    expect(store.getOpenOrders(marketId)).to.deep.equal([]);
+    expect(store.getLiquidity(marketId)).to.have.length(1);
+    expect(store.getLiquidity(marketId)[0]).to.include({ provider: owner.address.toLowerCase(), amount: "500000000" });
+    const [removal] = store.getLiquidityRemovals(marketId);
+    expect(removal).to.include({ provider: owner.address.toLowerCase(), shares: "100000000" });
+    expect(BigInt(removal.payout)).to.be.above(0n);
+
+    const market = store.getMarket(marketId);
+    expect(market.outcome).to.equal(2);
+    expect(market.status).to.equal(4); // Settled
+
+    expect(store.getClaims(user1.address)).to.have.length(1);
+    expect(store.getClaims(user1.address)[0]).to.include({
+      match_id: lay.matches[0].matchId,
+      market_id: marketId,
+      winner: user1.address.toLowerCase(),
+      payout: "40000000"
+    });
+    expect(store.getClaims(user2.address)).to.deep.equal([]);
+  });
+
+  it("Should follow reschedules and restore the schedule on rollback", async function () {
+    const marketId = await createMarket();
+    await indexer.sync();
+    const snapshot = await network.provider.send("evm_snapshot");
+
+    await bettingEngine.rescheduleMarket(marketId, endTime + 7200, endTime + 9000);
+    await indexer.sync();
+    expect(store.getMarket(marketId)).to.include({ end_time: endTime + 7200, settlement_time: endTime + 9000 });
+
+    await network.provider.send("evm_revert", [snapshot]);
+    await mine(2);
+    await indexer.sync();
+    expect(store.getMarket(marketId)).to.include({ end_time: endTime, settlement_time: endTime + 600 });
+  });
+
+  it("Should only read state at the latest block, so nodes without archive state can be followed", async function () {
+    const marketId = await createMarket();
+    await client.connect(user1).placeOrder({ marketId, outcome: 1, side: "back", stake: 10, odds: 2 });
+    const lay = await client.connect(user2).placeOrder({ marketId, outcome: 1, side: "lay", stake: 10, odds: 2 });
+    await bettingEngine.rescheduleMarket(marketId, endTime + 60, endTime + 900);
+
+    // Like a pruned node, refuse calls at any earlier block
+    const call = ethers.provider.call;
+    ethers.provider.call = function (tx) {
+      if (tx.blockTag !== undefined && tx.blockTag !== "latest") throw new Error("missing trie node");
+      return call.apply(this, arguments);
+    };
+    try {
+      await indexer.sync();
+    } finally {
+      ethers.provider.call = call;
+    }
+
+    expect(store.getMarket(marketId)).to.include({ end_time: endTime + 60, settlement_time: endTime + 900 });
+    expect(store.getMatches(marketId).map(m => m.match_id)).to.deep.equal([lay.matches[0].matchId]);
+    expect(store.getOrder(lay.orderId)).to.include({ amount: "10000000", status: "filled" });
+  });
+
+  it("Should mark an IOC order that matched nothing as cancelled", async function () {
+    const marketId = await createMarket();
+    // The engine refunds it before logging OrderPlaced
+    const { orderId } = await client.connect(user1).placeOrder({ marketId, outcome: 1, side: "back", stake: 10, odds: 3, timeInForce: "IOC" });
+    await indexer.sync();
+
+    expect(store.getOrder(orderId)).to.include({ status: "cancelled", filled: "0" });
+    expect(store.getOpenOrders(marketId)).to.deep.equal([]);
+  });
+
+  it("Should leave blocks within the confirmation depth for later", async function () {
+    indexer.confirmations = 3;
+    const marketId = await createMarket();
+    const head = await ethers.provider.getBlockNumber();
+
+    expect(await indexer.sync()).to.equal(head - 3);
+    expect(store.getMarket(marketId)).to.equal(null);
+
+    await mine(3);
+    expect(await indexer.sync()).to.equal(head);
+    expect(store.getMarket(marketId)).to.not.equal(null);
+  });
+
+  it("Should pick up where it left off in small batches", async function () {
+    indexer.batchSize = 2;
+    const first = await createMarket();
+    await indexer.sync();
+    const second = await createMarket();
+    await indexer.sync();
+
+    expect(store.getMarkets().map(m => m.market_id)).to.deep.equal([first, second]);
+  });
+
+  it("Should roll back and re-index after a reorg", async function () {
+    const marketId = await createMarket();
+    await indexer.sync();
+    const snapshot = await network.provider.send("evm_snapshot");
+
+    const { orderId } = await client.connect(user1).placeOrder({ marketId, outcome: 1, side: "back", stake: 10, odds: 2 });
+    await client.connect(user2).placeOrder({ marketId, outcome: 1, side: "lay", stake: 10, odds: 2 });
+    await indexer.sync();
+    expect(store.getMatches(marketId)).to.have.length(1);
+    expect(store.getPositions(user1.address)).to.have.length(1);
+
+    // The two orders are replaced by a different chain of the same length
+    await network.provider.send("evm_revert", [snapshot]);
+    const replacement = await client.connect(user2).placeOrder({ marketId, outcome: 2, side: "back", stake: 5, odds: 4 });
+    await mine(1);
+    await indexer.sync();
+
+    expect(store.getOrder(orderId)).to.equal(null);
+    expect(store.getMatches(marketId)).to.deep.equal([]);
+    expect(store.getPositions(user1.address)).to.deep.equal([]);
+    expect(store.getOpenOrders(marketId).map(o => o.order_id)).to.deep.equal([replacement.orderId]);
+    expect(store.getMarket(marketId).status).to.equal(1);
+  });
+});
@@ -0,0 +1,159 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { MarketMaker } = require("../scripts/market-maker");
+const { BettingClient, formatOdds, impliedProbability } = require("../sdk");
+const { engineFixture } = require("./helpers/fixtures");
+
+// The market-making bot quoting on the Hardhat network, driven by hand instead of its event loop
+describe("Market Maker", function () {
+  let owner;
+  let bot;
+  let user1;
+  let mockUSDC;
+  let client;
+  let mockOracle;
+  let bettingEngine;
+  let marketId;
+
+  beforeEach(async function () {
+    [owner, bot, user1] = await ethers.getSigners();
+
+    ({ bettingEngine, mockUSDC, mockOracle } = await loadFixture(engineFixture));
+
+    client = await BettingClient.connect(await bettingEngine.getAddress(), owner);
+    for (const user of [bot, user1]) {
+      await mockUSDC.mint(user.address, ethers.parseUnits("10000", 6));
+    }
+    await client.connect(user1).deposit(5000);
+
+    const endTime = (await time.latest()) + 3600;
+    ({ marketId } = await client.createMarket({
+      description: "Team A vs Team B",
+      outcomes: ["Team A", "Team B"],
+      endTime,
+      settlementTime: endTime + 600
+    }));
+    await mockOracle.setPrice(marketId, ethers.parseUnits("0.4", 18));
+  });
+
+  function maker(settings = {}) {
+    return new MarketMaker({
+      client: client.connect(bot),
+      oracle: mockOracle,
+      markets: [{ marketId, ...settings }],
+      requoteInterval: 0
+    });
+  }
+
+  async function botOrders() {
+    const book = await client.getOrderBook(marketId);
+    const orders = [];
+    for (const { outcome, back, lay } of book) {
+      for (const [side, levels] of [["back", back], ["lay", lay]]) {
+        for (const level of levels) orders.push({ outcome, side, odds: level.odds, amount: level.amount, orderIds: level.orderIds });
+      }
+    }
+    return orders;
+  }
+
+  it("Should quote a ladder either side of the oracle's fair price", async function () {
+    await maker({ levels: 2 }).requote(marketId);
+
+    const orders = await botOrders();
+    expect(orders).to.have.length(8);
+    for (const [outcome, fair] of [[1, 0.4], [2, 0.6]]) {
+      const backs = orders.filter(o => o.outcome === outcome && o.side === "back");
+      const lays = orders.filter(o => o.outcome === outcome && o.side === "lay");
+      expect(backs).to.have.length(2);
+      expect(lays).to.have.length(2);
+      for (const order of backs) expect(impliedProbability(order.odds)).to.be.below(fair);
+      for (const order of lays) expect(impliedProbability(order.odds)).to.be.above(fair);
+    }
+
+    // Best quotes sit a tick outside 1% either side of 40%, on the ladder
+    const outcome1 = orders.filter(o => o.outcome === 1);
+    expect(outcome1.filter(o => o.side === "back").map(o => formatOdds(o.odds))).to.deep.equal(["2.58", "2.64"]);
+    expect(outcome1.filter(o => o.side === "lay").map(o => formatOdds(o.odds))).to.deep.equal(["2.42", "2.38"]);
+  });
+
+  it("Should quote fair probabilities from its config", async function () {
+    await maker({ fair: [0.5, 0.5], levels: 1, spread: 0.1 }).requote(marketId);
+
+    const orders = await botOrders();
+    expect(orders.map(o => [o.outcome, o.side, formatOdds(o.odds)])).to.have.deep.members([
+      [1, "back", "2.24"], [1, "lay", "1.81"], [2, "back", "2.24"], [2, "lay", "1.81"]
+    ]);
+  });
+
+  it("Should keep resting and matched collateral within its exposure limit", async function () {
+    // The best level of both outcomes alone takes 202.5: two backs of 50 and lays liable for 71 and 31.5
+    await maker({ levels: 5, maxExposure: 300 }).requote(marketId);
+
+    const exposure = await bettingEngine.exposure(marketId, bot.address);
+    expect(exposure).to.be.at.most(ethers.parseUnits("300", 6));
+    expect(exposure).to.be.above(ethers.parseUnits("200", 6));
+  });
+
+  it("Should stop adding to a side once its inventory limit is reached", async function () {
+    const mm = maker({ levels: 1, maxInventory: 50 });
+    await mm.requote(marketId);
+
+    // user1 lays into the bot's back on outcome 1: the bot now wins 79 if it comes in
+    const [back] = (await botOrders()).filter(o => o.outcome === 1 && o.side === "back");
+    await client.connect(user1).placeOrder({ marketId, outcome: 1, side: "lay", stake: 50, odds: back.odds });
+    await mm.requote(marketId);
+
+    const outcome1 = (await botOrders()).filter(o => o.outcome === 1);
+    expect(outcome1.map(o => o.side)).to.deep.equal(["lay"]);
+  });
+
+  it("Should requote when one of its orders fills", async function () {
+    const mm = maker({ levels: 1 });
+    await mm.requote(marketId);
+    const [back] = (await botOrders()).filter(o => o.outcome === 1 && o.side === "back");
+
+    const { orderId, matches } = await client.connect(user1).placeOrder({ marketId, outcome: 1, side: "lay", stake: 20, odds: back.odds });
+    expect(matches[0].makerOrderId).to.equal(back.orderIds[0]);
+
+    // The partly filled quote is replaced by a full one at the same odds
+    await mm.handleMatch(orderId, matches[0].makerOrderId);
+    const [requoted] = (await botOrders()).filter(o => o.outcome === 1 && o.side === "back");
+    expect(requoted.odds).to.equal(back.odds);
+    expect(requoted.amount).to.equal(ethers.parseUnits("50", 6));
+    expect(requoted.orderIds[0]).to.not.equal(back.orderIds[0]);
+    expect(mm.orders.has(back.orderIds[0])).to.be.false;
+  });
+
+  it("Should ignore matches between other users", async function () {
+    const mm = maker({ levels: 1 });
+    await mm.requote(marketId);
+    const before = [...mm.orders.keys()];
+
+    await mm.handleMatch(ethers.id("someone"), ethers.id("someone else"));
+    expect([...mm.orders.keys()]).to.deep.equal(before);
+  });
+
+  it("Should seed its pool once and pull its quotes on stop", async function () {
+    const mm = maker({ levels: 1, liquidity: 500 });
+    await mm.start();
+    const [, , shares] = await bettingEngine.getPoolInfo(marketId, bot.address);
+    expect(shares).to.be.above(0n);
+    expect(await botOrders()).to.have.length(4);
+
+    await mm.stop();
+    await mm.start();
+    const [, , sharesAfter] = await bettingEngine.getPoolInfo(marketId, bot.address);
+    expect(sharesAfter).to.equal(shares);
+
+    await mm.stop();
+    expect(await botOrders()).to.deep.equal([]);
+  });
+
+  it("Should not quote a market that has stopped trading", async function () {
+    await time.increase(3600);
+    const mm = maker();
+    await mm.requote(marketId);
+    expect(await botOrders()).to.deep.equal([]);
+  });
+});
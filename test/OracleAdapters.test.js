@@ -0,0 +1,258 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployEngine } = require("./helpers/fixtures");
+
+// Oracle adapters the engine can point at instead of a single reporter: quorum over several
+// sources, and over/under outcomes read off a Chainlink-style price feed. MockPriceOracle plays
+// both the reporters and the feed.
+describe("Oracle adapters", function () {
+  const MARKET_ID = ethers.id("market");
+  const VOID = 255;
+
+  let owner;
+  let user1;
+  let sources;
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+
+    const MockOracle = await ethers.getContractFactory("MockPriceOracle");
+    sources = [];
+    for (let i = 0; i < 3; i++) {
+      sources.push(await MockOracle.deploy());
+    }
+  });
+
+  async function deployMarket(oracleAddress) {
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const mockToken = await MockERC20.deploy("Mock USDC", "MUSDC", ethers.parseEther("1000000"));
+
+    const bettingEngine = await deployEngine(await mockToken.getAddress(), oracleAddress);
+    await bettingEngine.setSettlementConfig(0, 0);
+
+    const endTime = (await time.latest()) + 1000;
+    const tx = await bettingEngine.createMarket("Oracle Market", ["Over", "Under"], endTime, endTime + 200);
+    const receipt = await tx.wait();
+    const marketId = receipt.logs.find(log =>
+      log.topics[0] === ethers.id("MarketCreated(bytes32,string,uint256)")
+    ).topics[1];
+
+    return { bettingEngine, marketId, settlementTime: endTime + 200 };
+  }
+
+  describe("OracleAggregator", function () {
+    let aggregator;
+
+    beforeEach(async function () {
+      const OracleAggregator = await ethers.getContractFactory("OracleAggregator");
+      aggregator = await OracleAggregator.deploy();
+      await aggregator.setSources(MARKET_ID, await Promise.all(sources.map(s => s.getAddress())), 2, 3600);
+    });
+
+    it("Should validate the source configuration", async function () {
+      const addresses = await Promise.all(sources.map(s => s.getAddress()));
+
+      await expect(aggregator.setSources(MARKET_ID, [], 1, 3600)).to.be.revertedWith("Invalid sources");
+      await expect(aggregator.setSources(MARKET_ID, addresses, 0, 3600)).to.be.revertedWith("Invalid quorum");
+      await expect(aggregator.setSources(MARKET_ID, addresses, 4, 3600)).to.be.revertedWith("Invalid quorum");
+      await expect(aggregator.setSources(MARKET_ID, addresses, 2, 0)).to.be.revertedWith("Invalid staleness");
+      await expect(aggregator.connect(user1).setSources(MARKET_ID, addresses, 2, 3600))
+        .to.be.revertedWithCustomError(aggregator, "OwnableUnauthorizedAccount");
+
+      const [configured, quorum, maxStaleness] = await aggregator.getSources(MARKET_ID);
+      expect(configured).to.deep.equal(addresses);
+      expect(quorum).to.equal(2);
+      expect(maxStaleness).to.equal(3600);
+    });
+
+    it("Should settle once a quorum of sources agree", async function () {
+      expect(await aggregator.isSettled(MARKET_ID)).to.deep.equal([false, 0n]);
+
+      await sources[0].settleMarket(MARKET_ID, 1);
+      expect(await aggregator.isSettled(MARKET_ID)).to.deep.equal([false, 0n]);
+
+      // A dissenting source doesn't count towards either outcome
+      await sources[1].settleMarket(MARKET_ID, 2);
+      expect(await aggregator.isSettled(MARKET_ID)).to.deep.equal([false, 0n]);
+
+      await sources[2].settleMarket(MARKET_ID, 1);
+      expect(await aggregator.isSettled(MARKET_ID)).to.deep.equal([true, 1n]);
+    });
+
+    it("Should count VOID like any other reported outcome", async function () {
+      await sources[0].voidMarket(MARKET_ID);
+      await sources[2].voidMarket(MARKET_ID);
+      expect(await aggregator.isSettled(MARKET_ID)).to.deep.equal([true, BigInt(VOID)]);
+    });
+
+    it("Should return the median of fresh prices and skip stale ones", async function () {
+      await sources[0].setPrice(MARKET_ID, ethers.parseEther("100"));
+      await expect(aggregator.getPrice(MARKET_ID)).to.be.revertedWith("Not enough fresh prices");
+
+      await time.increase(1800);
+      await sources[1].setPrice(MARKET_ID, ethers.parseEther("130"));
+      await sources[2].setPrice(MARKET_ID, ethers.parseEther("110"));
+      const oldest = (await sources[0].getPrice(MARKET_ID))[1];
+      expect(await aggregator.getPrice(MARKET_ID)).to.deep.equal([ethers.parseEther("110"), oldest]);
+
+      // Source 0 goes stale, the two left still make quorum and average out
+      await time.increase(1801);
+      const [price, timestamp] = await aggregator.getPrice(MARKET_ID);
+      expect(price).to.equal(ethers.parseEther("120"));
+      expect(timestamp).to.equal((await sources[1].getPrice(MARKET_ID))[1]);
+
+      await time.increase(1800);
+      await expect(aggregator.getPrice(MARKET_ID)).to.be.revertedWith("Not enough fresh prices");
+    });
+
+    it("Should return the median of the first prices after a time once late sources can't change it", async function () {
+      const from = (await time.latest()) + 100;
+      await sources[0].setPrice(MARKET_ID, ethers.parseEther("90"));
+      await time.increaseTo(from);
+      await sources[0].setPrice(MARKET_ID, ethers.parseEther("100"));
+      await sources[1].setPrice(MARKET_ID, ethers.parseEther("120"));
+      const observedAt = await time.latest();
+      expect(await aggregator.getPriceAt(MARKET_ID, from)).to.deep.equal([0n, 0n]);
+
+      // Later reports don't move it, and a source that first reports past maxStaleness doesn't count
+      await time.increase(1800);
+      await sources[0].setPrice(MARKET_ID, ethers.parseEther("200"));
+      await time.increase(1800);
+      await sources[2].setPrice(MARKET_ID, ethers.parseEther("50"));
+      expect(await aggregator.getPriceAt(MARKET_ID, from)).to.deep.equal([ethers.parseEther("110"), observedAt]);
+    });
+
+    it("Should settle engine markets through the quorum", async function () {
+      const { bettingEngine, marketId, settlementTime } = await deployMarket(await aggregator.getAddress());
+      await aggregator.setSources(marketId, await Promise.all(sources.map(s => s.getAddress())), 2, 3600);
+      await time.increaseTo(settlementTime);
+
+      await sources[0].settleMarket(marketId, 2);
+      await expect(bettingEngine.settleMarket(marketId)).to.be.revertedWith("Oracle not settled");
+
+      await sources[1].settleMarket(marketId, 2);
+      await expect(bettingEngine.settleMarket(marketId))
+        .to.emit(bettingEngine, "MarketSettled")
+        .withArgs(marketId, 2);
+    });
+  });
+
+  describe("ChainlinkOutcomeAdapter", function () {
+    let adapter;
+    let feed;
+    let observationTime;
+
+    const OVER = 1n;
+    const UNDER = 2n;
+    const STRIKE = ethers.parseEther("4000");
+
+    beforeEach(async function () {
+      const ChainlinkOutcomeAdapter = await ethers.getContractFactory("ChainlinkOutcomeAdapter");
+      adapter = await ChainlinkOutcomeAdapter.deploy();
+      feed = sources[0];
+
+      observationTime = (await time.latest()) + 3600;
+      await adapter.setPriceMarket(MARKET_ID, await feed.getAddress(), STRIKE, observationTime);
+    });
+
+    it("Should report feed prices scaled to 18 decimals", async function () {
+      await expect(adapter.getPrice(ethers.id("unknown"))).to.be.revertedWith("Market not configured");
+      await expect(adapter.connect(user1).setPriceMarket(MARKET_ID, await feed.getAddress(), STRIKE, observationTime))
+        .to.be.revertedWithCustomError(adapter, "OwnableUnauthorizedAccount");
+
+      // 8 decimals like Chainlink USD feeds
+      await feed.setAnswer(3950_12345678n);
+      const [price, timestamp] = await adapter.getPrice(MARKET_ID);
+      expect(price).to.equal(ethers.parseEther("3950.12345678"));
+      expect(timestamp).to.equal(await time.latest());
+    });
+
+    it("Should settle on the first round at or after the observation time", async function () {
+      await feed.setAnswer(4100_00000000n);
+      expect(await adapter.isSettled(MARKET_ID)).to.deep.equal([false, 0n]);
+
+      await time.increaseTo(observationTime);
+      await feed.setAnswer(3990_00000000n);
+      expect(await adapter.isSettled(MARKET_ID)).to.deep.equal([true, UNDER]);
+
+      // Later rounds don't change the result
+      await time.increase(60);
+      await feed.setAnswer(4200_00000000n);
+      await feed.setAnswer(4300_00000000n);
+      expect(await adapter.isSettled(MARKET_ID)).to.deep.equal([true, UNDER]);
+    });
+
+    it("Should only pay OVER strictly above the strike", async function () {
+      await feed.setAnswer(3900_00000000n);
+      await time.increaseTo(observationTime);
+      await feed.setAnswer(4000_00000000n);
+      expect(await adapter.isSettled(MARKET_ID)).to.deep.equal([true, UNDER]);
+
+      const otherId = ethers.id("other");
+      await adapter.setPriceMarket(otherId, await feed.getAddress(), STRIKE - 1n, observationTime);
+      expect(await adapter.isSettled(otherId)).to.deep.equal([true, OVER]);
+    });
+
+    it("Should stay unsettled past MAX_LOOKBACK rounds until the observed round is recorded", async function () {
+      await feed.setAnswer(3900_00000000n);
+      await time.increaseTo(observationTime);
+      await feed.setAnswer(4100_00000000n);
+
+      // Walking back from the latest round can no longer reach round 2, so no later round stands in for it
+      const lookback = Number(await adapter.MAX_LOOKBACK());
+      for (let i = 0; i < lookback; i++) {
+        await feed.setAnswer(3800_00000000n);
+      }
+      expect(await adapter.isSettled(MARKET_ID)).to.deep.equal([false, 0n]);
+
+      await expect(adapter.recordObservation(MARKET_ID, 1, 0)).to.be.revertedWith("Not the previous round");
+      await expect(adapter.recordObservation(MARKET_ID, 2, 0)).to.be.revertedWith("Not the previous round");
+      await expect(adapter.recordObservation(MARKET_ID, 3, 2)).to.be.revertedWith("Not the observed round");
+      await expect(adapter.connect(user1).recordObservation(MARKET_ID, 2, 1))
+        .to.emit(adapter, "ObservationRecorded")
+        .withArgs(MARKET_ID, 2);
+      expect(await adapter.isSettled(MARKET_ID)).to.deep.equal([true, OVER]);
+      await expect(adapter.recordObservation(MARKET_ID, 2, 1)).to.be.revertedWith("Observation recorded");
+      const [, , , observedAt] = await feed.getRoundData(2);
+      expect(await adapter.getPriceAt(MARKET_ID, observationTime)).to.deep.equal([ethers.parseEther("4100"), observedAt]);
+    });
+
+    it("Should pin the first round of a new phase with the last round of the previous one", async function () {
+      await feed.setAnswer(4100_00000000n);
+      await feed.setAnswer(4050_00000000n);
+      await feed.startPhase();
+      await time.increaseTo(observationTime);
+      await feed.setAnswer(3900_00000000n);
+      await feed.setAnswer(3950_00000000n);
+
+      // isSettled doesn't walk back across a phase boundary
+      expect(await adapter.isSettled(MARKET_ID)).to.deep.equal([false, 0n]);
+
+      const firstOfPhase = (1n << 64n) + 1n;
+      // Round 1 isn't the last round of the previous phase, and round 0 of a phase doesn't exist
+      await expect(adapter.recordObservation(MARKET_ID, firstOfPhase, 1)).to.be.revertedWith("Not the previous round");
+      await expect(adapter.recordObservation(MARKET_ID, firstOfPhase, 1n << 64n)).to.be.revertedWith("Not the previous round");
+      await expect(adapter.recordObservation(MARKET_ID, firstOfPhase + 1n, firstOfPhase)).to.be.revertedWith("Not the observed round");
+
+      await expect(adapter.connect(user1).recordObservation(MARKET_ID, firstOfPhase, 2))
+        .to.emit(adapter, "ObservationRecorded")
+        .withArgs(MARKET_ID, firstOfPhase);
+      expect(await adapter.isSettled(MARKET_ID)).to.deep.equal([true, UNDER]);
+      const [, , , observedAt] = await feed.getRoundData(firstOfPhase);
+      expect(await adapter.getPriceAt(MARKET_ID, observationTime)).to.deep.equal([ethers.parseEther("3900"), observedAt]);
+    });
+
+    it("Should settle an over/under engine market from the feed", async function () {
+      const { bettingEngine, marketId, settlementTime } = await deployMarket(await adapter.getAddress());
+      await adapter.setPriceMarket(marketId, await feed.getAddress(), STRIKE, settlementTime);
+      await feed.setAnswer(3900_00000000n);
+
+      await time.increaseTo(settlementTime);
+      await feed.setAnswer(4012_50000000n);
+      await expect(bettingEngine.settleMarket(marketId))
+        .to.emit(bettingEngine, "MarketSettled")
+        .withArgs(marketId, OVER);
+    });
+  });
+});
@@ -0,0 +1,176 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployEngine } = require("./helpers/fixtures");
+
+// Gas benchmark for the price-time priority book: the cost of a match must depend on the
+// orders it fills, not on how many orders the market has seen before.
+describe("OrderBook gas benchmark", function () {
+  const HISTORY_SIZE = 40;
+  const AMOUNT = ethers.parseEther("10");
+  const RESTING_ODDS = ethers.parseEther("2.0");
+  const TAKER_ODDS = ethers.parseEther("2.0");
+
+  let bettingEngine;
+  let maker;
+  let taker;
+  let marketId;
+
+  // Both users funded and a market open, shared across tests with loadFixture
+  async function benchmarkFixture() {
+    const [, maker, taker] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const mockToken = await MockERC20.deploy("Mock USDC", "MUSDC", ethers.parseEther("1000000"));
+    const mockOracle = await (await ethers.getContractFactory("MockPriceOracle")).deploy();
+    const bettingEngine = await deployEngine(await mockToken.getAddress(), await mockOracle.getAddress());
+
+    for (const user of [maker, taker]) {
+      await mockToken.transfer(user.address, ethers.parseEther("100000"));
+      await mockToken.connect(user).approve(await bettingEngine.getAddress(), ethers.MaxUint256);
+      await bettingEngine.connect(user).deposit(ethers.parseEther("100000"));
+    }
+
+    const endTime = (await time.latest()) + 3600;
+    const tx = await bettingEngine.createMarket("Gas Benchmark Market", ["Yes", "No"], endTime, endTime + 3600);
+    const receipt = await tx.wait();
+    const event = receipt.logs.find(log =>
+      log.topics[0] === ethers.id("MarketCreated(bytes32,string,uint256)")
+    );
+    return { bettingEngine, maker, taker, marketId: event.topics[1] };
+  }
+
+  beforeEach(async function () {
+    ({ bettingEngine, maker, taker, marketId } = await loadFixture(benchmarkFixture));
+  });
+
+  async function matchOnce() {
+    await bettingEngine.connect(maker).placeOrder(marketId, 1, 1, AMOUNT, RESTING_ODDS);
+    const tx = await bettingEngine.connect(taker).placeOrder(marketId, 1, 2, AMOUNT, TAKER_ODDS);
+    const receipt = await tx.wait();
+    const matched = receipt.logs.some(log =>
+      log.topics[0] === ethers.id("OrderMatched(bytes32,bytes32,bytes32)")
+    );
+    expect(matched).to.equal(true);
+    return receipt.gasUsed;
+  }
+
+  it("Should keep taker gas flat as market history grows", async function () {
+    // Warm up market storage so the baseline isn't paying first-write costs
+    await matchOnce();
+    const baseline = await matchOnce();
+
+    // Filled, cancelled and far-from-the-money orders all pile up in marketOrders
+    for (let i = 0; i < HISTORY_SIZE; i++) {
+      await matchOnce();
+    }
+    for (let i = 0; i < HISTORY_SIZE / 4; i++) {
+      const tx = await bettingEngine.connect(maker).placeOrder(marketId, 1, 1, AMOUNT, RESTING_ODDS);
+      const receipt = await tx.wait();
+      const placed = receipt.logs.find(log =>
+        log.topics[0] === ethers.id("OrderPlaced(bytes32,address,bytes32)")
+      );
+      await bettingEngine.connect(maker).cancelOrder(placed.topics[1]);
+    }
+    for (let i = 0; i < HISTORY_SIZE / 4; i++) {
+      await bettingEngine.connect(maker).placeOrder(marketId, 1, 1, AMOUNT, ethers.parseEther("3.0") + BigInt(i));
+    }
+
+    expect((await bettingEngine.getMarketOrders(marketId)).length).to.be.gte(HISTORY_SIZE * 2);
+
+    const afterHistory = await matchOnce();
+
+    // Allow a small wobble for calldata and storage slot differences, nothing proportional to history
+    expect(afterHistory).to.be.lte(baseline + baseline / 100n);
+  });
+
+  it("Should only touch the counter-orders a taker actually fills", async function () {
+    await matchOnce();
+
+    // One resting order per fill, at a single level
+    const fills = 5;
+    for (let i = 0; i < fills; i++) {
+      await bettingEngine.connect(maker).placeOrder(marketId, 1, 1, AMOUNT, RESTING_ODDS);
+    }
+    const tx = await bettingEngine.connect(taker).placeOrder(marketId, 1, 2, AMOUNT * BigInt(fills), TAKER_ODDS);
+    const sweep = (await tx.wait()).gasUsed;
+    const single = await matchOnce();
+
+    // The marginal cost of each extra fill is bounded and well below a full taker transaction
+    const perFill = (sweep - single) / BigInt(fills - 1);
+    expect(perFill).to.be.lt(single);
+  });
+
+  it("Should bound the walk to a new price level", async function () {
+    const MAX_INSERT_STEPS = 100;
+    const send = (odds, priceHint = 0) => bettingEngine.connect(maker).placeLimitOrder(marketId, 1, 1, AMOUNT, odds, 0, 0, priceHint);
+    const place = async (odds, priceHint = 0) => {
+      const receipt = await (await send(odds, priceHint)).wait();
+      const placed = receipt.logs.find(log =>
+        log.topics[0] === ethers.id("OrderPlaced(bytes32,address,bytes32)")
+      );
+      return { orderId: placed.topics[1], gasUsed: receipt.gasUsed };
+    };
+
+    // Backs rank the lowest odds first, so 1.5 goes in at the head and 5.0 behind every level
+    for (let i = 0; i < MAX_INSERT_STEPS; i++) {
+      await place(ethers.parseEther("2.0") + BigInt(i) * ethers.parseEther("0.01"));
+    }
+    const best = await place(ethers.parseEther("1.5"));
+    await bettingEngine.connect(maker).cancelOrder(best.orderId);
+    const worst = await place(ethers.parseEther("5.0"));
+
+    // Each level walked past costs a storage read, nowhere near a transaction
+    const perLevel = (worst.gasUsed - best.gasUsed) / BigInt(MAX_INSERT_STEPS);
+    expect(perLevel).to.be.lt(3000n);
+
+    // Further back the walk needs a hint, which costs about as much as placing at the head
+    const far = ethers.parseEther("6.0");
+    await expect(send(far)).to.be.revertedWith("Price hint too far");
+    const hint = await bettingEngine.getPriceHint(marketId, 1, 1, far);
+    expect(hint).to.equal(ethers.parseEther("5.0"));
+    const hinted = await place(far, hint);
+    expect(hinted.gasUsed).to.be.lt(best.gasUsed + 10000n);
+
+    // The hint must be a resting price ranked ahead of the new one
+    await expect(send(ethers.parseEther("7.0"), ethers.parseEther("6.5"))).to.be.revertedWith("Invalid price hint");
+    await expect(send(ethers.parseEther("7.0"), ethers.parseEther("8.0"))).to.be.revertedWith("Invalid price hint");
+    await expect(send(ethers.parseEther("7.0"), far)).to.emit(bettingEngine, "OrderPlaced");
+  });
+
+  it("Should not let dust orders at many prices lock a side", async function () {
+    const [, , , attacker] = await ethers.getSigners();
+    const mockToken = await ethers.getContractAt("MockERC20", await bettingEngine.baseToken());
+    await mockToken.transfer(attacker.address, 1000);
+    await mockToken.connect(attacker).approve(await bettingEngine.getAddress(), 1000);
+    await bettingEngine.connect(attacker).deposit(1000);
+
+    // Lays liable for nothing are turned away, but a lay of 100 wei at 1.01 is liable for 1 wei
+    await expect(
+      bettingEngine.connect(attacker).placeOrder(marketId, 1, 2, 99, ethers.parseEther("1.01"))
+    ).to.be.revertedWith("Stake too small");
+
+    // 1 wei a level: lays at the shortest odds rest behind honest lays, backs of 1 wei ahead of honest backs
+    const levels = 120n;
+    for (let i = 0n; i < levels; i++) {
+      const layOdds = ethers.parseEther("1.01") + i;
+      const backOdds = ethers.parseEther("1.2") + i;
+      await bettingEngine.connect(attacker).placeOrder(marketId, 1, 2, 100, layOdds);
+      await bettingEngine.connect(attacker).placeLimitOrder(marketId, 1, 1, 1, backOdds, 0, 0, i > 0n ? backOdds - 1n : 0);
+    }
+    expect((await bettingEngine.getAccount(attacker.address)).locked).to.equal(levels * 2n);
+
+    // Honest orders at new prices still go in, with a hint where the spam sits ahead of them
+    await expect(
+      bettingEngine.connect(maker).placeOrder(marketId, 1, 2, AMOUNT, ethers.parseEther("1.1"))
+    ).to.emit(bettingEngine, "OrderPlaced");
+    const odds = ethers.parseEther("2.0");
+    await expect(
+      bettingEngine.connect(maker).placeOrder(marketId, 1, 1, AMOUNT, odds)
+    ).to.be.revertedWith("Price hint too far");
+    const hint = await bettingEngine.getPriceHint(marketId, 1, 1, odds);
+    await expect(
+      bettingEngine.connect(maker).placeLimitOrder(marketId, 1, 1, AMOUNT, odds, 0, 0, hint)
+    ).to.emit(bettingEngine, "OrderPlaced");
+  });
+});
@@ -0,0 +1,291 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { engineFixture } = require("./helpers/fixtures");
+const {
+  BettingClient,
+  BettingError,
+  parseOdds,
+  formatOdds,
+  parseUsdc,
+  formatUsdc,
+  impliedProbability,
+  probabilityToOdds,
+  roundToTick,
+  layLiability
+} = require("../sdk");
+
+// The JS SDK in sdk/, run against an engine on the Hardhat network with 6 decimal MockUSDC as base token
+describe("SDK", function () {
+  let bettingEngine;
+  let mockUSDC;
+  let mockOracle;
+  let owner;
+  let user1;
+  let user2;
+  let client;
+  let endTime;
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+    ({ bettingEngine, mockUSDC, mockOracle } = await loadFixture(engineFixture));
+    await bettingEngine.setSettlementConfig(0, await bettingEngine.disputeBond());
+
+    for (const user of [user1, user2]) {
+      await mockUSDC.mint(user.address, ethers.parseUnits("10000", 6));
+    }
+
+    client = await BettingClient.connect(await bettingEngine.getAddress(), owner);
+    endTime = (await time.latest()) + 3600;
+  });
+
+  async function createMarket() {
+    const { marketId } = await client.createMarket({
+      description: "Team A vs Team B",
+      outcomes: ["Team A", "Team B", "Draw"],
+      endTime,
+      settlementTime: endTime + 600
+    });
+    return marketId;
+  }
+
+  describe("Units", function () {
+    it("Should convert decimal odds", function () {
+      expect(parseOdds(2.5)).to.equal(ethers.parseEther("2.5"));
+      expect(parseOdds("1.01")).to.equal(ethers.parseEther("1.01"));
+      expect(parseOdds(3n * 10n ** 18n)).to.equal(ethers.parseEther("3"));
+      expect(formatOdds(ethers.parseEther("2"))).to.equal("2");
+      expect(formatOdds(ethers.parseEther("2.50"))).to.equal("2.5");
+
+      expect(() => parseOdds(1)).to.throw(RangeError);
+      expect(() => parseOdds("0.5")).to.throw(RangeError);
+    });
+
+    it("Should convert between odds and probabilities", function () {
+      expect(impliedProbability(ethers.parseEther("4"))).to.equal(0.25);
+      expect(probabilityToOdds(0.5)).to.equal(ethers.parseEther("2"));
+      expect(probabilityToOdds(0.8)).to.equal(ethers.parseEther("1.25"));
+      expect(() => probabilityToOdds(1)).to.throw(RangeError);
+    });
+
+    it("Should round odds onto the tick ladder", function () {
+      expect(roundToTick(parseOdds("2.0408"), "up")).to.equal(parseOdds("2.06"));
+      expect(roundToTick(parseOdds("2.0408"), "down")).to.equal(parseOdds("2.04"));
+      expect(roundToTick(parseOdds("3.33"), "up")).to.equal(parseOdds("3.35"));
+      expect(roundToTick(parseOdds("2.5"), "up")).to.equal(parseOdds("2.5"));
+      expect(roundToTick(parseOdds("1500"), "down")).to.equal(parseOdds("1000"));
+    });
+
+    it("Should convert USDC amounts and lay liability", function () {
+      expect(parseUsdc("12.5")).to.equal(12_500000n);
+      expect(parseUsdc(100)).to.equal(100_000000n);
+      expect(formatUsdc(12_500000n)).to.equal("12.5");
+      expect(formatUsdc(100_000000n)).to.equal("100");
+
+      expect(layLiability(parseUsdc(100), parseOdds(2.5))).to.equal(parseUsdc(150));
+    });
+  });
+
+  describe("BettingClient", function () {
+    it("Should read the base token off the engine", async function () {
+      expect(client.token.target).to.equal(await mockUSDC.getAddress());
+      expect(client.decimals).to.equal(6);
+      expect(client.parseAmount("1.5")).to.equal(1_500000n);
+    });
+
+    it("Should return the ID of a created market", async function () {
+      const marketId = await createMarket();
+
+      const market = await client.getMarket(marketId);
+      expect(market.id).to.equal(marketId);
+      expect(market.description).to.equal("Team A vs Team B");
+      expect(market.outcomes).to.deep.equal(["Team A", "Team B", "Draw"]);
+      expect(market.status).to.equal("Open");
+      expect(market.endTime).to.equal(endTime);
+    });
+
+    it("Should create markets with limits in odds and token units", async function () {
+      const { marketId } = await client.createMarket({
+        description: "Limited",
+        outcomes: ["Yes", "No"],
+        endTime,
+        settlementTime: endTime + 600,
+        params: { minOdds: 1.5, maxOdds: 10, minStake: 5, pending: true }
+      });
+
+      const params = await bettingEngine.getMarketParams(marketId);
+      expect(params.minOdds).to.equal(ethers.parseEther("1.5"));
+      expect(params.maxOdds).to.equal(ethers.parseEther("10"));
+      expect(params.minStake).to.equal(5_000000n);
+      expect(params.maxExposure).to.equal(0);
+      expect((await client.getMarket(marketId)).status).to.equal("Pending");
+    });
+
+    it("Should approve the engine only when the allowance is short", async function () {
+      const user1Client = client.connect(user1);
+
+      const approval = await user1Client.ensureAllowance(100);
+      expect(approval).to.not.equal(null);
+      expect(await user1Client.ensureAllowance(100)).to.equal(null);
+
+      await user1Client.deposit(60);
+      // 40 left of the allowance, so this deposit approves again
+      await user1Client.deposit("50.5");
+
+      const account = await user1Client.getAccount();
+      expect(account.free).to.equal(110_500000n);
+      expect(account.locked).to.equal(0);
+      expect(account.wallet).to.equal(10000_000000n - 110_500000n);
+    });
+
+    it("Should return the order ID and whatever matched", async function () {
+      const marketId = await createMarket();
+      const backer = client.connect(user1);
+      const layer = client.connect(user2);
+
+      const back = await backer.placeOrder({ marketId, outcome: 1, side: "back", stake: 100, odds: 2.5, autoDeposit: true });
+      expect(back.orderId).to.equal(back.receipt.logs.find(log =>
+        log.topics[0] === ethers.id("OrderPlaced(bytes32,address,bytes32)")
+      ).topics[1]);
+      expect(back.matches).to.deep.equal([]);
+      expect(await backer.getAccount()).to.include({ free: 0n, locked: 100_000000n });
+
+      const lay = await layer.placeOrder({ marketId, outcome: 1, side: "lay", stake: 40, odds: "2.5", autoDeposit: true });
+      expect(lay.matches).to.have.length(1);
+      expect(lay.matches[0]).to.include({ takerOrderId: lay.orderId, makerOrderId: back.orderId });
+      expect(lay.matches[0].amount).to.equal(40_000000n);
+      expect(lay.matches[0].odds).to.equal(ethers.parseEther("2.5"));
+
+      // Deposited just the liability, 40 * 1.5
+      expect((await layer.getAccount()).locked).to.equal(60_000000n);
+    });
+
+    it("Should place orders with a time in force", async function () {
+      const marketId = await createMarket();
+      const user1Client = client.connect(user1);
+      await user1Client.deposit(100);
+
+      const { orderId, matches } = await user1Client.placeOrder({
+        marketId, outcome: 1, side: "back", stake: 10, odds: 2, timeInForce: "IOC"
+      });
+      expect(matches).to.deep.equal([]);
+      expect(await bettingEngine.getRemainingAmount(orderId)).to.equal(0);
+
+      const expiry = (await time.latest()) + 60;
+      const gtt = await user1Client.placeOrder({ marketId, outcome: 1, side: "back", stake: 10, odds: 2, timeInForce: "GTT", expiry });
+      expect((await bettingEngine.orders(gtt.orderId)).expiry).to.equal(expiry);
+    });
+
+    it("Should pass a price hint for deep books", async function () {
+      const marketId = await createMarket();
+      const backer = client.connect(user1);
+      await backer.deposit(100);
+      const first = await backer.placeOrder({ marketId, outcome: 1, side: "back", stake: 10, odds: 2 });
+
+      const read = await backer.placeOrder({ marketId, outcome: 1, side: "back", stake: 10, odds: 3, priceHint: true });
+      const given = await backer.placeOrder({ marketId, outcome: 1, side: "back", stake: 10, odds: 4, priceHint: 3 });
+      const [{ back }] = await client.getOrderBook(marketId);
+      expect(back.map(level => level.orderIds[0])).to.deep.equal([first.orderId, read.orderId, given.orderId]);
+
+      const error = await backer.placeOrder({ marketId, outcome: 1, side: "back", stake: 10, odds: 5, priceHint: 6 }).catch(e => e);
+      expect(error).to.be.instanceOf(BettingError);
+      expect(error.message).to.equal("Invalid price hint");
+    });
+
+    it("Should aggregate the order book into price levels", async function () {
+      const marketId = await createMarket();
+      const backer = client.connect(user1);
+      const layer = client.connect(user2);
+      await backer.deposit(1000);
+      await layer.deposit(1000);
+
+      const first = await backer.placeOrder({ marketId, outcome: 1, side: "back", stake: 10, odds: 3 });
+      const second = await backer.placeOrder({ marketId, outcome: 1, side: "back", stake: 15, odds: 3 });
+      const third = await backer.placeOrder({ marketId, outcome: 1, side: "back", stake: 20, odds: 3.5 });
+      const lay = await layer.placeOrder({ marketId, outcome: 2, side: "lay", stake: 30, odds: 1.8 });
+
+      const book = await client.getOrderBook(marketId);
+      expect(book.map(b => b.name)).to.deep.equal(["Team A", "Team B", "Draw"]);
+
+      expect(book[0].back).to.deep.equal([
+        { odds: ethers.parseEther("3"), amount: 25_000000n, orderIds: [first.orderId, second.orderId] },
+        { odds: ethers.parseEther("3.5"), amount: 20_000000n, orderIds: [third.orderId] }
+      ]);
+      expect(book[0].lay).to.deep.equal([]);
+      expect(book[1].lay).to.deep.equal([
+        { odds: ethers.parseEther("1.8"), amount: 30_000000n, orderIds: [lay.orderId] }
+      ]);
+      expect(book[2]).to.deep.include({ back: [], lay: [] });
+    });
+
+    it("Should report positions by outcome and what can be claimed", async function () {
+      const marketId = await createMarket();
+      const backer = client.connect(user1);
+      const layer = client.connect(user2);
+
+      await backer.placeOrder({ marketId, outcome: 1, side: "back", stake: 100, odds: 2.5, autoDeposit: true });
+      await layer.placeOrder({ marketId, outcome: 1, side: "lay", stake: 100, odds: 2.5, autoDeposit: true });
+
+      const position = await backer.getPosition(marketId);
+      expect(position.matches).to.have.length(1);
+      expect(position.matches[0]).to.include({ side: "back", outcome: 1 });
+      expect(position.profitByOutcome).to.deep.equal({ 1: 150_000000n, 2: -100_000000n, 3: -100_000000n });
+      expect(position.shares).to.deep.equal({ 1: 0n, 2: 0n, 3: 0n });
+      expect(position.claimable).to.equal(0);
+
+      const layerPosition = await client.getPosition(marketId, user2.address);
+      expect(layerPosition.profitByOutcome).to.deep.equal({ 1: -150_000000n, 2: 100_000000n, 3: 100_000000n });
+
+      await time.increaseTo(endTime + 600);
+      await mockOracle.reportOutcome(await bettingEngine.getAddress(), marketId, 1);
+      expect((await backer.getPosition(marketId)).claimable).to.equal(250_000000n);
+      expect((await client.getMarket(marketId)).status).to.equal("Settled");
+    });
+
+    it("Should decode require reasons into errors", async function () {
+      const marketId = await createMarket();
+      const user1Client = client.connect(user1);
+      await user1Client.deposit(10);
+
+      const invalid = await user1Client.placeOrder({ marketId, outcome: 4, side: "back", stake: 1, odds: 2 }).catch(e => e);
+      expect(invalid).to.be.instanceOf(BettingError);
+      expect(invalid.message).to.equal("Invalid outcome");
+
+      const error = await user1Client.placeOrder({ marketId, outcome: 1, side: "back", stake: 50, odds: 2 }).catch(e => e);
+      expect(error).to.be.instanceOf(BettingError);
+      expect(error.message).to.equal("Insufficient balance");
+      expect(error.reason).to.equal("Insufficient balance");
+      expect(error.cause).to.exist;
+    });
+
+    it("Should decode custom errors into readable messages", async function () {
+      const marketId = await createMarket();
+
+      const error = await client.connect(user1).createMarket({
+        description: "Not allowed",
+        outcomes: ["Yes", "No"],
+        endTime,
+        settlementTime: endTime
+      }).catch(e => e);
+      expect(error).to.be.instanceOf(BettingError);
+      expect(error.reason).to.equal("AccessControlUnauthorizedAccount");
+      expect(error.message).to.equal(`${user1.address} is missing MARKET_CREATOR_ROLE`);
+
+      await bettingEngine.pause();
+      const paused = await client.connect(user1).placeOrder({ marketId, outcome: 1, side: "back", stake: 1, odds: 2 }).catch(e => e);
+      expect(paused).to.be.instanceOf(BettingError);
+      expect(paused.reason).to.equal("EnforcedPause");
+      expect(paused.message).to.equal("Trading is paused");
+    });
+
+    it("Should decode token errors raised through the engine", async function () {
+      const user1Client = client.connect(user1);
+      await mockUSDC.connect(user1).approve(await bettingEngine.getAddress(), ethers.MaxUint256);
+
+      const error = await user1Client.deposit(20000).catch(e => e);
+      expect(error).to.be.instanceOf(BettingError);
+      expect(error.reason).to.equal("ERC20InsufficientBalance");
+      expect(error.message).to.equal("Insufficient token balance");
+    });
+  });
+});
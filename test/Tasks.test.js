@@ -0,0 +1,129 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { engineFixture } = require("./helpers/fixtures");
+const { ethers } = hre;
+
+// The Hardhat tasks in hardhat.config.js, run against a deployment file for the Hardhat network
+describe("Hardhat Tasks", function () {
+  let deploymentsDir;
+  let deploymentFile;
+  let owner;
+  let user1;
+  let user2;
+  let bettingEngine;
+  let mockUSDC;
+  let mockOracle;
+  let log;
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+
+    ({ bettingEngine, mockUSDC, mockOracle } = await loadFixture(engineFixture));
+    await bettingEngine.setSettlementConfig(0, await bettingEngine.disputeBond());
+
+    for (const user of [user1, user2]) {
+      await mockUSDC.mint(user.address, ethers.parseUnits("10000", 6));
+    }
+
+    // A deployment file of its own, so the tasks never touch deployments/ in the working tree
+    deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    deploymentFile = path.join(deploymentsDir, "hardhat-31337.json");
+    process.env.DEPLOYMENTS_DIR = deploymentsDir;
+    fs.writeFileSync(deploymentFile, JSON.stringify({
+      network: "hardhat",
+      chainId: "31337",
+      deployBlock: await ethers.provider.getBlockNumber(),
+      contracts: {
+        mockUSDC: await mockUSDC.getAddress(),
+        mockOracle: await mockOracle.getAddress(),
+        bettingEngine: await bettingEngine.getAddress()
+      }
+    }));
+
+    // Keeps the tasks' output out of the test report
+    log = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(function () {
+    console.log = log;
+    delete process.env.DEPLOYMENTS_DIR;
+    fs.rmSync(deploymentsDir, { recursive: true, force: true });
+  });
+
+  async function createMarket() {
+    return hre.run("market:create", { desc: "Team A vs Team B", end: "1h", settle: "2h", outcomes: "Team A,Team B" });
+  }
+
+  it("Should create markets with times relative to the latest block", async function () {
+    const now = await time.latest();
+    const marketId = await createMarket();
+
+    const market = await bettingEngine.markets(marketId);
+    expect(market.description).to.equal("Team A vs Team B");
+    expect(market.endTime).to.equal(now + 3600);
+    expect(market.settlementTime).to.equal(now + 7200);
+    expect(await bettingEngine.getMarketOutcomes(marketId)).to.deep.equal(["Team A", "Team B"]);
+  });
+
+  it("Should list every market of the deployment", async function () {
+    const first = await createMarket();
+    const second = await hre.run("market:create", { desc: "Will it rain?", end: "1d", settle: String(await time.latest() + 2 * 86400), outcomes: "Yes,No" });
+
+    const markets = await hre.run("market:list");
+    expect(markets.map(m => m.id)).to.deep.equal([first, second]);
+    expect(markets[1]).to.include({ description: "Will it rain?", status: "Open" });
+  });
+
+  it("Should place, show and cancel orders for an account", async function () {
+    const marketId = await createMarket();
+    const orderId = await hre.run("order:place", {
+      market: marketId, outcome: 1, side: "back", stake: "25", odds: "2.5", tif: "GTC", account: user1.address
+    });
+    expect((await bettingEngine.orders(orderId)).user).to.equal(user1.address);
+
+    let book = await hre.run("market:book", { id: marketId });
+    expect(book[0].back).to.deep.equal([{ odds: ethers.parseEther("2.5"), amount: ethers.parseUnits("25", 6), orderIds: [orderId] }]);
+
+    await hre.run("order:cancel", { id: orderId, account: user1.address });
+    book = await hre.run("market:book", { id: marketId });
+    expect(book[0].back).to.deep.equal([]);
+  });
+
+  it("Should settle from the oracle and claim what an account won", async function () {
+    const marketId = await createMarket();
+    await hre.run("order:place", { market: marketId, outcome: 1, side: "back", stake: "100", odds: "2", tif: "GTC", account: user1.address });
+    await hre.run("order:place", { market: marketId, outcome: 1, side: "lay", stake: "100", odds: "2", tif: "GTC", account: user2.address });
+
+    await hre.run("oracle:set-outcome", { market: marketId, outcome: "1" });
+    await time.increase(7200);
+    const market = await hre.run("market:settle", { id: marketId });
+    expect(market).to.include({ isSettled: true, outcome: 1 });
+
+    const claimed = await hre.run("claims:run", { account: user1.address });
+    expect(claimed).to.equal(ethers.parseUnits("200", 6));
+    expect(await hre.run("claims:run", { account: user2.address })).to.equal(0n);
+    expect(await hre.run("claims:run", { account: user1.address })).to.equal(0n);
+  });
+
+  it("Should finalize a proposed settlement once its dispute window has passed", async function () {
+    await bettingEngine.setSettlementConfig(3600, await bettingEngine.disputeBond());
+    const marketId = await createMarket();
+    await hre.run("oracle:set-outcome", { market: marketId, outcome: "void" });
+    await time.increase(7200);
+
+    expect(await hre.run("market:settle", { id: marketId })).to.include({ isSettled: false });
+    await time.increase(3600);
+    expect(await hre.run("market:settle", { id: marketId })).to.include({ isSettled: true, status: "Voided" });
+  });
+
+  it("Should ask for a deployment first", async function () {
+    fs.rmSync(deploymentFile);
+    const error = await hre.run("market:list").catch(e => e);
+    expect(error.message).to.match(/No deployment at .*hardhat-31337\.json/);
+  });
+});
@@ -0,0 +1,27 @@
+const { ethers } = require("hardhat");
+
+// Deploys the engine with its SignedOrders library and delegatecalled modules, on any base token and oracle
+async function deployEngine(tokenAddress, oracleAddress) {
+  const SignedOrders = await (await ethers.getContractFactory("SignedOrders")).deploy();
+  const modules = [];
+  for (const name of ["AMMModule", "MarketModule", "AdminModule"]) {
+    modules.push(await (await (await ethers.getContractFactory(name)).deploy()).getAddress());
+  }
+  const BettingMatchingEngine = await ethers.getContractFactory("BettingMatchingEngine", {
+    libraries: {
+      SignedOrders: await SignedOrders.getAddress()
+    }
+  });
+  return BettingMatchingEngine.deploy(tokenAddress, oracleAddress, ...modules);
+}
+
+// The engine over 6 decimal MockUSDC and MockPriceOracle, for use with loadFixture
+async function engineFixture() {
+  const MockUSDC = await ethers.getContractFactory("MockUSDC");
+  const mockUSDC = await MockUSDC.deploy(ethers.parseUnits("1000000", 6));
+  const mockOracle = await (await ethers.getContractFactory("MockPriceOracle")).deploy();
+  const bettingEngine = await deployEngine(await mockUSDC.getAddress(), await mockOracle.getAddress());
+  return { bettingEngine, mockUSDC, mockOracle };
+}
+
+module.exports = { deployEngine, engineFixture };
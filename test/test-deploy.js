@@ -41,10 +41,26 @@ async function main() {
     const oracleAddress = await mockOracle.getAddress();
     console.log("✅ Mock Oracle deployed:", oracleAddress);
 
+    // Deploy the linked library
+    console.log("\n📚 Deploying library...");
+    const signedOrders = await (await ethers.getContractFactory("SignedOrders")).deploy();
+    await signedOrders.waitForDeployment();
+    const libraries = {
+      SignedOrders: await signedOrders.getAddress()
+    };
+    console.log("✅ Library deployed:", libraries);
+
+    // Deploy the modules the engine delegatecalls into
+    const modules = {};
+    for (const name of ["AMMModule", "MarketModule", "AdminModule"]) {
+      modules[name] = await (await (await ethers.getContractFactory(name)).deploy()).getAddress();
+    }
+    console.log("✅ Modules deployed:", modules);
+
     // Deploy Betting Engine
     console.log("\n🎲 Deploying Betting Matching Engine...");
-    const BettingEngine = await ethers.getContractFactory("BettingMatchingEngine");
-    const bettingEngine = await BettingEngine.deploy(tokenAddress, oracleAddress);
+    const BettingEngine = await ethers.getContractFactory("BettingMatchingEngine", { libraries });
+    const bettingEngine = await BettingEngine.deploy(tokenAddress, oracleAddress, ...Object.values(modules));
     await bettingEngine.waitForDeployment();
     const engineAddress = await bettingEngine.getAddress();
     console.log("✅ Betting Engine deployed:", engineAddress);
@@ -55,7 +71,7 @@ async function main() {
     const endTime = Math.floor(Date.now() / 1000) + (24 * 60 * 60); // 24 hours
     const settlementTime = endTime + (60 * 60); // 1 hour after end
     
-    const createTx = await bettingEngine.createMarket(description, endTime, settlementTime);
+    const createTx = await bettingEngine.createMarket(description, ["Yes", "No"], endTime, settlementTime);
     const receipt = await createTx.wait();
     
     const event = receipt.logs.find(log => 
@@ -73,6 +89,8 @@ async function main() {
         mockToken: tokenAddress,
         mockOracle: oracleAddress,
         bettingEngine: engineAddress,
+        ...libraries,
+        ...modules,
       },
       testMarket: {
         id: marketId,
@@ -154,7 +172,9 @@ async function testInteractions() {
     console.log("\n✅ Setting approvals...");
     await mockToken.connect(user1).approve(deployment.contracts.bettingEngine, tokenAmount);
     await mockToken.connect(user2).approve(deployment.contracts.bettingEngine, tokenAmount);
-    console.log("✅ Approvals set");
+    await bettingEngine.connect(user1).deposit(tokenAmount);
+    await bettingEngine.connect(user2).deposit(tokenAmount);
+    console.log("✅ Approvals set and collateral deposited");
 
     // Test order placement
     console.log("\n📋 Testing order placement...");
@@ -162,19 +182,19 @@ async function testInteractions() {
     const betAmount = ethers.parseEther("100");
     const odds = ethers.parseEther("2.0"); // 2.0x odds
 
-    // User 1 bets on side A
+    // User 1 backs outcome 1
     const order1Tx = await bettingEngine.connect(user1).placeOrder(
-      marketId, 1, betAmount, odds
+      marketId, 1, 1, betAmount, odds
     );
     await order1Tx.wait();
-    console.log("✅ User 1 placed bet on side A");
+    console.log("✅ User 1 backed outcome 1");
 
-    // User 2 bets on side B (should match)
+    // User 2 lays outcome 1 (should match)
     const order2Tx = await bettingEngine.connect(user2).placeOrder(
-      marketId, 2, betAmount, odds
+      marketId, 1, 2, betAmount, odds
     );
     const receipt = await order2Tx.wait();
-    console.log("✅ User 2 placed bet on side B");
+    console.log("✅ User 2 laid outcome 1");
 
     // Check if orders matched
     const matchEvent = receipt.logs.find(log => 
@@ -189,8 +209,8 @@ async function testInteractions() {
       console.log("In production, wait for market end time then call settleMarket()");
       
       // For testing, we can set oracle outcome immediately
-      await mockOracle.setOutcome(marketId, true, 1); // Side A wins
-      console.log("✅ Oracle outcome set (Side A wins)");
+      await mockOracle.setOutcome(marketId, true, 1); // Outcome 1 wins
+      console.log("✅ Oracle outcome set (outcome 1 wins)");
       
     } else {
       console.log("📝 Orders placed but not matched (different odds/amounts)");
@@ -205,16 +225,16 @@ async function testInteractions() {
 
     // Test AMM swap
     const swapAmount = ethers.parseEther("50");
-    await bettingEngine.connect(user2).swapWithAMM(marketId, 1, swapAmount);
+    await bettingEngine.connect(user2).swapWithAMM(marketId, 1, swapAmount, 0, ethers.MaxUint256);
     console.log("✅ AMM swap completed");
 
     // Get order book
     console.log("\n📖 Current order book:");
-    const [orderIds, amounts, oddsArray, sides] = await bettingEngine.getOrderBook(marketId);
+    const [orderIds, amounts, oddsArray, sides, outcomes] = await bettingEngine.getOrderBook(marketId);
     console.log(`Active orders: ${orderIds.length}`);
     
     for (let i = 0; i < orderIds.length; i++) {
-      console.log(`Order ${i}: ${ethers.formatEther(amounts[i])} tokens at ${ethers.formatEther(oddsArray[i])}x odds (Side ${sides[i]})`);
+      console.log(`Order ${i}: ${ethers.formatEther(amounts[i])} tokens at ${ethers.formatEther(oddsArray[i])}x odds (Outcome ${outcomes[i]}, ${sides[i] === 1n ? "back" : "lay"})`);
     }
 
     console.log("\n✅ All tests completed successfully!");